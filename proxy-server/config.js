@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server configuration. Values come from, in increasing priority: the defaults below,
+// a JSON config file (CONFIG_FILE, or config.json next to this file), and environment
+// variables. See config.example.json for the file format.
+
+const defaults = {
+  port: 5001,
+  allowedOrigins: ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:5173'],
+  buildPath: path.join(__dirname, '../splitscreen-main/build'),
+  upload: {
+    maxFileSizeMb: 20,
+    allowedMimeTypes: [
+      'application/pdf',
+      'text/csv',
+      'text/tab-separated-values',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/rtf',
+      'text/rtf',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'image/jpeg',
+      'image/png',
+    ],
+  },
+  timeouts: {
+    fetchMs: 30000,
+    renderMs: 60000,
+    loadEventMs: 30000,
+    conversionMs: 60000,
+  },
+  proxy: {
+    allowHosts: [],
+    denyHosts: [],
+    allowPrivateNetworks: false,
+    maxRedirects: 5,
+    maxResponseMb: 50,
+  },
+  browserPool: {
+    size: 4,
+    maxQueue: 50,
+    queueTimeoutMs: 30000,
+    pageMaxUses: 50,
+  },
+  cache: {
+    enabled: true,
+    dir: path.join(__dirname, 'cache'),
+    ttlSeconds: 3600,
+    maxTtlSeconds: 86400,
+    maxMb: 200,
+  },
+  patents: {
+    source: 'local',
+    dataFile: path.join(__dirname, 'data/patents.json'),
+    bigQueryProjectId: undefined,
+    bigQueryLocation: undefined,
+  },
+  sofficePath: 'soffice',
+};
+
+const intEnv = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+};
+const boolEnv = (name) => (process.env[name] === undefined ? undefined : process.env[name] === 'true');
+const listEnv = (name) =>
+  process.env[name] === undefined
+    ? undefined
+    : process.env[name].split(',').map((item) => item.trim()).filter(Boolean);
+
+const fromEnv = () => ({
+  port: intEnv('PORT'),
+  allowedOrigins: listEnv('ALLOWED_ORIGINS'),
+  buildPath: process.env.BUILD_PATH,
+  upload: {
+    maxFileSizeMb: intEnv('UPLOAD_MAX_MB'),
+    allowedMimeTypes: listEnv('UPLOAD_ALLOWED_TYPES'),
+  },
+  timeouts: {
+    fetchMs: intEnv('PROXY_FETCH_TIMEOUT'),
+    renderMs: intEnv('RENDER_TIMEOUT'),
+    loadEventMs: intEnv('RENDER_LOAD_EVENT_TIMEOUT'),
+    conversionMs: intEnv('CONVERSION_TIMEOUT'),
+  },
+  proxy: {
+    allowHosts: listEnv('PROXY_ALLOW_HOSTS'),
+    denyHosts: listEnv('PROXY_DENY_HOSTS'),
+    allowPrivateNetworks: boolEnv('PROXY_ALLOW_PRIVATE_NETWORKS'),
+    maxRedirects: intEnv('PROXY_MAX_REDIRECTS'),
+    maxResponseMb: intEnv('PROXY_MAX_RESPONSE_MB'),
+  },
+  browserPool: {
+    size: intEnv('BROWSER_POOL_SIZE'),
+    maxQueue: intEnv('BROWSER_POOL_MAX_QUEUE'),
+    queueTimeoutMs: intEnv('BROWSER_POOL_QUEUE_TIMEOUT'),
+    pageMaxUses: intEnv('BROWSER_PAGE_MAX_USES'),
+  },
+  cache: {
+    enabled: boolEnv('CACHE_ENABLED'),
+    dir: process.env.CACHE_DIR,
+    ttlSeconds: intEnv('CACHE_TTL'),
+    maxTtlSeconds: intEnv('CACHE_MAX_TTL'),
+    maxMb: intEnv('CACHE_MAX_MB'),
+  },
+  patents: {
+    source: process.env.PATENT_SOURCE,
+    dataFile: process.env.PATENT_DATA_FILE,
+    bigQueryProjectId: process.env.BIGQUERY_PROJECT_ID,
+    bigQueryLocation: process.env.BIGQUERY_LOCATION,
+  },
+  sofficePath: process.env.SOFFICE_PATH,
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Overlays defined values from each source onto the previous result
+const merge = (base, override) => {
+  if (!isPlainObject(override)) return base;
+  const result = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if (value === undefined) return;
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+  });
+  return result;
+};
+
+const readConfigFile = () => {
+  const file = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+  if (!fs.existsSync(file)) {
+    if (process.env.CONFIG_FILE) throw new Error(`Config file ${file} does not exist`);
+    return {};
+  }
+  console.log(`Loading configuration from ${file}`);
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Relative paths in the file are relative to the file itself
+  ['buildPath'].forEach((key) => {
+    if (config[key]) config[key] = path.resolve(path.dirname(file), config[key]);
+  });
+  ['dir', 'dataFile'].forEach((key) => {
+    ['cache', 'patents'].forEach((section) => {
+      if (config[section]?.[key]) config[section][key] = path.resolve(path.dirname(file), config[section][key]);
+    });
+  });
+  return config;
+};
+
+const loadConfig = () => merge(merge(defaults, readConfigFile()), fromEnv());
+
+module.exports = { loadConfig, defaults };
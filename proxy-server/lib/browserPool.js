@@ -0,0 +1,226 @@
+const puppeteer = require('puppeteer');
+const { ProxyError, ERROR_CODES } = require('./errors');
+
+// The pool has no page to spare; the request may succeed if retried later
+const busyError = (message, reason) => new ProxyError(ERROR_CODES.SERVER_BUSY, message, 503, { reason });
+
+// One long-lived Chromium shared by every /proxy request. Pages are handed out from
+// a bounded pool; callers beyond maxPages wait in a FIFO queue until a page frees up.
+// proxyServer sends all of the browser's traffic, including loopback, through that proxy.
+const createBrowserPool = ({
+  maxPages = 4,
+  maxQueue = 50,
+  queueTimeout = 30000,
+  maxUsesPerPage = 50,
+  userAgent,
+  proxyServer,
+  launchOptions = {},
+} = {}) => {
+  let browser = null;
+  let launching = null;
+  let generation = 0;
+  let closed = false;
+  let activePages = 0;
+  const idlePages = [];
+  const waiters = [];
+  const pageInfo = new WeakMap();
+  const counters = { launches: 0, crashes: 0, served: 0, rejected: 0, timedOut: 0, pagesCreated: 0 };
+
+  const getBrowser = async () => {
+    if (browser && browser.connected) return browser;
+    if (launching) return launching;
+
+    launching = (async () => {
+      console.log('Launching shared Puppeteer browser');
+      const instance = await puppeteer.launch({
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          ...(proxyServer ? [`--proxy-server=${proxyServer}`, '--proxy-bypass-list=<-loopback>'] : []),
+        ],
+        headless: true,
+        timeout: 60000,
+        ...launchOptions,
+      });
+      counters.launches += 1;
+      generation += 1;
+      const launchedGeneration = generation;
+
+      instance.on('disconnected', () => {
+        // Only react to the browser we are currently using, not one we closed on purpose
+        if (closed || launchedGeneration !== generation) return;
+        console.error('Puppeteer browser disconnected unexpectedly; it will be relaunched on next use');
+        counters.crashes += 1;
+        browser = null;
+        idlePages.length = 0;
+      });
+
+      browser = instance;
+      return instance;
+    })();
+
+    try {
+      return await launching;
+    } finally {
+      launching = null;
+    }
+  };
+
+  const createPage = async () => {
+    const instance = await getBrowser();
+    const page = await instance.newPage();
+    if (userAgent) await page.setUserAgent(userAgent);
+    pageInfo.set(page, { generation, uses: 0 });
+    counters.pagesCreated += 1;
+    return page;
+  };
+
+  const isReusable = (page) => {
+    const info = pageInfo.get(page);
+    return (
+      !closed &&
+      browser &&
+      browser.connected &&
+      !page.isClosed() &&
+      info &&
+      info.generation === generation &&
+      info.uses < maxUsesPerPage
+    );
+  };
+
+  const discardPage = async (page) => {
+    if (page.isClosed()) return;
+    try {
+      await page.close();
+    } catch (error) {
+      console.warn('Failed to close pooled page:', error.message);
+    }
+  };
+
+  // Pops the most recently used idle page that can still serve a request, closing any
+  // that crashed, were closed or are used up
+  const takeIdlePage = () => {
+    while (idlePages.length) {
+      const page = idlePages.pop();
+      if (isReusable(page)) return page;
+      discardPage(page);
+    }
+    return null;
+  };
+
+  // Hand a page to the next waiter, or create one if the waiter got here before any page existed
+  const drainQueue = () => {
+    while (waiters.length) {
+      const page = takeIdlePage();
+      if (!page && activePages >= maxPages) return;
+      const waiter = waiters.shift();
+      clearTimeout(waiter.timer);
+      activePages += 1;
+      const next = page ? Promise.resolve(page) : createPage();
+      next.then(waiter.resolve, (error) => {
+        activePages -= 1;
+        waiter.reject(error);
+        drainQueue();
+      });
+    }
+  };
+
+  const acquire = async () => {
+    if (closed) throw new Error('Browser pool is closed');
+
+    const idlePage = takeIdlePage();
+    if (idlePage) {
+      activePages += 1;
+      return idlePage;
+    }
+
+    if (activePages < maxPages) {
+      activePages += 1;
+      try {
+        return await createPage();
+      } catch (error) {
+        activePages -= 1;
+        drainQueue();
+        throw error;
+      }
+    }
+
+    if (waiters.length >= maxQueue) {
+      counters.rejected += 1;
+      throw busyError(`Browser pool is saturated (${waiters.length} requests queued)`, 'saturated');
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        counters.timedOut += 1;
+        reject(busyError(`Timed out after ${queueTimeout}ms waiting for a browser page`, 'queueTimeout'));
+      }, queueTimeout);
+      waiters.push(waiter);
+    });
+  };
+
+  const release = async (page) => {
+    const info = pageInfo.get(page);
+    if (info) info.uses += 1;
+    counters.served += 1;
+
+    if (isReusable(page)) {
+      try {
+        // Reset the page so the next request starts from a clean slate
+        page.removeAllListeners();
+        await page.setRequestInterception(false);
+        await page.goto('about:blank');
+        idlePages.push(page);
+      } catch (error) {
+        console.warn('Failed to recycle pooled page:', error.message);
+        await discardPage(page);
+      }
+    } else {
+      await discardPage(page);
+    }
+
+    activePages -= 1;
+    drainQueue();
+  };
+
+  const withPage = async (task) => {
+    const page = await acquire();
+    try {
+      return await task(page);
+    } finally {
+      await release(page);
+    }
+  };
+
+  const stats = () => ({
+    browserConnected: Boolean(browser && browser.connected),
+    maxPages,
+    activePages,
+    idlePages: idlePages.length,
+    queued: waiters.length,
+    maxQueue,
+    saturated: activePages >= maxPages,
+    ...counters,
+  });
+
+  const close = async () => {
+    closed = true;
+    waiters.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    });
+    idlePages.length = 0;
+    if (browser) {
+      const instance = browser;
+      browser = null;
+      await instance.close();
+    }
+  };
+
+  return { acquire, release, withPage, stats, close };
+};
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,116 @@
+const http = require('http');
+const net = require('net');
+
+const refuse = (socket, message) => {
+  console.warn(message);
+  socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+};
+
+// Local forward proxy the headless browser sends all of its traffic through. Connections
+// are opened here, to the address the URL guard resolved and checked, so Chromium never
+// resolves host names itself and a page can't reach an internal address by having its
+// host name re-resolve after the check (DNS rebinding). WebSocket upgrades are refused.
+const createBrowserProxy = ({ guard }) => {
+  // Also checks IP literals, which Node would otherwise connect to without a lookup
+  const resolveAddress = (hostname) =>
+    new Promise((resolve, reject) => {
+      guard.lookup(hostname, {}, (error, address) => (error ? reject(error) : resolve(address)));
+    });
+
+  // Plain http:// requests arrive with the absolute URL as the request target
+  const server = http.createServer(async (req, res) => {
+    let target;
+    let address;
+    try {
+      target = new URL(req.url);
+      if (target.protocol !== 'http:') throw new Error(`Protocol ${target.protocol} is not allowed`);
+      address = await resolveAddress(guard.checkHost(target.hostname));
+    } catch (error) {
+      console.warn(`Blocked browser request to ${req.url}: ${error.message}`);
+      res.writeHead(403).end();
+      return;
+    }
+
+    const headers = { ...req.headers };
+    delete headers['proxy-connection'];
+    delete headers['proxy-authorization'];
+    const upstream = http.request(
+      {
+        host: address,
+        port: target.port || 80,
+        path: `${target.pathname}${target.search}`,
+        method: req.method,
+        headers,
+      },
+      (upstreamResponse) => {
+        // A reset mid-body can only cut the browser's response short
+        upstreamResponse.on('error', () => res.destroy());
+        res.writeHead(upstreamResponse.statusCode, upstreamResponse.headers);
+        upstreamResponse.pipe(res);
+      }
+    );
+    upstream.on('error', (error) => {
+      console.warn(`Failed browser request to ${req.url}: ${error.message}`);
+      if (!res.headersSent) res.writeHead(502);
+      res.end();
+    });
+    req.pipe(upstream);
+  });
+
+  // https:// (and anything else tunnelled) asks for a raw connection to host:port
+  server.on('connect', async (req, clientSocket, head) => {
+    clientSocket.on('error', () => {});
+    let hostname;
+    let port;
+    try {
+      const target = new URL(`http://${req.url}`);
+      hostname = guard.checkHost(target.hostname);
+      port = Number(target.port) || 443;
+    } catch (error) {
+      refuse(clientSocket, `Blocked browser connection to ${req.url}: ${error.message}`);
+      return;
+    }
+
+    let address;
+    try {
+      address = await resolveAddress(hostname);
+    } catch (error) {
+      refuse(clientSocket, `Blocked browser connection to ${req.url}: ${error.message}`);
+      return;
+    }
+
+    const upstream = net.connect(port, address, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length) upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    upstream.on('error', () => clientSocket.destroy());
+    clientSocket.on('close', () => upstream.destroy());
+  });
+
+  server.on('upgrade', (req, socket) => {
+    socket.on('error', () => {});
+    refuse(socket, `Refused browser WebSocket connection to ${req.url}`);
+  });
+
+  // Resolves with the proxy URL to pass to Chromium
+  const listen = () =>
+    new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        server.off('error', reject);
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    });
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+
+  return { listen, close };
+};
+
+module.exports = { createBrowserProxy };
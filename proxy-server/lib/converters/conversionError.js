@@ -0,0 +1,11 @@
+const { ProxyError, ERROR_CODES } = require('../errors');
+
+// Raised when an uploaded or proxied document cannot be turned into something the pane can show
+class ConversionError extends ProxyError {
+  constructor(message) {
+    super(ERROR_CODES.CONVERSION_FAILED, message, 422);
+    this.name = 'ConversionError';
+  }
+}
+
+module.exports = { ConversionError };
@@ -0,0 +1,18 @@
+const mammoth = require('mammoth');
+const { ConversionError } = require('./conversionError');
+
+// Converts a DOCX buffer to HTML. Mammoth keeps tables and inlines images as data URIs,
+// so the result is self-contained.
+const convertDocx = async (buffer) => {
+  try {
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    messages
+      .filter((message) => message.type === 'error')
+      .forEach((message) => console.warn('DOCX conversion warning:', message.message));
+    return html;
+  } catch (error) {
+    throw new ConversionError(`Could not convert Word document: ${error.message}`);
+  }
+};
+
+module.exports = { convertDocx };
@@ -0,0 +1,54 @@
+const { convertDocx } = require('./document');
+const { convertPptx } = require('./pptx');
+const { convertWithLibreOffice } = require('./libreOffice');
+const { ConversionError } = require('./conversionError');
+
+// Slide decks are sent to the client as JSON under this content type
+const SLIDES_CONTENT_TYPE = 'application/vnd.splitscreen.slides+json';
+
+const PRESENTATION_TYPES = {
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+};
+
+const DOCUMENT_TYPES = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/msword': 'doc',
+  'application/rtf': 'rtf',
+  'text/rtf': 'rtf',
+};
+
+const formatOf = (types, contentType) =>
+  Object.entries(types).find(([type]) => contentType.includes(type))?.[1] || null;
+
+const presentationFormat = (contentType) => formatOf(PRESENTATION_TYPES, contentType);
+const documentFormat = (contentType) => formatOf(DOCUMENT_TYPES, contentType);
+
+const createConverters = ({ sofficePath = 'soffice', timeout = 60000 } = {}) => {
+  // Legacy binary .ppt files are upgraded to PPTX by LibreOffice, then parsed like any other deck
+  const convertPresentation = async (buffer, contentType) => {
+    const format = presentationFormat(contentType);
+    if (!format) throw new ConversionError(`Unsupported presentation type: ${contentType}`);
+    const pptx =
+      format === 'ppt'
+        ? await convertWithLibreOffice(buffer, { inputExtension: 'ppt', outputFormat: 'pptx', binary: sofficePath, timeout })
+        : buffer;
+    return convertPptx(pptx);
+  };
+
+  // Legacy .doc and .rtf go through LibreOffice to DOCX so every Word format shares
+  // mammoth's HTML output, with tables and embedded images preserved
+  const convertDocument = async (buffer, contentType) => {
+    const format = documentFormat(contentType);
+    if (!format) throw new ConversionError(`Unsupported document type: ${contentType}`);
+    const docx =
+      format === 'docx'
+        ? buffer
+        : await convertWithLibreOffice(buffer, { inputExtension: format, outputFormat: 'docx', binary: sofficePath, timeout });
+    return convertDocx(docx);
+  };
+
+  return { convertPresentation, convertDocument };
+};
+
+module.exports = { createConverters, presentationFormat, documentFormat, SLIDES_CONTENT_TYPE, ConversionError };
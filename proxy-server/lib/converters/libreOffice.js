@@ -0,0 +1,55 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConversionError } = require('./conversionError');
+
+const execFileAsync = (file, args, options) =>
+  new Promise((resolve, reject) => {
+    childProcess.execFile(file, args, options, (error) => (error ? reject(error) : resolve()));
+  });
+
+// Converts a document with a headless LibreOffice install. Each run gets its own
+// working directory and user profile so concurrent conversions do not collide.
+const convertWithLibreOffice = async (buffer, { inputExtension, outputFormat, binary = 'soffice', timeout = 60000 }) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'splitscreen-convert-'));
+  try {
+    const inputPath = path.join(workDir, `input.${inputExtension}`);
+    await fs.promises.writeFile(inputPath, buffer);
+    await execFileAsync(
+      binary,
+      [
+        '--headless',
+        '--norestore',
+        `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+        '--convert-to',
+        outputFormat,
+        '--outdir',
+        workDir,
+        inputPath,
+      ],
+      { timeout }
+    );
+    const outputExtension = outputFormat.split(':')[0];
+    const output = await fs.promises.readFile(path.join(workDir, `input.${outputExtension}`));
+    // LibreOffice can exit cleanly without having converted anything
+    if (!output.length) throw new ConversionError(`LibreOffice could not convert this .${inputExtension} file`);
+    return output;
+  } catch (error) {
+    if (error instanceof ConversionError) throw error;
+    if (error.code === 'ENOENT' && error.path === binary) {
+      throw new ConversionError(`LibreOffice is required to convert .${inputExtension} files but "${binary}" was not found. Install LibreOffice or set SOFFICE_PATH.`);
+    }
+    if (error.code === 'ENOENT') {
+      throw new ConversionError(`LibreOffice could not convert this .${inputExtension} file`);
+    }
+    if (error.killed) {
+      throw new ConversionError(`LibreOffice timed out converting .${inputExtension} file`);
+    }
+    throw new ConversionError(`LibreOffice conversion failed: ${error.message}`);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = { convertWithLibreOffice };
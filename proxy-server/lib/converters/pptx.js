@@ -0,0 +1,289 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const { ConversionError } = require('./conversionError');
+
+// PowerPoint measures everything in EMUs; 9525 EMU is one CSS pixel at 96 DPI
+const EMU_PER_PIXEL = 9525;
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Every attribute value written goes through here, so nothing read from the deck can
+// close the attribute and add markup
+const styleAttribute = (css) => `style="${escapeHtml(css)}"`;
+
+const toPixels = (emu) => Math.round((parseInt(emu, 10) || 0) / EMU_PER_PIXEL);
+
+// A deck is a zip archive, so a small upload could inflate to gigabytes (a zip bomb).
+// Everything read from one deck shares this budget.
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+// Wraps the archive so each entry is read against the remaining budget: first by the size
+// the zip directory declares, then by the bytes actually inflated, since a crafted
+// archive can declare less than it holds.
+const openArchive = (zip, maxBytes) => {
+  let remaining = maxBytes;
+  const tooLarge = () => new ConversionError('PowerPoint file is too large to convert');
+
+  const read = (file, encoding) =>
+    new Promise((resolve, reject) => {
+      const entry = zip.file(file);
+      // JSZip keeps the declared size on the entry's compressed data
+      if (entry._data.uncompressedSize > remaining) {
+        reject(tooLarge());
+        return;
+      }
+      const chunks = [];
+      let received = 0;
+      const stream = entry.internalStream('uint8array');
+      stream
+        .on('data', (chunk) => {
+          received += chunk.length;
+          if (received > remaining) {
+            stream.pause();
+            reject(tooLarge());
+            return;
+          }
+          chunks.push(chunk);
+        })
+        .on('error', () => reject(new ConversionError('File is not a valid PowerPoint (PPTX) document')))
+        .on('end', () => {
+          remaining -= received;
+          resolve(Buffer.concat(chunks).toString(encoding));
+        })
+        .resume();
+    });
+
+  return { has: (file) => Boolean(zip.file(file)), read };
+};
+
+const loadXml = async (archive, file) =>
+  archive.has(file) ? cheerio.load(await archive.read(file, 'utf8'), { xmlMode: true }) : null;
+
+// Maps relationship ids (rId3) to archive paths for the part at partPath. Targets are
+// relative to the part, or to the package root when they start with a slash.
+const loadRelationships = async (archive, partPath) => {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const $ = await loadXml(archive, relsPath);
+  const relationships = {};
+  if (!$) return relationships;
+  $('Relationship').each((index, element) => {
+    const target = $(element).attr('Target') || '';
+    const resolved = target.startsWith('/')
+      ? path.posix.normalize(target).slice(1)
+      : path.posix.join(path.posix.dirname(partPath), target);
+    relationships[$(element).attr('Id')] = $(element).attr('TargetMode') === 'External' ? null : resolved;
+  });
+  return relationships;
+};
+
+// Only plain RGB hex colors are used; anything else in a crafted deck is dropped
+const colorOf = ($, element) => {
+  const value = $(element).children('a\\:solidFill').children('a\\:srgbClr').attr('val');
+  return value && /^[0-9A-Fa-f]{6}$/.test(value) ? `#${value}` : null;
+};
+
+const renderRun = ($, run) => {
+  const properties = $(run).children('a\\:rPr');
+  const styles = [];
+  const size = properties.attr('sz');
+  if (size) styles.push(`font-size:${parseInt(size, 10) / 100}pt`);
+  if (properties.attr('b') === '1') styles.push('font-weight:bold');
+  if (properties.attr('i') === '1') styles.push('font-style:italic');
+  if (properties.attr('u') && properties.attr('u') !== 'none') styles.push('text-decoration:underline');
+  const color = colorOf($, properties);
+  if (color) styles.push(`color:${color}`);
+  const text = escapeHtml($(run).children('a\\:t').text());
+  return styles.length ? `<span ${styleAttribute(styles.join(';'))}>${text}</span>` : text;
+};
+
+const ALIGNMENTS = { ctr: 'center', r: 'right', just: 'justify' };
+
+const renderParagraphs = ($, textBody) => {
+  const paragraphs = [];
+  const lines = [];
+  $(textBody)
+    .children('a\\:p')
+    .each((index, paragraph) => {
+      const properties = $(paragraph).children('a\\:pPr');
+      const runs = $(paragraph)
+        .children('a\\:r, a\\:fld, a\\:br')
+        .map((runIndex, run) => (run.tagName === 'a:br' ? '<br>' : renderRun($, run)))
+        .get()
+        .join('');
+      const bullet = properties.children('a\\:buChar, a\\:buAutoNum').length ? '&bull; ' : '';
+      const align = ALIGNMENTS[properties.attr('algn')];
+      const level = parseInt(properties.attr('lvl'), 10) || 0;
+      const styles = ['margin:0 0 0.3em 0'];
+      if (align) styles.push(`text-align:${align}`);
+      if (level) styles.push(`margin-left:${level * 1.5}em`);
+      paragraphs.push(`<p ${styleAttribute(styles.join(';'))}>${bullet}${runs || '&nbsp;'}</p>`);
+      lines.push($(paragraph).find('a\\:t').map((tIndex, t) => $(t).text()).get().join(''));
+    });
+  return { html: paragraphs.join(''), text: lines.join('\n') };
+};
+
+const renderTable = ($, table) => {
+  const rows = $(table)
+    .find('a\\:tr')
+    .map((rowIndex, row) => {
+      const cells = $(row)
+        .children('a\\:tc')
+        .map((cellIndex, cell) => `<td ${styleAttribute('border:1px solid #999;padding:4px')}>${renderParagraphs($, $(cell).children('a\\:txBody')).html}</td>`)
+        .get()
+        .join('');
+      return `<tr>${cells}</tr>`;
+    })
+    .get()
+    .join('');
+  return `<table ${styleAttribute('border-collapse:collapse;width:100%;height:100%')}>${rows}</table>`;
+};
+
+// Reads a:off/a:ext from a transform element and maps it through the enclosing groups
+const readFrame = ($, transform, parentTransform) => {
+  if (!transform || !transform.length) return null;
+  const offset = transform.children('a\\:off');
+  const extent = transform.children('a\\:ext');
+  const frame = {
+    x: parseInt(offset.attr('x'), 10) || 0,
+    y: parseInt(offset.attr('y'), 10) || 0,
+    width: parseInt(extent.attr('cx'), 10) || 0,
+    height: parseInt(extent.attr('cy'), 10) || 0,
+  };
+  return parentTransform ? parentTransform(frame) : frame;
+};
+
+const positionStyle = (frame) =>
+  frame
+    ? `position:absolute;left:${toPixels(frame.x)}px;top:${toPixels(frame.y)}px;width:${toPixels(frame.width)}px;height:${toPixels(frame.height)}px;`
+    : 'position:relative;';
+
+const renderShapes = async ({ $, archive, relationships, container, parentTransform, textParts }) => {
+  const output = [];
+  for (const shape of $(container).children().toArray()) {
+    if (shape.tagName === 'p:sp') {
+      const frame = readFrame($, $(shape).children('p\\:spPr').children('a\\:xfrm'), parentTransform);
+      const fill = colorOf($, $(shape).children('p\\:spPr'));
+      const { html, text } = renderParagraphs($, $(shape).children('p\\:txBody'));
+      if (text.trim()) textParts.push(text);
+      if (!html && !fill) continue;
+      const background = fill ? `background:${fill};` : '';
+      output.push(`<div ${styleAttribute(`${positionStyle(frame)}${background}overflow:hidden;box-sizing:border-box;padding:4px`)}>${html}</div>`);
+    } else if (shape.tagName === 'p:pic') {
+      const frame = readFrame($, $(shape).children('p\\:spPr').children('a\\:xfrm'), parentTransform);
+      const target = relationships[$(shape).find('a\\:blip').attr('r:embed')];
+      if (!target || !archive.has(target)) continue;
+      const mimeType = IMAGE_TYPES[path.posix.extname(target).toLowerCase()];
+      if (!mimeType) continue;
+      const data = await archive.read(target, 'base64');
+      output.push(`<img src="${escapeHtml(`data:${mimeType};base64,${data}`)}" alt="" ${styleAttribute(`${positionStyle(frame)}object-fit:contain`)}>`);
+    } else if (shape.tagName === 'p:graphicFrame') {
+      const table = $(shape).find('a\\:tbl');
+      if (!table.length) continue;
+      const frame = readFrame($, $(shape).children('p\\:xfrm'), parentTransform);
+      textParts.push($(table).find('a\\:t').map((index, t) => $(t).text()).get().join(' '));
+      output.push(`<div ${styleAttribute(positionStyle(frame))}>${renderTable($, table)}</div>`);
+    } else if (shape.tagName === 'p:grpSp') {
+      const groupTransform = $(shape).children('p\\:grpSpPr').children('a\\:xfrm');
+      const groupFrame = readFrame($, groupTransform, parentTransform);
+      const childOffset = groupTransform.children('a\\:chOff');
+      const childExtent = groupTransform.children('a\\:chExt');
+      // Children are laid out in the group's own coordinate space, scaled into its frame
+      const transform = groupFrame
+        ? (frame) => {
+            const scaleX = groupFrame.width / (parseInt(childExtent.attr('cx'), 10) || groupFrame.width || 1);
+            const scaleY = groupFrame.height / (parseInt(childExtent.attr('cy'), 10) || groupFrame.height || 1);
+            return {
+              x: groupFrame.x + (frame.x - (parseInt(childOffset.attr('x'), 10) || 0)) * scaleX,
+              y: groupFrame.y + (frame.y - (parseInt(childOffset.attr('y'), 10) || 0)) * scaleY,
+              width: frame.width * scaleX,
+              height: frame.height * scaleY,
+            };
+          }
+        : parentTransform;
+      output.push(...(await renderShapes({ $, archive, relationships, container: shape, parentTransform: transform, textParts })));
+    }
+  }
+  return output;
+};
+
+const readNotes = async (archive, notesPath) => {
+  const $ = notesPath && (await loadXml(archive, notesPath));
+  if (!$) return '';
+  const body = $('p\\:sp')
+    .filter((index, shape) => $(shape).find('p\\:ph').attr('type') === 'body')
+    .first();
+  return body.find('a\\:p')
+    .map((index, paragraph) => $(paragraph).find('a\\:t').map((tIndex, t) => $(t).text()).get().join(''))
+    .get()
+    .join('\n')
+    .trim();
+};
+
+// Converts a PPTX into { title, width, height, slides: [{ number, html, text, notes }] }.
+// Each slide's html is a fixed-size, absolutely positioned layout at the deck's native
+// pixel size, meant to be scaled to fit by the viewer. maxUncompressedBytes caps how much
+// the deck may inflate to.
+const convertPptx = async (buffer, { maxUncompressedBytes = MAX_UNCOMPRESSED_BYTES } = {}) => {
+  let archive;
+  try {
+    archive = openArchive(await JSZip.loadAsync(buffer), maxUncompressedBytes);
+  } catch (error) {
+    throw new ConversionError('File is not a valid PowerPoint (PPTX) document');
+  }
+
+  const presentation = await loadXml(archive, 'ppt/presentation.xml');
+  if (!presentation) throw new ConversionError('PPTX file is missing ppt/presentation.xml');
+
+  const presentationRels = await loadRelationships(archive, 'ppt/presentation.xml');
+  const slideSize = presentation('p\\:sldSz');
+  const width = toPixels(slideSize.attr('cx') || 12192000);
+  const height = toPixels(slideSize.attr('cy') || 6858000);
+  const slidePaths = presentation('p\\:sldIdLst p\\:sldId')
+    .map((index, element) => presentationRels[presentation(element).attr('r:id')])
+    .get()
+    .filter(Boolean);
+
+  const core = await loadXml(archive, 'docProps/core.xml');
+  const title = core ? core('dc\\:title').text() : '';
+
+  const slides = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const $ = await loadXml(archive, slidePath);
+    if (!$) continue;
+    const relationships = await loadRelationships(archive, slidePath);
+    const textParts = [];
+    const shapes = await renderShapes({ $, archive, relationships, container: $('p\\:cSld p\\:spTree').first(), textParts });
+    const background = colorOf($, $('p\\:cSld p\\:bg p\\:bgPr').first()) || '#ffffff';
+    const notesPath = Object.values(relationships).find((target) => target && target.includes('notesSlides/'));
+
+    slides.push({
+      number: index + 1,
+      html: `<div ${styleAttribute(
+        `position:relative;width:${width}px;height:${height}px;background:${background};font-family:Calibri,Arial,sans-serif;font-size:18pt;overflow:hidden`
+      )}>${shapes.join('')}</div>`,
+      text: textParts.join('\n'),
+      notes: await readNotes(archive, notesPath),
+    });
+  }
+
+  if (!slides.length) throw new ConversionError('No slides found in the PowerPoint file');
+  return { title, width, height, slides };
+};
+
+module.exports = { convertPptx };
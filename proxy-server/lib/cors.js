@@ -0,0 +1,39 @@
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compiles an allowed origin into an anchored pattern. "*" stands for one or more DNS
+// labels, so "https://*.vercel.app" matches "https://pr-1.vercel.app" but neither
+// "https://vercel.app" nor "https://evil.com/?.vercel.app".
+const originPattern = (allowed) => {
+  const source = allowed
+    .trim()
+    .replace(/\/+$/, '')
+    .split('*')
+    .map(escapeRegExp)
+    .join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+// Returns a predicate telling whether a request Origin header is allowed
+const createOriginMatcher = (allowedOrigins = []) => {
+  const patterns = allowedOrigins.filter(Boolean).map(originPattern);
+  return (origin) => patterns.some((pattern) => pattern.test(origin));
+};
+
+// Options for the cors middleware. Requests without an Origin header (same-origin pages,
+// curl, the server's own build) are let through.
+const createCorsOptions = (allowedOrigins) => {
+  const isAllowedOrigin = createOriginMatcher(allowedOrigins);
+  return {
+    origin: (origin, callback) => {
+      if (!origin || isAllowedOrigin(origin)) {
+        callback(null, true);
+      } else {
+        console.error(`CORS rejected origin: ${origin}`);
+        callback(new Error('CORS policy violation'));
+      }
+    },
+    credentials: true,
+  };
+};
+
+module.exports = { createOriginMatcher, createCorsOptions };
@@ -0,0 +1,67 @@
+// Machine-readable error model shared by /proxy and /upload. Every failure is sent as
+// { error, code, ...details } so the client can pick a message and recovery action.
+const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  BLOCKED_URL: 'BLOCKED_URL',
+  UPSTREAM_CLIENT_ERROR: 'UPSTREAM_CLIENT_ERROR',
+  UPSTREAM_SERVER_ERROR: 'UPSTREAM_SERVER_ERROR',
+  UPSTREAM_UNREACHABLE: 'UPSTREAM_UNREACHABLE',
+  UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+  TOO_MANY_REDIRECTS: 'TOO_MANY_REDIRECTS',
+  UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+  CONVERSION_FAILED: 'CONVERSION_FAILED',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  SERVER_BUSY: 'SERVER_BUSY',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+class ProxyError extends Error {
+  constructor(code, message, status = 500, details = {}) {
+    super(message);
+    this.name = 'ProxyError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, ...this.details };
+  }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Builds the error for a non-2xx upstream response, keeping the upstream status for the client
+const upstreamError = (response) => {
+  const details = { upstreamStatus: response.status };
+  const reason = `${response.status} ${response.statusText}`.trim();
+  return response.status >= 500
+    ? new ProxyError(ERROR_CODES.UPSTREAM_SERVER_ERROR, `Upstream server error: ${reason}`, 502, details)
+    : new ProxyError(ERROR_CODES.UPSTREAM_CLIENT_ERROR, `Upstream request failed: ${reason}`, 502, details);
+};
+
+// Maps anything thrown while handling a request onto a ProxyError
+const toProxyError = (error) => {
+  if (error instanceof ProxyError) return error;
+  // node-fetch aborts and Puppeteer navigation timeouts
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return new ProxyError(ERROR_CODES.UPSTREAM_TIMEOUT, 'The upstream server took too long to respond', 504);
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return new ProxyError(ERROR_CODES.UPSTREAM_UNREACHABLE, `Could not reach the upstream server (${error.code})`, 502);
+  }
+  if (error.name === 'MulterError' && error.code === 'LIMIT_FILE_SIZE') {
+    return new ProxyError(ERROR_CODES.FILE_TOO_LARGE, 'Uploaded file exceeds the maximum allowed size', 413);
+  }
+  if (error.name === 'MulterError') {
+    return new ProxyError(ERROR_CODES.INVALID_REQUEST, error.message, 400);
+  }
+  return new ProxyError(ERROR_CODES.INTERNAL_ERROR, error.message || 'Internal server error', 500);
+};
+
+const sendError = (res, error) => {
+  const proxyError = toProxyError(error);
+  res.status(proxyError.status).json(proxyError);
+};
+
+module.exports = { ERROR_CODES, ProxyError, upstreamError, toProxyError, sendError };
@@ -0,0 +1,130 @@
+const cheerio = require('cheerio');
+
+// Attributes holding subresources that must be loaded through the proxy
+const RESOURCE_ATTRIBUTES = [
+  ['img', 'src'],
+  ['script', 'src'],
+  ['iframe', 'src'],
+  ['embed', 'src'],
+  ['source', 'src'],
+  ['track', 'src'],
+  ['audio', 'src'],
+  ['video', 'src'],
+  ['video', 'poster'],
+  ['input[type="image"]', 'src'],
+  ['object', 'data'],
+  ['link[rel~="stylesheet"]', 'href'],
+  ['link[rel~="icon"]', 'href'],
+  ['link[rel~="preload"]', 'href'],
+  ['image', 'href'],
+  ['use', 'href'],
+];
+
+// Attributes that navigate rather than load, so they only need to become absolute
+const NAVIGATION_ATTRIBUTES = [
+  ['a', 'href'],
+  ['area', 'href'],
+  ['form', 'action'],
+];
+
+const SKIPPED_URL_PATTERN = /^(#|data:|blob:|javascript:|mailto:|tel:|about:)/i;
+
+const resolveUrl = (value, baseUrl) => {
+  try {
+    return new URL(value.trim(), baseUrl).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+const createRewriter = ({ baseUrl, proxyBase }) => {
+  const toProxy = (value) => {
+    if (!value || SKIPPED_URL_PATTERN.test(value.trim())) return value;
+    const absolute = resolveUrl(value, baseUrl);
+    return absolute ? `${proxyBase}/proxy?url=${encodeURIComponent(absolute)}` : value;
+  };
+
+  const toAbsolute = (value) => {
+    if (!value || SKIPPED_URL_PATTERN.test(value.trim())) return value;
+    return resolveUrl(value, baseUrl) || value;
+  };
+
+  // "a.png 1x, b.png 2x" -> each candidate URL proxied, descriptors kept. A URL runs to the
+  // next whitespace and may itself hold commas (data: URIs), so a comma only ends a
+  // candidate at the end of its URL or after its descriptors.
+  const rewriteSrcset = (srcset) => {
+    const candidates = [];
+    let rest = srcset.replace(/^[\s,]+/, '');
+    while (rest) {
+      let candidateUrl = rest.match(/^\S+/)[0];
+      rest = rest.slice(candidateUrl.length);
+      let descriptors = '';
+      if (candidateUrl.endsWith(',')) {
+        candidateUrl = candidateUrl.replace(/,+$/, '');
+      } else {
+        const end = rest.indexOf(',');
+        descriptors = (end === -1 ? rest : rest.slice(0, end)).trim();
+        rest = end === -1 ? '' : rest.slice(end + 1);
+      }
+      candidates.push(descriptors ? `${toProxy(candidateUrl)} ${descriptors}` : toProxy(candidateUrl));
+      rest = rest.replace(/^[\s,]+/, '');
+    }
+    return candidates.join(', ');
+  };
+
+  // url("a(1).png") keeps everything between its quotes; an unquoted url() can only hold
+  // parentheses escaped, as url(a\(1\).png). Proxied URLs are written quoted for that reason.
+  const rewriteCss = (css) =>
+    css
+      .replace(/url\(\s*(?:(['"])((?:\\.|(?!\1)[^\\])*)\1|((?:[^'"()\s\\]|\\.)+))\s*\)/gi, (match, quote, quoted, unquoted) => {
+        const value = (quote ? quoted : unquoted).replace(/\\(.)/g, '$1');
+        const proxied = toProxy(value);
+        return proxied === value ? match : `url("${proxied}")`;
+      })
+      .replace(/@import\s+(['"])([^'"]+)\1/gi, (match, quote, value) => `@import ${quote}${toProxy(value)}${quote}`);
+
+  return { toProxy, toAbsolute, rewriteSrcset, rewriteCss };
+};
+
+// Rewrites a proxied HTML document so it renders correctly when injected into the app:
+// subresources load through /proxy, links point at absolute upstream URLs (which
+// ProxyContent opens in the pane), and a <base> matches the upstream page.
+const rewriteHtml = (html, { baseUrl, proxyBase }) => {
+  const $ = cheerio.load(html);
+  const documentBase = resolveUrl($('base[href]').first().attr('href') || '', baseUrl) || baseUrl;
+  const rewriter = createRewriter({ baseUrl: documentBase, proxyBase });
+
+  RESOURCE_ATTRIBUTES.forEach(([selector, attribute]) => {
+    $(`${selector}[${attribute}]`).each((index, element) => {
+      $(element).attr(attribute, rewriter.toProxy($(element).attr(attribute)));
+    });
+  });
+
+  NAVIGATION_ATTRIBUTES.forEach(([selector, attribute]) => {
+    $(`${selector}[${attribute}]`).each((index, element) => {
+      $(element).attr(attribute, rewriter.toAbsolute($(element).attr(attribute)));
+    });
+  });
+
+  $('[srcset]').each((index, element) => {
+    $(element).attr('srcset', rewriter.rewriteSrcset($(element).attr('srcset')));
+  });
+
+  $('[style]').each((index, element) => {
+    $(element).attr('style', rewriter.rewriteCss($(element).attr('style')));
+  });
+
+  $('style').each((index, element) => {
+    $(element).text(rewriter.rewriteCss($(element).text()));
+  });
+
+  $('base').remove();
+  $('head').prepend(`<base href="${documentBase.replace(/"/g, '&quot;')}">`);
+
+  return $.html();
+};
+
+// Stylesheets fetched through the proxy resolve url() against their own location
+const rewriteCss = (css, { baseUrl, proxyBase }) => createRewriter({ baseUrl, proxyBase }).rewriteCss(css);
+
+module.exports = { rewriteHtml, rewriteCss };
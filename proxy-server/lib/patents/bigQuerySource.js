@@ -0,0 +1,50 @@
+const { toPatentRecord } = require('./record');
+
+const PUBLICATIONS_TABLE = '`patents-public-data.patents.publications`';
+
+const PATENT_QUERY = `
+  SELECT
+    (SELECT text FROM UNNEST(title_localized) WHERE language = 'en' LIMIT 1) AS title,
+    (SELECT text FROM UNNEST(abstract_localized) WHERE language = 'en' LIMIT 1) AS abstract,
+    publication_number,
+    filing_date,
+    grant_date,
+    ARRAY(SELECT name FROM UNNEST(inventor_harmonized)) AS inventor_harmonized,
+    ARRAY(SELECT name FROM UNNEST(assignee_harmonized)) AS assignee_harmonized,
+    ARRAY(SELECT code FROM UNNEST(cpc)) AS cpc_code
+  FROM ${PUBLICATIONS_TABLE}
+  WHERE publication_number LIKE @publicationNumber
+  ORDER BY publication_date DESC
+  LIMIT 1
+`;
+
+// Google Patents public dataset. Credentials come from GOOGLE_APPLICATION_CREDENTIALS
+// or the ambient gcloud login; queries are billed to projectId.
+const createBigQuerySource = ({ projectId, location }) => {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      // Required lazily so the server can run offline without the BigQuery client configured
+      const { BigQuery } = require('@google-cloud/bigquery');
+      client = new BigQuery(projectId ? { projectId } : {});
+    }
+    return client;
+  };
+
+  return {
+    name: 'bigquery',
+    async fetchPatent({ country, number, kind }) {
+      // The dataset formats publication numbers as US-7654321-B2
+      const publicationNumber = `${country}-${number}-${kind || '%'}`;
+      const [rows] = await getClient().query({
+        query: PATENT_QUERY,
+        params: { publicationNumber },
+        location: location || 'US',
+      });
+      return rows.length ? toPatentRecord(rows[0]) : null;
+    },
+  };
+};
+
+module.exports = { createBigQuerySource };
@@ -0,0 +1,19 @@
+const { createBigQuerySource } = require('./bigQuerySource');
+const { createLocalSource } = require('./localSource');
+const { parsePatentNumber, normalizePatentNumber } = require('./patentNumber');
+const { createPatentRouter } = require('./router');
+
+const sourceFactories = {
+  bigquery: createBigQuerySource,
+  local: createLocalSource,
+};
+
+const createPatentSource = ({ type = 'local', ...options } = {}) => {
+  const factory = sourceFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown patent source "${type}". Expected one of: ${Object.keys(sourceFactories).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = { createPatentSource, createPatentRouter, parsePatentNumber, normalizePatentNumber };
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const { normalizePatentNumber } = require('./patentNumber');
+const { toPatentRecord } = require('./record');
+
+// Offline data source backed by a JSON file containing an array of patent records
+// in the same shape PatentViewer renders.
+const createLocalSource = ({ dataFile }) => {
+  let index = null;
+
+  const loadIndex = () => {
+    if (index) return index;
+    index = new Map();
+    if (!dataFile || !fs.existsSync(dataFile)) {
+      console.warn(`Patent data file ${dataFile} does not exist. Local lookups will return no results.`);
+      return index;
+    }
+    const records = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    if (!Array.isArray(records)) {
+      throw new Error(`Patent data file ${dataFile} must contain a JSON array`);
+    }
+    records.forEach((raw) => {
+      const key = normalizePatentNumber(raw.publication_number);
+      if (key) index.set(key, toPatentRecord(raw));
+    });
+    console.log(`Loaded ${index.size} patent records from ${dataFile}`);
+    return index;
+  };
+
+  return {
+    name: 'local',
+    async fetchPatent({ normalized, country, number, kind }) {
+      const records = loadIndex();
+      if (records.has(normalized)) return records.get(normalized);
+      // Without a kind code, fall back to any publication with the same number
+      if (!kind) {
+        const prefix = `${country}${number}`;
+        for (const [key, record] of records) {
+          if (key.startsWith(prefix) && /^[A-Z]\d?$/.test(key.slice(prefix.length))) return record;
+        }
+      }
+      return null;
+    },
+  };
+};
+
+module.exports = { createLocalSource };
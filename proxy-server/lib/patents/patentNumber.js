@@ -0,0 +1,19 @@
+// Helpers for turning user-entered patent numbers ("US 7,654,321 B2", "us7654321")
+// into the forms our data sources understand.
+
+const PATENT_NUMBER_PATTERN = /^([A-Z]{2})(\d+)([A-Z]\d?)?$/;
+
+const normalizePatentNumber = (value) => {
+  if (typeof value !== 'string') return null;
+  const compact = value.toUpperCase().replace(/[\s,.\-/]/g, '');
+  return PATENT_NUMBER_PATTERN.test(compact) ? compact : null;
+};
+
+const parsePatentNumber = (value) => {
+  const normalized = normalizePatentNumber(value);
+  if (!normalized) return null;
+  const [, country, number, kind] = normalized.match(PATENT_NUMBER_PATTERN);
+  return { normalized, country, number, kind: kind || null };
+};
+
+module.exports = { normalizePatentNumber, parsePatentNumber };
@@ -0,0 +1,29 @@
+// Coerces a raw row from any data source into the shape PatentViewer expects.
+// The list fields are always arrays so the viewer can map over them safely.
+
+const toArray = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value])
+    .map((item) => (item && typeof item === 'object' ? item.name || item.code : item))
+    .filter(Boolean);
+};
+
+// BigQuery stores dates as integers like 20100202, with 0 meaning "not set"
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  return /^\d{8}$/.test(text) ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}` : text;
+};
+
+const toPatentRecord = (raw) => ({
+  title: raw.title || '',
+  abstract: raw.abstract || '',
+  publication_number: raw.publication_number,
+  filing_date: toIsoDate(raw.filing_date),
+  grant_date: toIsoDate(raw.grant_date),
+  inventor_harmonized: toArray(raw.inventor_harmonized),
+  assignee_harmonized: toArray(raw.assignee_harmonized),
+  cpc_code: toArray(raw.cpc_code),
+});
+
+module.exports = { toPatentRecord };
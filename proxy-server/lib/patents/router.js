@@ -0,0 +1,38 @@
+const express = require('express');
+const { parsePatentNumber } = require('./patentNumber');
+
+// POST /api/fetch-patent with { patentNumber }, answered from patentSource. Expects JSON
+// bodies to be parsed already.
+const createPatentRouter = ({ patentSource }) => {
+  const router = express.Router();
+
+  router.post('/api/fetch-patent', async (req, res) => {
+    const { patentNumber } = req.body || {};
+
+    if (!patentNumber) {
+      return res.status(400).json({ error: 'patentNumber is required' });
+    }
+
+    const parsed = parsePatentNumber(patentNumber);
+    if (!parsed) {
+      return res.status(400).json({ error: `Invalid patent number format: ${patentNumber}` });
+    }
+
+    console.log(`Patent lookup for ${parsed.normalized} using ${patentSource.name} source`);
+
+    try {
+      const patent = await patentSource.fetchPatent(parsed);
+      if (!patent) {
+        return res.status(404).json({ error: `Patent ${patentNumber} not found` });
+      }
+      res.json(patent);
+    } catch (error) {
+      console.error(`Error fetching patent ${patentNumber}:`, error.message);
+      res.status(502).json({ error: `Error fetching patent data: ${error.message}` });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPatentRouter };
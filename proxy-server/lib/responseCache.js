@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const parseCacheControl = (header) => {
+  const directives = {};
+  if (!header) return directives;
+  header.split(',').forEach((part) => {
+    const [name, value] = part.trim().split('=');
+    if (name) directives[name.toLowerCase()] = value === undefined ? true : value.replace(/"/g, '');
+  });
+  return directives;
+};
+
+// Works out how long (in seconds) an upstream response may be served without
+// revalidation, or null when it must not be stored at all.
+const freshnessFor = (headers, defaultTtl, maxTtl) => {
+  const directives = parseCacheControl(headers.get('cache-control'));
+  if (directives['no-store'] || directives.private) return null;
+  if (directives['no-cache']) return 0;
+  const maxAge = parseInt(directives['s-maxage'] ?? directives['max-age'], 10);
+  const ttl = Number.isNaN(maxAge) ? defaultTtl : maxAge;
+  return Math.max(0, Math.min(ttl, maxTtl));
+};
+
+// Disk-backed cache for proxied documents. Each entry is a body file plus a JSON
+// metadata file named after the SHA-256 of the URL; an in-memory index tracks
+// sizes and access times so the least recently used entries go first when the
+// cache grows past maxBytes.
+const createResponseCache = ({ dir, defaultTtl = 3600, maxTtl = 86400, maxBytes = 200 * 1024 * 1024, enabled = true }) => {
+  const index = new Map();
+  let totalBytes = 0;
+  const counters = { hits: 0, misses: 0, revalidated: 0, stores: 0, evictions: 0 };
+
+  const keyFor = (url) => crypto.createHash('sha256').update(url).digest('hex');
+  const metaPath = (key) => path.join(dir, `${key}.json`);
+  const bodyPath = (key) => path.join(dir, `${key}.body`);
+
+  // A cache directory that can't be created or read turns the cache off instead of
+  // failing requests or the server's startup
+  const ready = (async () => {
+    if (!enabled) return;
+    let files;
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      console.warn(`Response cache disabled: cannot use ${dir}:`, error.message);
+      enabled = false;
+      return;
+    }
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+        index.set(meta.key, meta);
+        totalBytes += meta.size;
+      } catch (error) {
+        console.warn(`Skipping unreadable cache entry ${file}:`, error.message);
+      }
+    }
+    console.log(`Response cache loaded ${index.size} entries (${totalBytes} bytes) from ${dir}`);
+  })();
+
+  const removeEntry = async (key) => {
+    const meta = index.get(key);
+    if (!meta) return false;
+    index.delete(key);
+    totalBytes -= meta.size;
+    await Promise.all([
+      fs.promises.rm(metaPath(key), { force: true }),
+      fs.promises.rm(bodyPath(key), { force: true }),
+    ]);
+    return true;
+  };
+
+  const evict = async () => {
+    if (totalBytes <= maxBytes) return;
+    const byAge = [...index.values()].sort((a, b) => a.lastAccessed - b.lastAccessed);
+    for (const meta of byAge) {
+      if (totalBytes <= maxBytes) break;
+      await removeEntry(meta.key);
+      counters.evictions += 1;
+    }
+  };
+
+  // Writes to a temporary file first so readers never see half a file. Each write gets
+  // its own name, so concurrent stores of one URL don't rename each other's files away.
+  const writeAtomically = async (file, data) => {
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    } catch (error) {
+      await fs.promises.rm(tmp, { force: true });
+      throw error;
+    }
+  };
+
+  const writeMeta = (meta) => writeAtomically(metaPath(meta.key), JSON.stringify(meta));
+
+  // Returns { body, contentType, baseUrl, fresh, etag, lastModified } or null on a miss
+  const get = async (url) => {
+    if (!enabled) return null;
+    await ready;
+    const key = keyFor(url);
+    const meta = index.get(key);
+    if (!meta) {
+      counters.misses += 1;
+      return null;
+    }
+    try {
+      const body = await fs.promises.readFile(bodyPath(key));
+      meta.lastAccessed = Date.now();
+      const fresh = Date.now() < meta.expiresAt;
+      if (fresh) counters.hits += 1;
+      return { body, contentType: meta.contentType, baseUrl: meta.baseUrl, fresh, etag: meta.etag, lastModified: meta.lastModified };
+    } catch (error) {
+      console.warn(`Cache body missing for ${url}, dropping entry:`, error.message);
+      await removeEntry(key);
+      counters.misses += 1;
+      return null;
+    }
+  };
+
+  const set = async (url, body, { contentType, headers, baseUrl = null }) => {
+    if (!enabled) return false;
+    await ready;
+    if (!enabled) return false;
+    const ttl = freshnessFor(headers, defaultTtl, maxTtl);
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    if (ttl === null || buffer.length > maxBytes) return false;
+
+    const key = keyFor(url);
+    await removeEntry(key);
+    const now = Date.now();
+    const meta = {
+      key,
+      url,
+      contentType,
+      baseUrl,
+      size: buffer.length,
+      etag: headers.get('etag'),
+      lastModified: headers.get('last-modified'),
+      storedAt: now,
+      lastAccessed: now,
+      expiresAt: now + ttl * 1000,
+    };
+    await writeAtomically(bodyPath(key), buffer);
+    await writeMeta(meta);
+    // Another store of the same URL may have finished in the meantime
+    totalBytes -= index.get(key)?.size || 0;
+    index.set(key, meta);
+    totalBytes += meta.size;
+    counters.stores += 1;
+    await evict();
+    return true;
+  };
+
+  // Extends an entry after the upstream answered 304 Not Modified
+  const revalidate = async (url, headers) => {
+    await ready;
+    const meta = index.get(keyFor(url));
+    if (!meta) return;
+    const ttl = freshnessFor(headers, defaultTtl, maxTtl) ?? 0;
+    meta.expiresAt = Date.now() + ttl * 1000;
+    meta.etag = headers.get('etag') || meta.etag;
+    counters.revalidated += 1;
+    await writeMeta(meta);
+  };
+
+  const purge = async (url) => {
+    await ready;
+    if (url) return (await removeEntry(keyFor(url))) ? 1 : 0;
+    const keys = [...index.keys()];
+    await Promise.all(keys.map(removeEntry));
+    return keys.length;
+  };
+
+  const stats = () => ({ enabled, entries: index.size, totalBytes, maxBytes, ...counters });
+
+  return { get, set, revalidate, purge, stats };
+};
+
+module.exports = { createResponseCache, parseCacheControl };
@@ -0,0 +1,109 @@
+const http = require('http');
+const https = require('https');
+const { Transform } = require('stream');
+const { ProxyError, ERROR_CODES } = require('./errors');
+const { BlockedUrlError } = require('./urlGuard');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+class ResponseTooLargeError extends ProxyError {
+  constructor(maxBytes) {
+    super(ERROR_CODES.FILE_TOO_LARGE, `Response exceeds the maximum allowed size of ${maxBytes} bytes`, 413, { maxBytes });
+    this.name = 'ResponseTooLargeError';
+  }
+}
+
+class TooManyRedirectsError extends ProxyError {
+  constructor(maxRedirects) {
+    super(ERROR_CODES.TOO_MANY_REDIRECTS, `Too many redirects (more than ${maxRedirects})`, 502);
+    this.name = 'TooManyRedirectsError';
+  }
+}
+
+// fetch() for untrusted URLs: every redirect hop is re-validated by the URL guard,
+// connections go through agents whose DNS lookup refuses private addresses, and
+// response bodies are capped at maxBytes.
+const createSafeFetch = ({ guard, maxRedirects = 5, maxBytes = 50 * 1024 * 1024, timeout = 30000 }) => {
+  const httpAgent = new http.Agent({ keepAlive: true, lookup: guard.lookup });
+  const httpsAgent = new https.Agent({ keepAlive: true, lookup: guard.lookup });
+  const agent = (parsedUrl) => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent);
+
+  const safeFetch = async (url, options = {}) => {
+    const { default: fetch } = await import('node-fetch');
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop += 1) {
+      await guard.checkUrl(currentUrl);
+
+      // The timeout covers connecting and receiving headers, not streaming the body
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let response;
+      try {
+        response = await fetch(currentUrl, { ...options, agent, redirect: 'manual', signal: controller.signal });
+      } catch (error) {
+        // Refused at connect time by the guard's DNS lookup (e.g. DNS rebinding)
+        if (error.code === 'EBLOCKED') throw new BlockedUrlError(error.message);
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const location = response.headers.get('location');
+      if (REDIRECT_STATUSES.includes(response.status) && location) {
+        // Nobody reads the redirect's body; destroying it frees the connection
+        response.body.destroy();
+        currentUrl = new URL(location, currentUrl).toString();
+        console.log(`Following redirect to ${currentUrl}`);
+        continue;
+      }
+
+      const contentLength = parseInt(response.headers.get('content-length'), 10);
+      if (contentLength > maxBytes) {
+        response.body.destroy();
+        throw new ResponseTooLargeError(maxBytes);
+      }
+
+      response.finalUrl = currentUrl;
+      return response;
+    }
+
+    throw new TooManyRedirectsError(maxRedirects);
+  };
+
+  // Buffers the whole body, giving up as soon as it grows past maxBytes
+  const readBody = async (response) => {
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        response.body.destroy();
+        throw new ResponseTooLargeError(maxBytes);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  // Passes the body through unchanged but errors the stream once it exceeds maxBytes
+  const limitBody = (response) => {
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          response.body.destroy();
+          return callback(new ResponseTooLargeError(maxBytes));
+        }
+        callback(null, chunk);
+      },
+    });
+    response.body.on('error', (error) => limiter.destroy(error));
+    return response.body.pipe(limiter);
+  };
+
+  return { fetch: safeFetch, readBody, limitBody, maxBytes };
+};
+
+module.exports = { createSafeFetch, ResponseTooLargeError, TooManyRedirectsError };
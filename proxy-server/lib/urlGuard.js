@@ -0,0 +1,161 @@
+const dns = require('dns');
+const net = require('net');
+const { ProxyError, ERROR_CODES } = require('./errors');
+
+// Addresses the proxy must never reach: loopback, private, link-local (cloud
+// metadata lives at 169.254.169.254), carrier-grade NAT, multicast and reserved.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return blockedAddresses.check(address, 'ipv4');
+  if (family === 6) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) must be judged by its IPv4 part
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+    return blockedAddresses.check(address, 'ipv6');
+  }
+  return true;
+};
+
+const parseHostList = (value) =>
+  (value || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// "*.example.com" matches any subdomain of example.com; anything else must match exactly
+const matchesHost = (hostname, pattern) =>
+  pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+
+class BlockedUrlError extends ProxyError {
+  constructor(message) {
+    super(ERROR_CODES.BLOCKED_URL, message, 403);
+    this.name = 'BlockedUrlError';
+  }
+}
+
+const createUrlGuard = ({ allowHosts = [], denyHosts = [], allowPrivateNetworks = false } = {}) => {
+  // Lists may come from a config file rather than parseHostList
+  allowHosts = allowHosts.map((host) => host.toLowerCase());
+  denyHosts = denyHosts.map((host) => host.toLowerCase());
+  const checkHost = (hostname) => {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (denyHosts.some((pattern) => matchesHost(host, pattern))) {
+      throw new BlockedUrlError(`Host ${host} is on the deny list`);
+    }
+    if (allowHosts.length && !allowHosts.some((pattern) => matchesHost(host, pattern))) {
+      throw new BlockedUrlError(`Host ${host} is not on the allow list`);
+    }
+    return host;
+  };
+
+  const checkAddress = (hostname, address) => {
+    if (!allowPrivateNetworks && isPrivateAddress(address)) {
+      throw new BlockedUrlError(`Host ${hostname} resolves to a private or reserved address (${address})`);
+    }
+  };
+
+  // Validates protocol, host lists and every address the hostname currently resolves to
+  const checkUrl = async (value) => {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      throw new BlockedUrlError(`Invalid URL: ${value}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new BlockedUrlError(`Protocol ${parsed.protocol} is not allowed`);
+    }
+    const host = checkHost(parsed.hostname);
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    addresses.forEach(({ address }) => checkAddress(host, address));
+    return parsed;
+  };
+
+  // Drop-in replacement for dns.lookup used by the outgoing HTTP agents and the browser
+  // proxy. Checking the address at connect time means a hostname that re-resolves to an
+  // internal IP after checkUrl (DNS rebinding) is still refused.
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      try {
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        addresses.forEach((entry) => checkAddress(hostname, entry.address));
+      } catch (blocked) {
+        // node-fetch only keeps the code of connection errors, so tag it for safeFetch
+        blocked.code = 'EBLOCKED';
+        return callback(blocked);
+      }
+      callback(null, address, family);
+    });
+  };
+
+  // Pages whose WebSockets are already disabled; pooled pages are protected again per use
+  const socketFreePages = new WeakSet();
+
+  // Applies the same rules to every request the headless browser makes while rendering
+  // a page, including subresources and its own redirect hops. The check here rejects
+  // requests early; the connections themselves go through the browser proxy, which
+  // resolves and checks the address it connects to. WebSockets aren't seen by request
+  // interception and a rendered snapshot never needs them, so they are refused outright.
+  const protectPage = async (page) => {
+    if (!socketFreePages.has(page)) {
+      const session = await page.createCDPSession();
+      await session.send('Network.enable');
+      await session.send('Network.setBlockedURLs', { urls: ['ws://*', 'wss://*'] });
+      await page.evaluateOnNewDocument(() => {
+        const refuse = function WebSocket() {
+          throw new DOMException('WebSockets are disabled', 'SecurityError');
+        };
+        Object.defineProperty(window, 'WebSocket', { value: refuse, writable: false, configurable: false });
+      });
+      socketFreePages.add(page);
+    }
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      const requestUrl = request.url();
+      if (/^(data|blob|about):/.test(requestUrl)) {
+        request.continue();
+        return;
+      }
+      checkUrl(requestUrl).then(
+        () => request.continue(),
+        (error) => {
+          console.warn(`Blocked browser request to ${requestUrl}: ${error.message}`);
+          request.abort('blockedbyclient');
+        }
+      );
+    });
+  };
+
+  return { checkUrl, checkHost, lookup, protectPage };
+};
+
+module.exports = { createUrlGuard, isPrivateAddress, parseHostList, BlockedUrlError };
@@ -1,23 +1,29 @@
 const express = require('express');
-const puppeteer = require('puppeteer');
 const cors = require('cors');
 const multer = require('multer');
-const mammoth = require('mammoth');
-const path = require('path');
 const fs = require('fs');
+const { createPatentSource, createPatentRouter } = require('./lib/patents');
+const { createBrowserPool } = require('./lib/browserPool');
+const { createResponseCache } = require('./lib/responseCache');
+const { createUrlGuard } = require('./lib/urlGuard');
+const { createBrowserProxy } = require('./lib/browserProxy');
+const { createSafeFetch, ResponseTooLargeError } = require('./lib/safeFetch');
+const { rewriteHtml, rewriteCss } = require('./lib/htmlRewriter');
+const { ERROR_CODES, ProxyError, upstreamError, toProxyError, sendError } = require('./lib/errors');
+const { createConverters, presentationFormat, documentFormat, SLIDES_CONTENT_TYPE } = require('./lib/converters');
+const { createCorsOptions } = require('./lib/cors');
+const { loadConfig } = require('./config');
 
-// Use dynamic import for node-fetch
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
 
 (async () => {
+  const config = loadConfig();
   const app = express();
-  const port = process.env.PORT || 5001;
+  const port = config.port;
 
   // Middleware
   app.use(express.json());
-  // Define __dirname for CommonJS
-  const __dirname = path.dirname(__filename);
-  const buildPath = path.join(__dirname, '../splitscreen-main/build');
+  const buildPath = config.buildPath;
 
   // Verify build path exists to prevent ENOENT errors
   if (!fs.existsSync(buildPath)) {
@@ -25,131 +31,235 @@ const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch
   }
   app.use(express.static(buildPath));
 
-  // Configure CORS with specific origins
-  app.use(
-    cors({
-      origin: (origin, callback) => {
-        const allowedOrigins = [
-          'http://localhost:3000', // Frontend local development
-          'http://localhost:3001', // Additional local port if needed
-          'http://localhost:5173', // Common Vite port
-          'https://your-app.vercel.app', // Replace with your Vercel production URL
-          'https://*.vercel.app', // Allow Vercel preview URLs (use cautiously)
-        ];
-        if (!origin || allowedOrigins.some(allowed => 
-          allowed.includes('*') ? new RegExp(allowed.replace('*', '.*')).test(origin) : allowed === origin
-        )) {
-          callback(null, true);
-        } else {
-          console.error(`CORS rejected origin: ${origin}`);
-          callback(new Error('CORS policy violation'));
-        }
-      },
-      credentials: true,
-    })
-  );
+  // Configure CORS with the configured origins ("*" matches subdomains)
+  app.use(cors(createCorsOptions(config.allowedOrigins)));
 
   // Configure multer for in-memory storage
   const upload = multer({
     storage: multer.memoryStorage(),
     fileFilter: (req, file, cb) => {
-      const allowedTypes = [
-        'application/pdf',
-        'text/csv',
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'application/vnd.ms-powerpoint',
-        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-        'image/jpeg',
-        'image/png',
-      ];
-      if (allowedTypes.includes(file.mimetype)) {
+      if (config.upload.allowedMimeTypes.includes(file.mimetype)) {
         cb(null, true);
       } else {
-        cb(new Error(`Unsupported file type: ${file.mimetype}`), false);
+        cb(new ProxyError(ERROR_CODES.UNSUPPORTED_TYPE, `Unsupported file type: ${file.mimetype}`, 415, { mimeType: file.mimetype }), false);
       }
     },
     limits: {
-      fileSize: 20 * 1024 * 1024, // 20MB limit
+      fileSize: config.upload.maxFileSizeMb * 1024 * 1024,
       files: 1, // Limit to single file upload
     },
   });
 
+  // Patent data source: "local" reads a JSON dataset, "bigquery" queries Google Patents public data
+  const patentSource = createPatentSource({
+    type: config.patents.source,
+    dataFile: config.patents.dataFile,
+    projectId: config.patents.bigQueryProjectId,
+    location: config.patents.bigQueryLocation,
+  });
+  console.log(`Using ${patentSource.name} patent source`);
+
+  // Disk cache for rendered HTML and converted documents, keyed by upstream URL
+  const responseCache = createResponseCache({
+    dir: config.cache.dir,
+    enabled: config.cache.enabled,
+    defaultTtl: config.cache.ttlSeconds,
+    maxTtl: config.cache.maxTtlSeconds,
+    maxBytes: config.cache.maxMb * 1024 * 1024,
+  });
+
+  // SSRF protection shared by the fetch path and the headless browser
+  const urlGuard = createUrlGuard({
+    allowHosts: config.proxy.allowHosts,
+    denyHosts: config.proxy.denyHosts,
+    allowPrivateNetworks: config.proxy.allowPrivateNetworks,
+  });
+  const safeFetch = createSafeFetch({
+    guard: urlGuard,
+    maxRedirects: config.proxy.maxRedirects,
+    maxBytes: config.proxy.maxResponseMb * 1024 * 1024,
+    timeout: config.timeouts.fetchMs,
+  });
+
+  // Shared headless browser used to render HTML pages for /proxy. Its traffic goes
+  // through a local proxy that connects only to addresses the URL guard has checked.
+  const browserProxy = createBrowserProxy({ guard: urlGuard });
+  const browserPool = createBrowserPool({
+    maxPages: config.browserPool.size,
+    maxQueue: config.browserPool.maxQueue,
+    queueTimeout: config.browserPool.queueTimeoutMs,
+    maxUsesPerPage: config.browserPool.pageMaxUses,
+    userAgent: USER_AGENT,
+    proxyServer: await browserProxy.listen(),
+  });
+
+  // Document converters for formats the browser cannot display directly
+  const converters = createConverters({
+    sofficePath: config.sofficePath,
+    timeout: config.timeouts.conversionMs,
+  });
+
+  // Formats /proxy transforms before sending, as opposed to streaming them through
+  const needsConversion = (contentType) =>
+    contentType.includes('text/html') ||
+    contentType.includes('text/css') ||
+    Boolean(documentFormat(contentType)) ||
+    Boolean(presentationFormat(contentType));
+
   // Proxy endpoint
   app.get('/proxy', async (req, res) => {
     const { url } = req.query;
 
     // Validate URL
     if (!url) {
-      return res.status(400).json({ error: 'URL parameter is required' });
+      return sendError(res, new ProxyError(ERROR_CODES.INVALID_REQUEST, 'URL parameter is required', 400));
     }
 
     try {
       const parsedUrl = new URL(url);
       // Restrict to http/https protocols to prevent SSRF
       if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-        return res.status(400).json({ error: 'Only HTTP/HTTPS URLs are allowed' });
+        return sendError(res, new ProxyError(ERROR_CODES.BLOCKED_URL, 'Only HTTP/HTTPS URLs are allowed', 400));
       }
     } catch (error) {
-      return res.status(400).json({ error: 'Invalid URL format' });
+      return sendError(res, new ProxyError(ERROR_CODES.INVALID_REQUEST, 'Invalid URL format', 400));
     }
 
-    console.log(`Proxy GET request for URL: ${url}`);
+    const refresh = req.query.refresh === '1';
+    console.log(`Proxy GET request for URL: ${url}${refresh ? ' (refresh)' : ''}`);
+
+    // Rendered pages are cached as-is and rewritten on the way out, so the cached copy
+    // does not depend on the host name the client used to reach this server
+    const proxyBase = `${req.protocol}://${req.get('host')}`;
+    const rewriteForClient = (body, contentType, baseUrl) => {
+      if (!baseUrl) return body;
+      if (contentType.includes('text/html')) return rewriteHtml(body.toString(), { baseUrl, proxyBase });
+      if (contentType.includes('text/css')) return rewriteCss(body.toString(), { baseUrl, proxyBase });
+      return body;
+    };
+
+    const sendCached = (cached, status) => {
+      res.setHeader('Content-Type', cached.contentType);
+      res.setHeader('Content-Disposition', 'inline');
+      res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+      res.setHeader('X-Cache', status);
+      res.send(rewriteForClient(cached.body, cached.contentType, cached.baseUrl));
+    };
 
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        },
-        timeout: 30000, // 30s timeout to prevent hanging
-      });
+      // Checked before the cache too, so hosts added to the deny list stop being served
+      await urlGuard.checkUrl(url);
+      const cached = refresh ? null : await responseCache.get(url);
+      if (cached && cached.fresh) {
+        console.log(`Serving ${url} from cache`);
+        return sendCached(cached, 'HIT');
+      }
+
+      const requestHeaders = { 'User-Agent': USER_AGENT };
+      if (cached?.etag) requestHeaders['If-None-Match'] = cached.etag;
+      if (cached?.lastModified) requestHeaders['If-Modified-Since'] = cached.lastModified;
+
+      // Forward byte-range requests so large PDFs can be loaded a chunk at a time
+      const rangeHeaders = {};
+      if (req.headers.range) rangeHeaders.Range = req.headers.range;
+      if (req.headers['if-range']) rangeHeaders['If-Range'] = req.headers['if-range'];
+
+      let response = await safeFetch.fetch(url, { headers: { ...requestHeaders, ...rangeHeaders } });
+
+      if (response.status === 304 && cached) {
+        response.body.destroy();
+        await responseCache.revalidate(url, response.headers);
+        return sendCached(cached, 'REVALIDATED');
+      }
 
       if (!response.ok) {
-        throw new Error(`Failed to fetch URL: ${response.statusText}`);
+        response.body.destroy();
+        throw upstreamError(response);
       }
 
       const contentType = response.headers.get('content-type') || 'application/octet-stream';
+      if (response.status === 206 && needsConversion(contentType)) {
+        // Rendering and conversion need the whole document, so ignore the client's Range
+        response.body.destroy();
+        response = await safeFetch.fetch(url, { headers: requestHeaders });
+      }
+
       res.setHeader('Content-Type', contentType);
       res.setHeader('Content-Disposition', 'inline');
       res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+      res.setHeader('X-Cache', 'MISS');
 
       console.log(`Content-Type: ${contentType}`);
 
       if (contentType.includes('text/html')) {
-        let browser;
+        // The browser loads the page itself; only the headers of this response were needed
+        response.body.destroy();
+        let rendered;
         try {
-          browser = await puppeteer.launch({
-            args: ['--no-sandbox', '--disable-setuid-sandbox'],
-            headless: true,
-            timeout: 60000, // 60s timeout for browser launch
+          rendered = await browserPool.withPage(async (page) => {
+            await urlGuard.protectPage(page);
+            await page.goto(response.finalUrl, { waitUntil: 'networkidle0', timeout: config.timeouts.renderMs });
+            await page.waitForFunction(
+              'window.performance && window.performance.timing.loadEventEnd > 0',
+              { timeout: config.timeouts.loadEventMs }
+            );
+            // page.url() reflects any client-side redirects the page performed
+            return { content: await page.content(), pageUrl: page.url() };
           });
-          const page = await browser.newPage();
-          await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-          await page.goto(url, { waitUntil: 'networkidle0', timeout: 60000 });
-          await page.waitForFunction(
-            'window.performance && window.performance.timing.loadEventEnd > 0',
-            { timeout: 30000 }
-          );
-          const content = await page.content();
-          res.send(content);
         } catch (error) {
-          throw new Error(`Puppeteer error: ${error.message}`);
-        } finally {
-          if (browser) await browser.close();
+          const proxyError = toProxyError(error);
+          // Anything other than a timeout, blocked request or busy pool means the page failed to render
+          if (proxyError.code === ERROR_CODES.INTERNAL_ERROR) {
+            throw new ProxyError(ERROR_CODES.CONVERSION_FAILED, `Failed to render page: ${error.message}`, 502);
+          }
+          throw proxyError;
+        }
+        if (Buffer.byteLength(rendered.content) > safeFetch.maxBytes) {
+          throw new ResponseTooLargeError(safeFetch.maxBytes);
         }
-      } else if (contentType.includes('application/vnd.openxmlformats-officedocument.wordprocessingml.document')) {
-        const arrayBuffer = await response.arrayBuffer();
-        const { value: html } = await mammoth.convertToHtml({ arrayBuffer });
+        await responseCache.set(url, rendered.content, { contentType, headers: response.headers, baseUrl: rendered.pageUrl });
+        res.send(rewriteForClient(rendered.content, contentType, rendered.pageUrl));
+      } else if (contentType.includes('text/css')) {
+        const css = (await safeFetch.readBody(response)).toString();
+        res.send(rewriteForClient(css, contentType, response.finalUrl));
+      } else if (documentFormat(contentType)) {
+        const buffer = await safeFetch.readBody(response);
+        const html = await converters.convertDocument(buffer, contentType);
+        await responseCache.set(url, html, { contentType: 'text/html', headers: response.headers });
         res.setHeader('Content-Type', 'text/html');
         res.send(html);
+      } else if (presentationFormat(contentType)) {
+        const buffer = await safeFetch.readBody(response);
+        const deck = JSON.stringify(await converters.convertPresentation(buffer, contentType));
+        await responseCache.set(url, deck, { contentType: SLIDES_CONTENT_TYPE, headers: response.headers });
+        res.setHeader('Content-Type', SLIDES_CONTENT_TYPE);
+        res.send(deck);
       } else {
-        response.body.pipe(res);
+        res.status(response.status);
+        res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, X-Cache');
+        // node-fetch decompresses encoded bodies, so upstream lengths and ranges only
+        // describe what we send when there was no Content-Encoding
+        if (!response.headers.get('content-encoding')) {
+          ['content-length', 'content-range', 'accept-ranges'].forEach((header) => {
+            if (response.headers.get(header)) res.setHeader(header, response.headers.get(header));
+          });
+        }
+        // Stop reading from upstream if the client goes away, e.g. the PDF viewer
+        // aborting the initial request once it knows it can use ranges
+        res.on('close', () => {
+          if (!res.writableFinished) response.body.destroy();
+        });
+        safeFetch.limitBody(response)
+          .on('error', (error) => {
+            // Headers are already sent, so all we can do is cut the response short
+            console.error(`Error streaming URL ${url}:`, error.message);
+            res.destroy(error);
+          })
+          .pipe(res);
       }
     } catch (error) {
       console.error(`Error fetching URL ${url}:`, error.message);
-      res.status(500).json({ error: `Error fetching URL: ${error.message}` });
+      sendError(res, error);
     }
   });
 
@@ -160,34 +270,84 @@ const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch
     );
     try {
       if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+        return sendError(res, new ProxyError(ERROR_CODES.INVALID_REQUEST, 'No file uploaded', 400));
       }
 
       res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
       res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(req.file.originalname)}"`);
 
-      if (req.file.mimetype.includes('application/vnd.openxmlformats-officedocument.wordprocessingml.document')) {
-        const { value: html } = await mammoth.convertToHtml({ buffer: req.file.buffer });
+      if (documentFormat(req.file.mimetype)) {
+        const html = await converters.convertDocument(req.file.buffer, req.file.mimetype);
         res.setHeader('Content-Type', 'text/html');
         res.send(html);
+      } else if (presentationFormat(req.file.mimetype)) {
+        const deck = await converters.convertPresentation(req.file.buffer, req.file.mimetype);
+        res.setHeader('Content-Type', SLIDES_CONTENT_TYPE);
+        res.send(JSON.stringify(deck));
       } else {
         res.setHeader('Content-Type', req.file.mimetype);
         res.send(req.file.buffer);
       }
     } catch (error) {
       console.error('Error processing file:', error.message);
-      res.status(500).json({ error: `Error processing file: ${error.message}` });
+      sendError(res, error);
     }
   });
 
-  // Global error handling middleware
+  // Patent lookup endpoint
+  app.use(createPatentRouter({ patentSource }));
+
+  // Settings the client needs to validate uploads before sending them
+  app.get('/api/config', (req, res) => {
+    res.json({
+      upload: {
+        maxFileSizeBytes: config.upload.maxFileSizeMb * 1024 * 1024,
+        allowedMimeTypes: config.upload.allowedMimeTypes,
+      },
+    });
+  });
+
+  // Browser pool saturation and health
+  app.get('/api/browser-pool/stats', (req, res) => {
+    res.json(browserPool.stats());
+  });
+
+  // Response cache stats and purge (all entries, or a single one with ?url=)
+  app.get('/api/cache/stats', (req, res) => {
+    res.json(responseCache.stats());
+  });
+
+  app.delete('/api/cache', async (req, res) => {
+    try {
+      const purged = await responseCache.purge(req.query.url);
+      console.log(`Purged ${purged} cache entries${req.query.url ? ` for ${req.query.url}` : ''}`);
+      res.json({ purged });
+    } catch (error) {
+      console.error('Error purging cache:', error.message);
+      res.status(500).json({ error: `Error purging cache: ${error.message}` });
+    }
+  });
+
+  // Global error handling middleware (also receives multer's file type and size errors)
   app.use((err, req, res, next) => {
     console.error('Unhandled error:', err.message);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, err);
   });
 
   // Start server
-  app.listen(port, () => {
+  const server = app.listen(port, () => {
     console.log(`Proxy server running at http://localhost:${port}`);
   });
+
+  // Close the shared browser so Chromium does not outlive the server
+  const shutdown = (signal) => {
+    console.log(`Received ${signal}, shutting down`);
+    server.close();
+    browserPool
+      .close()
+      .then(() => browserProxy.close())
+      .finally(() => process.exit(0));
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
 })();
\ No newline at end of file
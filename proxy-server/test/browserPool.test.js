@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { createBrowserPool } = require('../lib/browserPool');
+
+// Stand-ins for Puppeteer's Browser and Page with just what the pool uses. A page created
+// with crashOnRecycle closes itself when the pool resets it for reuse.
+const createFakeBrowser = ({ crashOnRecycle = false } = {}) => {
+  const pages = [];
+  const browser = {
+    connected: true,
+    on() {},
+    async close() {
+      browser.connected = false;
+    },
+    async newPage() {
+      let closed = false;
+      const page = {
+        id: pages.length + 1,
+        isClosed: () => closed,
+        async close() {
+          closed = true;
+        },
+        async setUserAgent() {},
+        removeAllListeners() {},
+        async setRequestInterception() {},
+        async goto() {
+          if (crashOnRecycle) closed = true;
+        },
+      };
+      pages.push(page);
+      return page;
+    },
+  };
+  return { browser, pages };
+};
+
+describe('browser pool', () => {
+  let pool;
+
+  afterEach(async () => {
+    await pool.close();
+    mock.restoreAll();
+  });
+
+  describe('handing pages to queued requests', () => {
+    let fake;
+
+    beforeEach(() => {
+      fake = createFakeBrowser({ crashOnRecycle: true });
+      mock.method(puppeteer, 'launch', async () => fake.browser);
+    });
+
+    it('skips idle pages that closed instead of passing them on', async () => {
+      pool = createBrowserPool({ maxPages: 1 });
+      const first = await pool.acquire();
+      const waiting = pool.acquire();
+      await pool.release(first);
+      const next = await waiting;
+      assert.notEqual(next, first);
+      assert.equal(next.isClosed(), false);
+      await pool.release(next);
+    });
+  });
+
+  describe('when every page is taken', () => {
+    beforeEach(() => {
+      const fake = createFakeBrowser();
+      mock.method(puppeteer, 'launch', async () => fake.browser);
+    });
+
+    it('reports a full queue as a busy server', async () => {
+      pool = createBrowserPool({ maxPages: 1, maxQueue: 0 });
+      const page = await pool.acquire();
+      await assert.rejects(pool.acquire(), { code: 'SERVER_BUSY', status: 503 });
+      await pool.release(page);
+    });
+
+    it('reports waiting too long as a busy server', async () => {
+      pool = createBrowserPool({ maxPages: 1, queueTimeout: 10 });
+      const page = await pool.acquire();
+      await assert.rejects(pool.acquire(), { code: 'SERVER_BUSY', status: 503 });
+      await pool.release(page);
+    });
+  });
+});
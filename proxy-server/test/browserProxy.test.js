@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createUrlGuard } = require('../lib/urlGuard');
+const { createBrowserProxy } = require('../lib/browserProxy');
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+// Sends a request through the proxy at proxyUrl, as Chromium does for http:// URLs
+const requestThrough = (proxyUrl, targetUrl, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const proxy = new URL(proxyUrl);
+    const request = http.request({ host: proxy.hostname, port: proxy.port, path: targetUrl, headers }, (response) => {
+      let body = '';
+      response.on('data', (chunk) => (body += chunk));
+      response.on('end', () => resolve({ status: response.statusCode, body }));
+    });
+    request.on('upgrade', (response, socket) => {
+      socket.destroy();
+      resolve({ status: response.statusCode, body: '' });
+    });
+    request.on('error', reject);
+    request.end();
+  });
+
+// Opens a tunnel through the proxy, as Chromium does for https:// URLs, and sends a plain
+// HTTP request through it
+const tunnelThrough = (proxyUrl, authority) =>
+  new Promise((resolve, reject) => {
+    const proxy = new URL(proxyUrl);
+    const request = http.request({ host: proxy.hostname, port: proxy.port, method: 'CONNECT', path: authority });
+    request.on('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        resolve({ status: response.statusCode, body: '' });
+        return;
+      }
+      let raw = '';
+      socket.on('data', (chunk) => (raw += chunk));
+      socket.on('end', () => resolve({ status: 200, body: raw.split('\r\n\r\n')[1] }));
+      socket.write(`GET /hello HTTP/1.1\r\nHost: ${authority}\r\nConnection: close\r\n\r\n`);
+    });
+    request.on('error', reject);
+    request.end();
+  });
+
+describe('browser proxy', () => {
+  let target;
+  let targetPort;
+
+  before(async () => {
+    target = http.createServer((req, res) => {
+      if (req.url === '/reset') {
+        // Promises more than it sends, then drops the connection
+        res.writeHead(200, { 'Content-Length': 100 });
+        res.write('partial');
+        setTimeout(() => res.socket.destroy(), 20);
+        return;
+      }
+      res.end(`hello from ${req.url}`);
+    });
+    targetPort = await listen(target);
+  });
+
+  after(() => new Promise((resolve) => target.close(resolve)));
+
+  describe('with private networks blocked', () => {
+    let proxy;
+    let proxyUrl;
+
+    before(async () => {
+      proxy = createBrowserProxy({ guard: createUrlGuard({ denyHosts: ['denied.example'] }) });
+      proxyUrl = await proxy.listen();
+    });
+
+    after(() => proxy.close());
+
+    it('refuses plain requests to loopback addresses', async () => {
+      const response = await requestThrough(proxyUrl, `http://127.0.0.1:${targetPort}/hello`);
+      assert.equal(response.status, 403);
+    });
+
+    it('refuses host names that resolve to loopback addresses', async () => {
+      const response = await requestThrough(proxyUrl, `http://localhost:${targetPort}/hello`);
+      assert.equal(response.status, 403);
+    });
+
+    it('refuses tunnels to loopback addresses', async () => {
+      assert.equal((await tunnelThrough(proxyUrl, `127.0.0.1:${targetPort}`)).status, 403);
+      assert.equal((await tunnelThrough(proxyUrl, `localhost:${targetPort}`)).status, 403);
+    });
+
+    it('refuses hosts on the deny list without resolving them', async () => {
+      assert.equal((await requestThrough(proxyUrl, 'http://denied.example/')).status, 403);
+      assert.equal((await tunnelThrough(proxyUrl, 'denied.example:443')).status, 403);
+    });
+  });
+
+  describe('with private networks allowed', () => {
+    let proxy;
+    let proxyUrl;
+
+    before(async () => {
+      proxy = createBrowserProxy({ guard: createUrlGuard({ allowPrivateNetworks: true }) });
+      proxyUrl = await proxy.listen();
+    });
+
+    after(() => proxy.close());
+
+    it('forwards plain requests', async () => {
+      const response = await requestThrough(proxyUrl, `http://127.0.0.1:${targetPort}/hello?x=1`);
+      assert.deepEqual(response, { status: 200, body: 'hello from /hello?x=1' });
+    });
+
+    it('opens tunnels to the resolved address', async () => {
+      const response = await tunnelThrough(proxyUrl, `localhost:${targetPort}`);
+      assert.deepEqual(response, { status: 200, body: 'hello from /hello' });
+    });
+
+    it('cuts the response short when the upstream resets mid-body', async () => {
+      const proxy = new URL(proxyUrl);
+      const complete = await new Promise((resolve) => {
+        http
+          .get({ host: proxy.hostname, port: proxy.port, path: `http://127.0.0.1:${targetPort}/reset` }, (response) => {
+            response.on('data', () => {});
+            response.on('error', () => {});
+            response.on('close', () => resolve(response.complete));
+          })
+          .on('error', () => resolve(false));
+      });
+      assert.equal(complete, false);
+      const response = await requestThrough(proxyUrl, `http://127.0.0.1:${targetPort}/hello`);
+      assert.equal(response.status, 200);
+    });
+
+    it('refuses WebSocket upgrades', async () => {
+      const response = await requestThrough(proxyUrl, `http://127.0.0.1:${targetPort}/socket`, {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+      });
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, defaults } = require('../config');
+
+const ENV_NAMES = ['CONFIG_FILE', 'PORT', 'ALLOWED_ORIGINS', 'PROXY_ALLOW_PRIVATE_NETWORKS', 'CACHE_MAX_MB', 'BROWSER_POOL_SIZE'];
+
+describe('loadConfig', () => {
+  let dir;
+  let savedEnv;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-config-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_NAMES.map((name) => [name, process.env[name]]));
+    ENV_NAMES.forEach((name) => delete process.env[name]);
+    process.env.CONFIG_FILE = path.join(dir, 'missing.json');
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    ENV_NAMES.forEach((name) => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+    mock.restoreAll();
+  });
+
+  const writeConfig = (config) => {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    process.env.CONFIG_FILE = file;
+    return file;
+  };
+
+  it('refuses a CONFIG_FILE that does not exist', () => {
+    assert.throws(() => loadConfig(), /does not exist/);
+  });
+
+  it('overlays the config file on the defaults, section by section', () => {
+    writeConfig({ port: 6000, cache: { maxMb: 10, dir: 'cache-dir' }, proxy: { denyHosts: ['evil.example'] } });
+    const config = loadConfig();
+    assert.equal(config.port, 6000);
+    assert.equal(config.cache.maxMb, 10);
+    assert.equal(config.cache.ttlSeconds, defaults.cache.ttlSeconds);
+    assert.equal(config.cache.dir, path.join(dir, 'cache-dir'));
+    assert.deepEqual(config.proxy.denyHosts, ['evil.example']);
+    assert.equal(config.proxy.maxRedirects, defaults.proxy.maxRedirects);
+  });
+
+  it('lets environment variables override the config file', () => {
+    writeConfig({ port: 6000, allowedOrigins: ['https://file.example.com'], cache: { maxMb: 10 } });
+    Object.assign(process.env, {
+      PORT: '7000',
+      ALLOWED_ORIGINS: 'https://a.example.com, https://*.b.example.com',
+      PROXY_ALLOW_PRIVATE_NETWORKS: 'true',
+      CACHE_MAX_MB: '20',
+    });
+    const config = loadConfig();
+    assert.equal(config.port, 7000);
+    assert.deepEqual(config.allowedOrigins, ['https://a.example.com', 'https://*.b.example.com']);
+    assert.equal(config.proxy.allowPrivateNetworks, true);
+    assert.equal(config.cache.maxMb, 20);
+  });
+
+  it('ignores environment variables that are not numbers where numbers are expected', () => {
+    writeConfig({ browserPool: { size: 2 } });
+    process.env.BROWSER_POOL_SIZE = 'many';
+    assert.equal(loadConfig().browserPool.size, 2);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOriginMatcher, createCorsOptions } = require('../lib/cors');
+
+describe('createOriginMatcher', () => {
+  it('matches exact origins, ignoring case and trailing slashes in the list', () => {
+    const isAllowed = createOriginMatcher(['http://localhost:3000', 'https://App.example.com/']);
+    assert.equal(isAllowed('http://localhost:3000'), true);
+    assert.equal(isAllowed('https://app.example.com'), true);
+    assert.equal(isAllowed('http://localhost:3001'), false);
+    assert.equal(isAllowed('https://localhost:3000'), false);
+  });
+
+  it('matches subdomains for a wildcard, but not the bare or a look-alike domain', () => {
+    const isAllowed = createOriginMatcher(['https://*.example.com']);
+    assert.equal(isAllowed('https://pr-1.example.com'), true);
+    assert.equal(isAllowed('https://a.b.example.com'), true);
+    assert.equal(isAllowed('https://example.com'), false);
+    assert.equal(isAllowed('https://example.com.evil.com'), false);
+    assert.equal(isAllowed('https://evil.com/?.example.com'), false);
+    assert.equal(isAllowed('http://pr-1.example.com'), false);
+  });
+
+  it('allows nothing with an empty list', () => {
+    assert.equal(createOriginMatcher([])('http://localhost:3000'), false);
+  });
+});
+
+describe('createCorsOptions', () => {
+  afterEach(() => mock.restoreAll());
+
+  // Resolves with what the origin callback was given: an error or whether it allowed the origin
+  const check = (options, origin) => new Promise((resolve) => options.origin(origin, (error, allowed) => resolve(error || allowed)));
+
+  it('lets requests without an Origin header through', async () => {
+    assert.equal(await check(createCorsOptions(['https://app.example.com']), undefined), true);
+  });
+
+  it('allows listed origins and refuses others', async () => {
+    mock.method(console, 'error', () => {});
+    const options = createCorsOptions(['https://*.example.com']);
+    assert.equal(await check(options, 'https://app.example.com'), true);
+    const refused = await check(options, 'https://example.com.evil.com');
+    assert.equal(refused.message, 'CORS policy violation');
+    assert.equal(options.credentials, true);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const multer = require('multer');
+const puppeteer = require('puppeteer');
+const { ERROR_CODES, ProxyError, upstreamError, toProxyError, sendError } = require('../lib/errors');
+const { createUrlGuard } = require('../lib/urlGuard');
+const { ResponseTooLargeError } = require('../lib/safeFetch');
+const { ConversionError } = require('../lib/converters');
+
+// What sendError writes, as { status, body }
+const sent = (error) => {
+  const res = {
+    status(status) {
+      this.statusCode = status;
+      return this;
+    },
+    json(value) {
+      this.body = JSON.parse(JSON.stringify(value));
+      return this;
+    },
+  };
+  sendError(res, error);
+  return { status: res.statusCode, body: res.body };
+};
+
+const rejectionOf = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+};
+
+describe('toProxyError', () => {
+  it('maps a failed DNS lookup to UPSTREAM_UNREACHABLE', async () => {
+    const error = toProxyError(await rejectionOf(dns.promises.lookup('no-such-host.invalid')));
+    assert.equal(error.code, ERROR_CODES.UPSTREAM_UNREACHABLE);
+    assert.equal(error.status, 502);
+  });
+
+  it('maps refused and reset connections to UPSTREAM_UNREACHABLE', () => {
+    for (const code of ['ECONNREFUSED', 'ECONNRESET']) {
+      assert.equal(toProxyError(Object.assign(new Error(code), { code })).code, ERROR_CODES.UPSTREAM_UNREACHABLE);
+    }
+  });
+
+  it('maps aborted fetches and Puppeteer timeouts to UPSTREAM_TIMEOUT', async () => {
+    const { default: fetch } = await import('node-fetch');
+    const aborted = await rejectionOf(fetch('http://example.com/', { signal: AbortSignal.abort() }));
+    for (const error of [aborted, new puppeteer.TimeoutError('Navigation timeout of 30000 ms exceeded')]) {
+      assert.equal(toProxyError(error).code, ERROR_CODES.UPSTREAM_TIMEOUT);
+      assert.equal(toProxyError(error).status, 504);
+    }
+  });
+
+  it('keeps blocked addresses as BLOCKED_URL', async () => {
+    const error = await rejectionOf(createUrlGuard().checkUrl('http://127.0.0.1/admin'));
+    assert.deepEqual(sent(error), {
+      status: 403,
+      body: { error: 'Host 127.0.0.1 resolves to a private or reserved address (127.0.0.1)', code: ERROR_CODES.BLOCKED_URL },
+    });
+  });
+
+  it('maps oversized responses and uploads to FILE_TOO_LARGE', () => {
+    assert.deepEqual(sent(new ResponseTooLargeError(1024)), {
+      status: 413,
+      body: { error: 'Response exceeds the maximum allowed size of 1024 bytes', code: ERROR_CODES.FILE_TOO_LARGE, maxBytes: 1024 },
+    });
+    const upload = toProxyError(new multer.MulterError('LIMIT_FILE_SIZE', 'file'));
+    assert.equal(upload.code, ERROR_CODES.FILE_TOO_LARGE);
+    assert.equal(upload.status, 413);
+  });
+
+  it('keeps unsupported types and failed conversions with their own status', () => {
+    const unsupported = new ProxyError(ERROR_CODES.UNSUPPORTED_TYPE, 'Unsupported file type: application/zip', 415, {
+      mimeType: 'application/zip',
+    });
+    assert.deepEqual(sent(unsupported), {
+      status: 415,
+      body: { error: 'Unsupported file type: application/zip', code: ERROR_CODES.UNSUPPORTED_TYPE, mimeType: 'application/zip' },
+    });
+    assert.deepEqual(sent(new ConversionError('Bad deck')), {
+      status: 422,
+      body: { error: 'Bad deck', code: ERROR_CODES.CONVERSION_FAILED },
+    });
+  });
+
+  it('maps other upload errors to INVALID_REQUEST and anything else to INTERNAL_ERROR', () => {
+    assert.equal(toProxyError(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'other')).status, 400);
+    assert.deepEqual(sent(new Error('boom')), { status: 500, body: { error: 'boom', code: ERROR_CODES.INTERNAL_ERROR } });
+  });
+});
+
+describe('upstreamError', () => {
+  it('tells client and server errors apart and keeps the upstream status', () => {
+    const notFound = upstreamError({ status: 404, statusText: 'Not Found' });
+    assert.equal(notFound.code, ERROR_CODES.UPSTREAM_CLIENT_ERROR);
+    assert.equal(notFound.status, 502);
+    assert.deepEqual(notFound.details, { upstreamStatus: 404 });
+
+    const unavailable = upstreamError({ status: 503, statusText: 'Service Unavailable' });
+    assert.equal(unavailable.code, ERROR_CODES.UPSTREAM_SERVER_ERROR);
+    assert.equal(unavailable.message, 'Upstream server error: 503 Service Unavailable');
+  });
+});
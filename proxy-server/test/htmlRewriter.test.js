@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { rewriteHtml, rewriteCss } = require('../lib/htmlRewriter');
+
+const options = { baseUrl: 'https://example.com/docs/page.html', proxyBase: 'http://localhost:5001' };
+const proxied = (url) => `http://localhost:5001/proxy?url=${encodeURIComponent(url)}`;
+
+const rewrite = (body) => cheerio.load(rewriteHtml(`<html><head></head><body>${body}</body></html>`, options));
+
+describe('rewriteHtml', () => {
+  it('loads subresources through the proxy, resolved against the page', () => {
+    const $ = rewrite('<img src="img/a.png"><script src="/app.js"></script><link rel="stylesheet" href="../site.css">');
+    assert.equal($('img').attr('src'), proxied('https://example.com/docs/img/a.png'));
+    assert.equal($('script').attr('src'), proxied('https://example.com/app.js'));
+    assert.equal($('link').attr('href'), proxied('https://example.com/site.css'));
+  });
+
+  it('makes links absolute without proxying them', () => {
+    const $ = rewrite('<a href="other.html">other</a><form action="/search"></form>');
+    assert.equal($('a').attr('href'), 'https://example.com/docs/other.html');
+    assert.equal($('form').attr('action'), 'https://example.com/search');
+  });
+
+  it('leaves fragment, data:, javascript: and mailto: URLs alone', () => {
+    const $ = rewrite(
+      '<a id="top" href="#section">a</a><a id="js" href="javascript:void(0)">b</a>' +
+        '<a id="mail" href="mailto:someone@example.com">c</a><img src="data:image/png;base64,AAAA">'
+    );
+    assert.equal($('#top').attr('href'), '#section');
+    assert.equal($('#js').attr('href'), 'javascript:void(0)');
+    assert.equal($('#mail').attr('href'), 'mailto:someone@example.com');
+    assert.equal($('img').attr('src'), 'data:image/png;base64,AAAA');
+  });
+
+  it('follows the page <base> and replaces it with the resolved one', () => {
+    const $ = rewrite('<base href="https://cdn.example.org/assets/"><img src="a.png">');
+    assert.equal($('img').attr('src'), proxied('https://cdn.example.org/assets/a.png'));
+    assert.equal($('base').length, 1);
+    assert.equal($('base').attr('href'), 'https://cdn.example.org/assets/');
+  });
+
+  it('proxies every srcset candidate and keeps the descriptors', () => {
+    const $ = rewrite('<img srcset="small.png 1x, large.png 2x">');
+    assert.equal(
+      $('img').attr('srcset'),
+      `${proxied('https://example.com/docs/small.png')} 1x, ${proxied('https://example.com/docs/large.png')} 2x`
+    );
+  });
+
+  it('keeps commas inside srcset URLs', () => {
+    const $ = rewrite('<img srcset="data:image/png;base64,AAAA 1x,a,b.png 2x,c.png, d.png">');
+    assert.equal(
+      $('img').attr('srcset'),
+      [
+        'data:image/png;base64,AAAA 1x',
+        `${proxied('https://example.com/docs/a,b.png')} 2x`,
+        proxied('https://example.com/docs/c.png'),
+        proxied('https://example.com/docs/d.png'),
+      ].join(', ')
+    );
+  });
+
+  it('rewrites url() in style attributes and <style> elements', () => {
+    const $ = rewrite('<div style="background: url(bg.png)"></div><style>.a { background: url("/b.png") }</style>');
+    assert.equal($('div').attr('style'), `background: url("${proxied('https://example.com/docs/bg.png')}")`);
+    assert.equal($('style').text(), `.a { background: url("${proxied('https://example.com/b.png')}") }`);
+  });
+});
+
+describe('rewriteCss', () => {
+  const css = (text) => rewriteCss(text, { baseUrl: 'https://example.com/css/site.css', proxyBase: 'http://localhost:5001' });
+
+  it('resolves url() against the stylesheet, quoted or not', () => {
+    assert.equal(css("a { b: url('x.png') }"), `a { b: url("${proxied('https://example.com/css/x.png')}") }`);
+    assert.equal(css('a { b: url( x.png ) }'), `a { b: url("${proxied('https://example.com/css/x.png')}") }`);
+  });
+
+  it('keeps parentheses that belong to the URL', () => {
+    assert.equal(css('a { b: url("x(1).png") }'), `a { b: url("${proxied('https://example.com/css/x(1).png')}") }`);
+    assert.equal(css('a { b: url(x\\(1\\).png) }'), `a { b: url("${proxied('https://example.com/css/x(1).png')}") }`);
+  });
+
+  it('rewrites @import', () => {
+    assert.equal(css('@import "theme.css";'), `@import "${proxied('https://example.com/css/theme.css')}";`);
+    assert.equal(css('@import url(theme.css);'), `@import url("${proxied('https://example.com/css/theme.css')}");`);
+  });
+
+  it('leaves data: URLs and fragments alone', () => {
+    const text = 'a { b: url(data:image/svg+xml;charset=utf8,%3Csvg%3E); c: url(#gradient) }';
+    assert.equal(css(text), text);
+  });
+});
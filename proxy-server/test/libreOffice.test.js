@@ -0,0 +1,101 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { convertWithLibreOffice } = require('../lib/converters/libreOffice');
+const { createConverters } = require('../lib/converters');
+
+const options = { inputExtension: 'doc', outputFormat: 'docx', binary: 'soffice', timeout: 1000 };
+
+// Stands in for LibreOffice: run(args) gets the command line and returns the error to
+// fail with, if any; outputDir is where the converted file is expected
+const stubLibreOffice = (run) =>
+  mock.method(childProcess, 'execFile', (file, args, execOptions, callback) => {
+    const outputDir = args[args.indexOf('--outdir') + 1];
+    setImmediate(() => callback(run({ file, args, execOptions, outputDir }) || null, '', ''));
+  });
+
+const failure = (message, fields) => Object.assign(new Error(message), fields);
+
+describe('convertWithLibreOffice', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns the converted file and cleans up its working directory', async () => {
+    let workDir;
+    const execFile = stubLibreOffice(({ args, execOptions, outputDir }) => {
+      workDir = outputDir;
+      assert.equal(execOptions.timeout, 1000);
+      assert.deepEqual(args.slice(3, 5), ['--convert-to', 'docx']);
+      assert.equal(fs.readFileSync(args.at(-1), 'utf8'), 'legacy document');
+      fs.writeFileSync(path.join(outputDir, 'input.docx'), 'converted');
+    });
+    const output = await convertWithLibreOffice(Buffer.from('legacy document'), options);
+    assert.equal(output.toString(), 'converted');
+    assert.equal(execFile.mock.calls[0].arguments[0], 'soffice');
+    assert.equal(fs.existsSync(workDir), false);
+  });
+
+  it('explains a missing LibreOffice install', async () => {
+    stubLibreOffice(() => failure('spawn soffice ENOENT', { code: 'ENOENT', path: 'soffice' }));
+    await assert.rejects(convertWithLibreOffice(Buffer.from('x'), options), {
+      name: 'ConversionError',
+      message: /"soffice" was not found/,
+    });
+  });
+
+  it('reports a conversion that ran out of time', async () => {
+    stubLibreOffice(() => failure('Command failed', { killed: true, signal: 'SIGTERM' }));
+    await assert.rejects(convertWithLibreOffice(Buffer.from('x'), options), {
+      name: 'ConversionError',
+      message: 'LibreOffice timed out converting .doc file',
+    });
+  });
+
+  it('reports a non-zero exit', async () => {
+    stubLibreOffice(() => failure('Command failed: soffice --headless', { code: 1, killed: false }));
+    await assert.rejects(convertWithLibreOffice(Buffer.from('x'), options), {
+      name: 'ConversionError',
+      message: 'LibreOffice conversion failed: Command failed: soffice --headless',
+    });
+  });
+
+  it('reports a run that wrote no output', async () => {
+    stubLibreOffice(() => null);
+    await assert.rejects(convertWithLibreOffice(Buffer.from('x'), options), {
+      name: 'ConversionError',
+      message: 'LibreOffice could not convert this .doc file',
+    });
+  });
+
+  it('reports a run that wrote an empty file', async () => {
+    stubLibreOffice(({ outputDir }) => fs.writeFileSync(path.join(outputDir, 'input.docx'), ''));
+    await assert.rejects(convertWithLibreOffice(Buffer.from('x'), options), {
+      name: 'ConversionError',
+      message: 'LibreOffice could not convert this .doc file',
+    });
+  });
+});
+
+describe('convertDocument', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends .doc and .rtf files through the configured LibreOffice binary', async () => {
+    const execFile = stubLibreOffice(({ file }) => failure(`spawn ${file} ENOENT`, { code: 'ENOENT', path: file }));
+    const { convertDocument } = createConverters({ sofficePath: '/opt/libreoffice/soffice' });
+    await assert.rejects(convertDocument(Buffer.from('x'), 'application/msword'), { message: /\.doc files/ });
+    await assert.rejects(convertDocument(Buffer.from('x'), 'text/rtf'), { message: /\.rtf files/ });
+    assert.deepEqual(
+      execFile.mock.calls.map((call) => call.arguments[0]),
+      ['/opt/libreoffice/soffice', '/opt/libreoffice/soffice']
+    );
+  });
+
+  it('refuses types it cannot convert', async () => {
+    const { convertDocument } = createConverters();
+    await assert.rejects(convertDocument(Buffer.from('x'), 'text/plain'), {
+      name: 'ConversionError',
+      message: 'Unsupported document type: text/plain',
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createPatentRouter } = require('../lib/patents');
+
+const PATENT = { title: 'Granted', publication_number: 'US-7654321-B2' };
+
+describe('POST /api/fetch-patent', () => {
+  let server;
+  let baseUrl;
+  const lookups = [];
+
+  before(async () => {
+    const patentSource = {
+      name: 'test',
+      async fetchPatent(parsed) {
+        lookups.push(parsed);
+        if (parsed.number === '500') throw new Error('quota exceeded');
+        return parsed.normalized === 'US7654321B2' ? PATENT : null;
+      },
+    };
+    const app = express();
+    app.use(express.json());
+    app.use(createPatentRouter({ patentSource }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const fetchPatent = (body) =>
+    fetch(`${baseUrl}/api/fetch-patent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+  it('returns the patent', async () => {
+    const response = await fetchPatent({ patentNumber: 'US 7,654,321 B2' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), PATENT);
+  });
+
+  it('answers 400 when patentNumber is missing', async () => {
+    const response = await fetchPatent({});
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'patentNumber is required');
+  });
+
+  it('answers 400 for a malformed patent number without querying the source', async () => {
+    const before = lookups.length;
+    const response = await fetchPatent({ patentNumber: '12345' });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Invalid patent number format: 12345/);
+    assert.equal(lookups.length, before);
+  });
+
+  it('answers 404 when the source has no such patent', async () => {
+    const response = await fetchPatent({ patentNumber: 'US1111111B1' });
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, 'Patent US1111111B1 not found');
+  });
+
+  it('answers 502 when the source fails', async () => {
+    const response = await fetchPatent({ patentNumber: 'US500' });
+    assert.equal(response.status, 502);
+    assert.match((await response.json()).error, /quota exceeded/);
+  });
+});
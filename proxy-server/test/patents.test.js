@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPatentSource, parsePatentNumber, normalizePatentNumber } = require('../lib/patents');
+const { toPatentRecord } = require('../lib/patents/record');
+
+describe('normalizePatentNumber', () => {
+  it('removes spaces, commas, dots, dashes and slashes and upper-cases', () => {
+    assert.equal(normalizePatentNumber('US 7,654,321 B2'), 'US7654321B2');
+    assert.equal(normalizePatentNumber('us-7654321-b2'), 'US7654321B2');
+    assert.equal(normalizePatentNumber('EP 1.234.567'), 'EP1234567');
+  });
+
+  it('rejects anything that is not a country code, number and optional kind code', () => {
+    assert.equal(normalizePatentNumber('7654321'), null);
+    assert.equal(normalizePatentNumber('US'), null);
+    assert.equal(normalizePatentNumber('US7654321B22'), null);
+    assert.equal(normalizePatentNumber(''), null);
+    assert.equal(normalizePatentNumber(7654321), null);
+  });
+});
+
+describe('parsePatentNumber', () => {
+  it('splits a number into country, number and kind code', () => {
+    assert.deepEqual(parsePatentNumber('US 7,654,321 B2'), {
+      normalized: 'US7654321B2',
+      country: 'US',
+      number: '7654321',
+      kind: 'B2',
+    });
+  });
+
+  it('leaves kind null when there is no kind code', () => {
+    assert.deepEqual(parsePatentNumber('us7654321'), { normalized: 'US7654321', country: 'US', number: '7654321', kind: null });
+  });
+
+  it('returns null for invalid input', () => {
+    assert.equal(parsePatentNumber('not a patent'), null);
+    assert.equal(parsePatentNumber(null), null);
+  });
+});
+
+describe('local patent source', () => {
+  let dir;
+  let source;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'patents-'));
+    const dataFile = path.join(dir, 'patents.json');
+    fs.writeFileSync(
+      dataFile,
+      JSON.stringify([
+        { title: 'Granted', publication_number: 'US-7654321-B2', filing_date: 20050310 },
+        { title: 'Application', publication_number: 'US-20050012345-A1' },
+        { title: 'No number' },
+      ])
+    );
+    source = createPatentSource({ type: 'local', dataFile });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('finds a record by its full number including the kind code', async () => {
+    const patent = await source.fetchPatent(parsePatentNumber('US7654321B2'));
+    assert.equal(patent.title, 'Granted');
+    assert.equal(patent.filing_date, '2005-03-10');
+  });
+
+  it('finds a record with any kind code when none is given', async () => {
+    const patent = await source.fetchPatent(parsePatentNumber('US 20050012345'));
+    assert.equal(patent.title, 'Application');
+  });
+
+  it('does not match a different kind code or a longer number', async () => {
+    assert.equal(await source.fetchPatent(parsePatentNumber('US7654321B1')), null);
+    assert.equal(await source.fetchPatent(parsePatentNumber('US765432')), null);
+  });
+
+  it('returns no results when the data file does not exist', async () => {
+    const missing = createPatentSource({ type: 'local', dataFile: path.join(dir, 'missing.json') });
+    assert.equal(await missing.fetchPatent(parsePatentNumber('US7654321B2')), null);
+  });
+
+  it('rejects unknown source types', () => {
+    assert.throws(() => createPatentSource({ type: 'nowhere' }), /Unknown patent source "nowhere"/);
+  });
+});
+
+describe('toPatentRecord', () => {
+  it('turns BigQuery integer dates into ISO dates and treats 0 as unset', () => {
+    const record = toPatentRecord({ publication_number: 'US-1-A', filing_date: 20100202, grant_date: 0 });
+    assert.equal(record.filing_date, '2010-02-02');
+    assert.equal(record.grant_date, null);
+  });
+
+  it('keeps dates that are already text', () => {
+    assert.equal(toPatentRecord({ filing_date: '2010-02-02' }).filing_date, '2010-02-02');
+  });
+
+  it('always returns arrays for the list fields', () => {
+    const record = toPatentRecord({
+      inventor_harmonized: 'Ada Lovelace',
+      assignee_harmonized: [{ name: 'Analytical Engines Ltd' }, null],
+      cpc_code: [{ code: 'G06F16/00' }, 'H04L9/00'],
+    });
+    assert.deepEqual(record.inventor_harmonized, ['Ada Lovelace']);
+    assert.deepEqual(record.assignee_harmonized, ['Analytical Engines Ltd']);
+    assert.deepEqual(record.cpc_code, ['G06F16/00', 'H04L9/00']);
+    assert.deepEqual(toPatentRecord({}).cpc_code, []);
+  });
+
+  it('defaults missing title and abstract to empty text', () => {
+    const record = toPatentRecord({ publication_number: 'US-1-A' });
+    assert.equal(record.title, '');
+    assert.equal(record.abstract, '');
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { convertPptx } = require('../lib/converters/pptx');
+
+const NAMESPACES =
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+
+const fill = (color) => `<a:solidFill><a:srgbClr val="${color}"/></a:solidFill>`;
+
+// A one-slide deck with a filled shape holding a colored run, and optionally a picture
+const buildDeck = async ({ shapeColor = 'FFFFFF', textColor = '000000', text = 'Hello', imageTarget, padding = '' }) => {
+  const zip = new JSZip();
+  zip.file(
+    'ppt/presentation.xml',
+    `<p:presentation ${NAMESPACES}><p:sldIdLst><p:sldId id="256" r:id="rId1"/></p:sldIdLst><p:sldSz cx="9144000" cy="6858000"/></p:presentation>`
+  );
+  zip.file(
+    'ppt/_rels/presentation.xml.rels',
+    '<Relationships><Relationship Id="rId1" Target="slides/slide1.xml"/></Relationships>'
+  );
+  zip.file(
+    'ppt/slides/slide1.xml',
+    `<p:sld ${NAMESPACES}><p:cSld><p:spTree><p:sp>` +
+      `<p:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="952500" cy="952500"/></a:xfrm>${fill(shapeColor)}</p:spPr>` +
+      `<p:txBody><a:p><a:r><a:rPr>${fill(textColor)}</a:rPr><a:t>${text}</a:t></a:r></a:p></p:txBody>` +
+      '</p:sp>' +
+      (imageTarget ? '<p:pic><p:blipFill><a:blip r:embed="rId2"/></p:blipFill></p:pic>' : '') +
+      `</p:spTree></p:cSld></p:sld><!--${padding}-->`
+  );
+  if (imageTarget) {
+    zip.file(
+      'ppt/slides/_rels/slide1.xml.rels',
+      `<Relationships><Relationship Id="rId2" Target="${imageTarget}"/></Relationships>`
+    );
+    zip.file('ppt/media/image1.png', Buffer.from('png'));
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Rewrites the uncompressed size an entry declares in the zip's directories, as a
+// crafted archive can
+const declareSize = (buffer, name, size) => {
+  const patched = Buffer.from(buffer);
+  const nameAt = (offset, lengthOffset, nameOffset) =>
+    patched.toString('utf8', offset + nameOffset, offset + nameOffset + patched.readUInt16LE(offset + lengthOffset));
+  for (let offset = 0; offset < patched.length - 4; offset += 1) {
+    const signature = patched.readUInt32LE(offset);
+    if (signature === 0x04034b50 && nameAt(offset, 26, 30) === name) patched.writeUInt32LE(size, offset + 22);
+    if (signature === 0x02014b50 && nameAt(offset, 28, 46) === name) patched.writeUInt32LE(size, offset + 24);
+  }
+  return patched;
+};
+
+describe('convertPptx', () => {
+  it('renders shape fills and text colors', async () => {
+    const deck = await convertPptx(await buildDeck({ shapeColor: '1F4E79', textColor: 'ff0000', text: 'Hello' }));
+    assert.equal(deck.slides.length, 1);
+    assert.match(deck.slides[0].html, /background:#1F4E79;/);
+    assert.match(deck.slides[0].html, /<span style="color:#ff0000">Hello<\/span>/);
+    assert.equal(deck.slides[0].text, 'Hello');
+  });
+
+  it('drops colors that are not six hex digits, so they cannot inject markup', async () => {
+    const payload = '000&quot;&gt;&lt;img src=x onerror=alert(document.domain)&gt;';
+    const deck = await convertPptx(await buildDeck({ shapeColor: payload, textColor: payload, text: '&lt;b&gt;bold&lt;/b&gt;' }));
+    const { html } = deck.slides[0];
+    assert.doesNotMatch(html, /<img/);
+    assert.doesNotMatch(html, /onerror/);
+    assert.doesNotMatch(html, /<b>/);
+    assert.match(html, /&lt;b&gt;bold&lt;\/b&gt;/);
+  });
+
+  it('resolves picture targets relative to the slide or, with a leading slash, the package', async () => {
+    for (const imageTarget of ['../media/image1.png', '/ppt/media/image1.png']) {
+      const deck = await convertPptx(await buildDeck({ imageTarget }));
+      assert.match(deck.slides[0].html, /<img src="data:image\/png;base64,cG5n"/, imageTarget);
+    }
+  });
+
+  it('refuses decks that inflate past the size limit', async () => {
+    const deck = await buildDeck({ padding: 'x'.repeat(20000) });
+    await assert.doesNotReject(convertPptx(deck, { maxUncompressedBytes: 100000 }));
+    await assert.rejects(convertPptx(deck, { maxUncompressedBytes: 10000 }), {
+      name: 'ConversionError',
+      message: 'PowerPoint file is too large to convert',
+    });
+  });
+
+  it('counts the bytes inflated when an entry declares less than it holds', async () => {
+    const deck = declareSize(await buildDeck({ padding: 'x'.repeat(20000) }), 'ppt/slides/slide1.xml', 10);
+    await assert.rejects(convertPptx(deck, { maxUncompressedBytes: 10000 }), {
+      name: 'ConversionError',
+      message: 'PowerPoint file is too large to convert',
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResponseCache } = require('../lib/responseCache');
+
+const headers = (values = {}) => new Map(Object.entries(values));
+
+describe('response cache', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  afterEach(() => mock.restoreAll());
+
+  // Date.now() returns whatever the test sets now to
+  const useClock = (start) => {
+    const clock = { now: start };
+    mock.method(Date, 'now', () => clock.now);
+    return clock;
+  };
+
+  it('stores and serves fresh entries', async () => {
+    const cache = createResponseCache({ dir: path.join(dir, 'entries') });
+    assert.equal(await cache.set('https://example.com/', '<p>hi</p>', { contentType: 'text/html', headers: headers() }), true);
+    const cached = await cache.get('https://example.com/');
+    assert.equal(cached.body.toString(), '<p>hi</p>');
+    assert.equal(cached.fresh, true);
+  });
+
+  it('does not store no-store responses', async () => {
+    const cache = createResponseCache({ dir: path.join(dir, 'entries') });
+    const stored = await cache.set('https://example.com/private', 'x', {
+      contentType: 'text/html',
+      headers: headers({ 'cache-control': 'no-store' }),
+    });
+    assert.equal(stored, false);
+  });
+
+  it('turns itself off when the cache directory cannot be created', async () => {
+    const blocker = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+    const cache = createResponseCache({ dir: path.join(blocker, 'cache') });
+    assert.equal(await cache.get('https://example.com/'), null);
+    assert.equal(await cache.set('https://example.com/', 'x', { contentType: 'text/html', headers: headers() }), false);
+    assert.equal(cache.stats().enabled, false);
+  });
+
+  it('serves entries as stale once their max-age has passed', async () => {
+    const clock = useClock(1000000);
+    const cache = createResponseCache({ dir: path.join(dir, 'ttl') });
+    await cache.set('https://example.com/ttl', 'x', { contentType: 'text/html', headers: headers({ 'cache-control': 'max-age=60' }) });
+    clock.now += 59 * 1000;
+    assert.equal((await cache.get('https://example.com/ttl')).fresh, true);
+    clock.now += 2 * 1000;
+    assert.equal((await cache.get('https://example.com/ttl')).fresh, false);
+  });
+
+  it('keeps the body and extends the entry when the upstream answers 304', async () => {
+    const clock = useClock(1000000);
+    const cache = createResponseCache({ dir: path.join(dir, 'revalidate') });
+    await cache.set('https://example.com/doc', 'original', {
+      contentType: 'text/html',
+      headers: headers({ 'cache-control': 'max-age=10', etag: '"v1"', 'last-modified': 'Mon, 19 Oct 2026 09:00:00 GMT' }),
+    });
+    clock.now += 20 * 1000;
+    const stale = await cache.get('https://example.com/doc');
+    assert.equal(stale.fresh, false);
+    assert.equal(stale.etag, '"v1"');
+    assert.equal(stale.lastModified, 'Mon, 19 Oct 2026 09:00:00 GMT');
+
+    await cache.revalidate('https://example.com/doc', headers({ 'cache-control': 'max-age=60' }));
+    const revalidated = await cache.get('https://example.com/doc');
+    assert.equal(revalidated.fresh, true);
+    assert.equal(revalidated.body.toString(), 'original');
+    assert.equal(revalidated.etag, '"v1"');
+    assert.equal(cache.stats().revalidated, 1);
+  });
+
+  it('evicts the least recently used entries past the size cap', async () => {
+    const clock = useClock(1000000);
+    const cache = createResponseCache({ dir: path.join(dir, 'lru'), maxBytes: 10 });
+    const store = (url) => cache.set(url, 'abcd', { contentType: 'text/plain', headers: headers() });
+    await store('https://example.com/a');
+    clock.now += 1;
+    await store('https://example.com/b');
+    clock.now += 1;
+    await cache.get('https://example.com/a');
+    clock.now += 1;
+    await store('https://example.com/c');
+
+    assert.equal(await cache.get('https://example.com/b'), null);
+    assert.equal((await cache.get('https://example.com/a')).body.toString(), 'abcd');
+    assert.equal((await cache.get('https://example.com/c')).body.toString(), 'abcd');
+    assert.deepEqual([cache.stats().entries, cache.stats().totalBytes, cache.stats().evictions], [2, 8, 1]);
+  });
+
+  it('stores the same URL concurrently without losing the entry', async () => {
+    const cache = createResponseCache({ dir: path.join(dir, 'concurrent') });
+    const results = await Promise.all(
+      ['one', 'two', 'three'].map((body) => cache.set('https://example.com/same', body, { contentType: 'text/plain', headers: headers() }))
+    );
+    assert.deepEqual(results, [true, true, true]);
+    const cached = await cache.get('https://example.com/same');
+    assert.ok(['one', 'two', 'three'].includes(cached.body.toString()));
+    assert.equal(cache.stats().totalBytes, cached.body.length);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'concurrent')).filter((file) => file.endsWith('.tmp')), []);
+  });
+});
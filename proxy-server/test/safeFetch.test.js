@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createUrlGuard } = require('../lib/urlGuard');
+const { createSafeFetch } = require('../lib/safeFetch');
+
+describe('safeFetch', () => {
+  let server;
+  let origin;
+  let checked;
+  let guard;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      if (pathname === '/redirect') {
+        res.writeHead(302, { Location: searchParams.get('to') }).end('moved');
+      } else if (pathname === '/loop') {
+        res.writeHead(301, { Location: '/loop' }).end();
+      } else if (pathname === '/declared-large') {
+        res.writeHead(200, { 'Content-Length': 1000 }).end('x'.repeat(1000));
+      } else if (pathname === '/streamed-large') {
+        res.writeHead(200);
+        res.write('x'.repeat(600));
+        res.end('x'.repeat(600));
+      } else {
+        res.end(`hello from ${pathname}`);
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+
+    // The test server is on loopback, so private networks are allowed; checkUrl records
+    // every URL it is asked about and refuses the /blocked path
+    const realGuard = createUrlGuard({ allowPrivateNetworks: true });
+    guard = {
+      ...realGuard,
+      checkUrl: async (url) => {
+        checked.push(url);
+        if (new URL(url).pathname === '/blocked') throw new Error(`Refused ${url}`);
+        return realGuard.checkUrl(url);
+      },
+    };
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const createFetch = (options) => {
+    checked = [];
+    return createSafeFetch({ guard, ...options });
+  };
+
+  it('checks every redirect hop with the guard', async () => {
+    const { fetch } = createFetch();
+    const final = `${origin}/final`;
+    const second = `${origin}/redirect?to=${encodeURIComponent(final)}`;
+    const first = `${origin}/redirect?to=${encodeURIComponent(second)}`;
+    const response = await fetch(first);
+    assert.equal(await response.text(), 'hello from /final');
+    assert.equal(response.finalUrl, final);
+    assert.deepEqual(checked, [first, second, final]);
+  });
+
+  it('stops at a redirect the guard refuses', async () => {
+    const { fetch } = createFetch();
+    await assert.rejects(fetch(`${origin}/redirect?to=/blocked`), /Refused/);
+    assert.equal(checked.at(-1), `${origin}/blocked`);
+  });
+
+  it('gives up after maxRedirects hops', async () => {
+    const { fetch } = createFetch({ maxRedirects: 2 });
+    await assert.rejects(fetch(`${origin}/loop`), { name: 'TooManyRedirectsError', code: 'TOO_MANY_REDIRECTS' });
+    assert.equal(checked.length, 3);
+  });
+
+  it('refuses a response whose declared length is over the cap', async () => {
+    const { fetch } = createFetch({ maxBytes: 100 });
+    await assert.rejects(fetch(`${origin}/declared-large`), { name: 'ResponseTooLargeError', code: 'FILE_TOO_LARGE' });
+  });
+
+  it('stops reading a body once it grows past the cap', async () => {
+    const { fetch, readBody, limitBody } = createFetch({ maxBytes: 1000 });
+    await assert.rejects(readBody(await fetch(`${origin}/streamed-large`)), { name: 'ResponseTooLargeError' });
+
+    const limited = limitBody(await fetch(`${origin}/streamed-large`));
+    await assert.rejects(
+      (async () => {
+        for await (const chunk of limited) assert.ok(chunk.length);
+      })(),
+      { name: 'ResponseTooLargeError' }
+    );
+  });
+
+  it('reads bodies under the cap', async () => {
+    const { fetch, readBody } = createFetch({ maxBytes: 1000 });
+    assert.equal((await readBody(await fetch(`${origin}/small`))).toString(), 'hello from /small');
+  });
+});
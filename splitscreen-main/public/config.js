@@ -0,0 +1,6 @@
+// Runtime configuration, loaded before the app bundle. Edit this file on the server
+// to point a build at a different API without rebuilding. Leave apiBaseUrl empty to
+// use REACT_APP_API_BASE_URL from build time, or the local default.
+window.__APP_CONFIG__ = {
+  apiBaseUrl: '',
+};
@@ -1,26 +1,71 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import SplitScreenModal from './components/SplitScreenModal';
+import { loadSession, closeSession, pruneUploads } from './services/workspaces';
+import { parseDeepLink } from './services/deepLink';
 import './App.css';
 
 function App() {
-  const [isModalOpen, setIsModalOpen] = useState(false);
-  const [leftUrl, setLeftUrl] = useState('');
-  const [rightUrl, setRightUrl] = useState('');
+  // A link to a split view opens it right away, as does a session that was open when the
+  // page was closed or reloaded
+  const [workspaceToOpen, setWorkspaceToOpen] = useState(() => {
+    const linked = parseDeepLink(window.location.hash);
+    if (linked) return linked;
+    const session = loadSession();
+    return session?.open ? session : null;
+  });
+  const [isModalOpen, setIsModalOpen] = useState(Boolean(workspaceToOpen));
+  // The view of the history entry the browser last went back or forward to
+  const [navigation, setNavigation] = useState(null);
+  // Source of each pane in the split screen
+  const [sources, setSources] = useState(['', '']);
+  const [hasSession, setHasSession] = useState(() => Boolean(loadSession()));
+
+  // Uploaded files are kept for saved workspaces; drop those no longer used
+  useEffect(() => {
+    pruneUploads().catch((err) => console.error('Error removing unused uploaded files:', err));
+  }, []);
+
+  // The split screen keeps its state in the URL; going back or forward shows that state,
+  // and going back past the first one closes it
+  useEffect(() => {
+    const handlePopState = (event) => {
+      const linked = parseDeepLink(window.location.hash);
+      if (linked) {
+        setWorkspaceToOpen(null);
+        setNavigation({ workspace: linked, savedSources: event.state?.sources });
+        setIsModalOpen(true);
+      } else {
+        closeSession();
+        setIsModalOpen(false);
+        setHasSession(Boolean(loadSession()));
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
-  
   const GOOGLE_SHEET_URL = 'https://www.wipo.int/export/sites/www/sme/en/documents/pdf/ip_panorama_3_learning_points.pdf';
   const PATENT_URL = 'https://patents.google.com/patent/US7654321B2';
 
   const openModal = (url = '') => {
-    setLeftUrl(url);
-    setRightUrl('');
+    setWorkspaceToOpen(null);
+    setNavigation(null);
+    setSources([url, '']);
     setIsModalOpen(true);
   };
 
+  const resumeSession = () => {
+    setWorkspaceToOpen(loadSession());
+    setNavigation(null);
+    setIsModalOpen(true);
+  };
+
+  // The modal saves the session as it closes, so it can be resumed. Leaving the view's URL
+  // behind lets the back button reopen it.
   const closeModal = () => {
+    if (window.location.hash) window.history.pushState(null, '', `${window.location.pathname}${window.location.search}`);
     setIsModalOpen(false);
-    setLeftUrl('');
-    setRightUrl('');
+    setHasSession(Boolean(loadSession()));
   };
   
   const buttonStyle = {
@@ -76,14 +121,24 @@ function App() {
           >
             View Patent
           </button>
+
+          {hasSession && (
+            <button
+              style={buttonStyle}
+              onClick={resumeSession}
+              className="action-button"
+            >
+              Resume Last Session
+            </button>
+          )}
         </div>
 
         {isModalOpen && (
           <SplitScreenModal
-            leftSrc={leftUrl}
-            rightSrc={rightUrl}
-            setLeftSrc={setLeftUrl}
-            setRightSrc={setRightUrl}
+            sources={sources}
+            setSources={setSources}
+            workspaceToOpen={workspaceToOpen}
+            navigation={navigation}
             onClose={closeModal}
           />
         )}
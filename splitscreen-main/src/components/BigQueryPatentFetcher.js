@@ -1,10 +1,11 @@
 import axios from 'axios';
+import { apiUrl } from '../config';
 
 class BigQueryPatentFetcher {
   async fetchPatentData(patentNumber) {
     try {
-      console.log(`Fetching patent data for ${patentNumber} from http://localhost:3001/api/fetch-patent`);
-      const response = await axios.post('http://localhost:3001/api/fetch-patent', { patentNumber }, {
+      console.log(`Fetching patent data for ${patentNumber} from ${apiUrl('/api/fetch-patent')}`);
+      const response = await axios.post(apiUrl('/api/fetch-patent'), { patentNumber }, {
         headers: { 'Content-Type': 'application/json' },
       });
       if (!response.data || Object.keys(response.data).length === 0) {
@@ -17,7 +18,7 @@ class BigQueryPatentFetcher {
         message: error.message,
         response: error.response ? error.response.data : 'No response',
       });
-      throw new Error(error.response?.data?.message || 'Failed to fetch patent data');
+      throw new Error(error.response?.data?.error || 'Failed to fetch patent data');
     }
   }
 }
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef } from 'react';
+import styled from 'styled-components';
+
+const Container = styled.div`
+  height: 100%;
+  overflow-y: auto;
+  padding: 15px 20px;
+  box-sizing: border-box;
+  background: #ffffff;
+  font-size: 15px;
+  line-height: 1.6;
+  color: #202124;
+`;
+
+const Paragraph = styled.p`
+  margin: 0 0 12px;
+  padding: 2px 4px;
+  border-radius: 4px;
+  white-space: pre-wrap;
+  overflow-wrap: break-word;
+`;
+
+const Removed = styled.span`
+  background: #ffe6e6;
+  color: #a50e0e;
+  text-decoration: line-through;
+`;
+
+const Added = styled.span`
+  background: #e6ffec;
+  color: #046c1e;
+`;
+
+// Where the other document has text this one lacks
+const InlineMarker = styled.span`
+  display: inline-block;
+  width: 2px;
+  height: 1em;
+  margin: 0 1px;
+  vertical-align: text-bottom;
+  background: #f4b400;
+`;
+
+const ParagraphMarker = styled.div`
+  height: 0;
+  margin: 6px 0 12px;
+  border-top: 2px dashed #f4b400;
+`;
+
+const currentStyle = { outline: '2px solid #1a73e8', outlineOffset: 2 };
+
+const SEGMENTS = { removed: Removed, added: Added };
+
+// Renders one side of a compareDocuments() result with its changes highlighted in place,
+// keeping the current change scrolled into view
+const CompareView = ({ blocks, currentChange }) => {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (currentChange < 0 || !containerRef.current) return;
+    const element = containerRef.current.querySelector(`[data-change-id="${currentChange}"]`);
+    if (element) element.scrollIntoView({ block: 'center', inline: 'nearest' });
+  }, [currentChange, blocks]);
+
+  const changeProps = (changeId) => ({
+    'data-change-id': changeId,
+    style: changeId === currentChange ? currentStyle : undefined,
+  });
+
+  return (
+    <Container ref={containerRef}>
+      {blocks.map((block, index) => {
+        if (block.kind === 'marker') {
+          return <ParagraphMarker key={index} {...changeProps(block.changeId)} title="Paragraph only in the other document" />;
+        }
+        if (block.kind === 'modified') {
+          return (
+            <Paragraph key={index}>
+              {block.segments.map((segment, segmentIndex) => {
+                if (segment.kind === 'equal') return segment.text;
+                if (segment.kind === 'marker') return <InlineMarker key={segmentIndex} {...changeProps(segment.changeId)} />;
+                const Segment = SEGMENTS[segment.kind];
+                return (
+                  <Segment key={segmentIndex} {...changeProps(segment.changeId)}>
+                    {segment.text}
+                  </Segment>
+                );
+              })}
+            </Paragraph>
+          );
+        }
+        const Segment = SEGMENTS[block.kind];
+        return Segment ? (
+          <Paragraph key={index} {...changeProps(block.changeId)}>
+            <Segment>{block.text}</Segment>
+          </Paragraph>
+        ) : (
+          <Paragraph key={index}>{block.text}</Paragraph>
+        );
+      })}
+    </Container>
+  );
+};
+
+export default CompareView;
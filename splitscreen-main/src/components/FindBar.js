@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import { buildMatcher } from '../services/textSearch';
+
+const Bar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-bottom: 10px;
+  padding: 8px;
+  background: #f1f3f4;
+  border-radius: 8px;
+  font-size: 14px;
+  flex-shrink: 0;
+`;
+
+const SearchInput = styled.input`
+  width: 220px;
+  padding: 6px 10px;
+  border: 1px solid ${(props) => (props.invalid ? '#d93025' : '#ccc')};
+  border-radius: 6px;
+  font-size: 14px;
+`;
+
+const ScopeSelect = styled.select`
+  padding: 6px;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  font-size: 14px;
+`;
+
+const BarButton = styled.button`
+  min-width: 32px;
+  padding: 5px 8px;
+  border: 1px solid ${(props) => (props.active ? '#1a73e8' : '#ccc')};
+  border-radius: 6px;
+  background: ${(props) => (props.active ? '#e8f0fe' : '#ffffff')};
+  color: ${(props) => (props.active ? '#1a73e8' : '#202124')};
+  font-family: ${(props) => (props.monospace ? 'monospace' : 'inherit')};
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    opacity: 0.5;
+  }
+`;
+
+const Status = styled.span`
+  color: ${(props) => (props.error ? '#d93025' : '#5f6368')};
+`;
+
+const OPTIONS = [
+  { name: 'caseSensitive', label: 'Aa', title: 'Match case' },
+  { name: 'wholeWord', label: 'W', title: 'Match whole words' },
+  { name: 'regex', label: '.*', title: 'Use a regular expression' },
+];
+
+const describePane = (label, result) => {
+  if (!result) return `${label}: not searchable`;
+  if (!result.count) return `${label}: no matches`;
+  if (result.current < 0) return `${label}: ${result.count} ${result.count === 1 ? 'match' : 'matches'}`;
+  return `${label}: ${result.current + 1} of ${result.count}`;
+};
+
+// Searches the documents in the split panes. searchRefs holds the search interface of each
+// pane's content (see ProxyContent); panes lists every pane as { id, label } and shownPanes
+// the ids of those currently shown. Next and previous step through the first pane's
+// matches, then the second pane's, and so on.
+const FindBar = ({ searchRefs, panes, shownPanes, resetKey, focusVersion, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [options, setOptions] = useState({ caseSensitive: false, wholeWord: false, regex: false });
+  // 'all' or the id of one pane, as a string since it comes from a <select>
+  const [scope, setScope] = useState('all');
+  // { key, sides: [pane id], results: { [pane id]: { count, current } | null }, position }
+  const [search, setSearch] = useState(null);
+  const [pending, setPending] = useState(false);
+  const [invalid, setInvalid] = useState(false);
+  const inputRef = useRef(null);
+  const searchIdRef = useRef(0);
+
+  const sidesFor = (searchScope) => shownPanes.filter((side) => searchScope === 'all' || searchScope === String(side));
+
+  const clearPanes = () => {
+    searchRefs.forEach((searchRef) => searchRef.current?.clearSearch());
+  };
+
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  }, [focusVersion]);
+
+  // Results belong to the documents they were found in
+  useEffect(() => {
+    searchIdRef.current += 1;
+    setSearch(null);
+    setPending(false);
+  }, [resetKey]);
+
+  // Highlights go away with the bar
+  useEffect(
+    () => () => searchRefs.forEach((searchRef) => searchRef.current?.clearSearch()),
+    [searchRefs]
+  );
+
+  const goTo = (current, position) => {
+    let remaining = position;
+    const side = current.sides.find((candidate) => {
+      const count = current.results[candidate]?.count || 0;
+      if (remaining < count) return true;
+      remaining -= count;
+      return false;
+    });
+    if (!side) return current;
+    searchRefs[side].current?.showMatch(remaining);
+    return {
+      ...current,
+      position,
+      results: { ...current.results, [side]: { ...current.results[side], current: remaining } },
+    };
+  };
+
+  const runSearch = async (searchQuery, searchOptions, searchScope) => {
+    let matcher;
+    try {
+      matcher = buildMatcher({ query: searchQuery, ...searchOptions });
+      setInvalid(false);
+    } catch (err) {
+      setInvalid(true);
+      return;
+    }
+    const searchId = searchIdRef.current + 1;
+    searchIdRef.current = searchId;
+    clearPanes();
+    if (!matcher) {
+      setSearch(null);
+      return;
+    }
+
+    const sides = sidesFor(searchScope);
+    setPending(true);
+    const counts = await Promise.all(
+      sides.map(async (side) => {
+        const pane = searchRefs[side].current;
+        if (!pane) return null;
+        try {
+          // A null count means the pane's own newer search replaced this one
+          return (await pane.search(matcher)) ?? 0;
+        } catch (err) {
+          console.error(`Error searching pane ${side}:`, err);
+          return 0;
+        }
+      })
+    );
+    if (searchIdRef.current !== searchId) return;
+    setPending(false);
+
+    const results = {};
+    sides.forEach((side, index) => {
+      results[side] = counts[index] === null ? null : { count: counts[index], current: -1 };
+    });
+    const found = { key: JSON.stringify([searchQuery, searchOptions, searchScope]), sides, results, position: -1 };
+    const total = counts.reduce((sum, count) => sum + (count || 0), 0);
+    setSearch(total ? goTo(found, 0) : found);
+  };
+
+  const total = search ? search.sides.reduce((sum, side) => sum + (search.results[side]?.count || 0), 0) : 0;
+
+  const step = (delta) => {
+    if (!total) return;
+    setSearch(goTo(search, (search.position + delta + total) % total));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      // Keeps the dialog around the find bar open
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const key = JSON.stringify([query, options, scope]);
+      if (search && search.key === key && total) step(e.shiftKey ? -1 : 1);
+      else runSearch(query, options, scope);
+    }
+  };
+
+  // Changing an option or the scope re-runs a search that is already showing
+  const toggleOption = (name) => {
+    const nextOptions = { ...options, [name]: !options[name] };
+    setOptions(nextOptions);
+    if (search) runSearch(query, nextOptions, scope);
+  };
+
+  const changeScope = (nextScope) => {
+    setScope(nextScope);
+    if (search) runSearch(query, options, nextScope);
+  };
+
+  const labelOf = (side) => panes.find((pane) => pane.id === side)?.label;
+
+  let status = null;
+  if (invalid) status = <Status error>Invalid regular expression</Status>;
+  else if (pending) status = <Status>Searching...</Status>;
+  else if (search && !search.sides.length) status = <Status>The selected pane is hidden</Status>;
+  else if (search) status = <Status>{search.sides.map((side) => describePane(labelOf(side), search.results[side])).join(' · ')}</Status>;
+
+  return (
+    <Bar role="search">
+      <SearchInput
+        ref={inputRef}
+        type="search"
+        placeholder="Find in documents"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setInvalid(false);
+        }}
+        onKeyDown={handleKeyDown}
+        invalid={invalid}
+        aria-label="Find in documents"
+        aria-invalid={invalid}
+      />
+      {OPTIONS.map(({ name, label, title }) => (
+        <BarButton
+          key={name}
+          active={options[name]}
+          monospace={name === 'regex'}
+          onClick={() => toggleOption(name)}
+          title={title}
+          aria-pressed={options[name]}
+        >
+          {label}
+        </BarButton>
+      ))}
+      <ScopeSelect value={scope} onChange={(e) => changeScope(e.target.value)} aria-label="Panes to search">
+        <option value="all">{panes.length === 2 ? 'Both panes' : 'All panes'}</option>
+        {panes.map((pane) => (
+          <option key={pane.id} value={pane.id}>
+            {pane.label} pane
+          </option>
+        ))}
+      </ScopeSelect>
+      <BarButton onClick={() => step(-1)} disabled={!total} title="Previous match (Shift+Enter)">
+        ▲
+      </BarButton>
+      <BarButton onClick={() => step(1)} disabled={!total} title="Next match (Enter)">
+        ▼
+      </BarButton>
+      {status}
+      <BarButton onClick={onClose} title="Close (Esc)" style={{ marginLeft: 'auto' }}>
+        ✕
+      </BarButton>
+    </Bar>
+  );
+};
+
+export default FindBar;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import styled from 'styled-components';
 import axios from 'axios';
+import { apiUrl } from '../config';
 
 const UploadWrapper = styled.div`
   display: flex;
@@ -62,7 +63,7 @@ const GoogleSheetsUploader = ({ onUploadComplete }) => {
       const formData = new FormData();
       formData.append('file', file);
 
-      const response = await axios.post('http://localhost:5000/upload', formData, {
+      const response = await axios.post(apiUrl('/upload'), formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import {
+  Wrapper,
+  Toolbar,
+  ToolbarGroup,
+  ToolbarButton,
+  Viewport,
+  StatusMessage,
+  TransformControls,
+  useImageTransform,
+} from './ImageViewer';
+
+const Slider = styled.input`
+  width: 140px;
+`;
+
+const Label = styled.span`
+  color: #666;
+`;
+
+// The divider is drawn over the images and can be dragged on its own
+const Divider = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 12px;
+  margin-left: -6px;
+  cursor: ew-resize;
+  touch-action: none;
+
+  &::after {
+    content: '';
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    left: 5px;
+    width: 2px;
+    background: #1a73e8;
+    box-shadow: 0 0 3px rgba(0, 0, 0, 0.4);
+  }
+`;
+
+// Each image is fitted into the left image's frame, so drawings of different resolutions line up
+const frameStyle = (imageStyle) => ({ ...imageStyle, objectFit: 'contain' });
+
+const useImageSize = (url) => {
+  const [state, setState] = useState({ size: null, error: false });
+  useEffect(() => {
+    setState({ size: null, error: false });
+  }, [url]);
+  const onLoad = (e) => setState({ size: { width: e.target.naturalWidth, height: e.target.naturalHeight }, error: false });
+  const onError = () => setState({ size: null, error: true });
+  return { ...state, onLoad, onError };
+};
+
+// Stacks the right pane's image on the left pane's, sharing zoom, pan and rotation. In
+// opacity mode the right image fades in over the left; in swipe mode a divider shows the
+// left image on its left side and the right image on its right.
+const ImageOverlay = ({ leftUrl, rightUrl }) => {
+  const [mode, setMode] = useState('opacity');
+  const [opacity, setOpacity] = useState(50);
+  const [divider, setDivider] = useState(50);
+  const left = useImageSize(leftUrl);
+  const right = useImageSize(rightUrl);
+  const transform = useImageTransform(left.size);
+  const ready = Boolean(left.size && right.size);
+
+  const moveDivider = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const rect = transform.viewportRef.current.getBoundingClientRect();
+    setDivider(Math.max(0, Math.min(100, ((e.clientX - rect.left) / rect.width) * 100)));
+  };
+
+  let status = null;
+  if (left.error || right.error) {
+    status = 'Overlay needs an image in both panes. Load an image URL or upload an image on each side.';
+  } else if (!ready) {
+    status = 'Loading images...';
+  }
+
+  return (
+    <Wrapper>
+      <Toolbar>
+        <TransformControls transform={transform} disabled={!ready} />
+        <ToolbarGroup>
+          <ToolbarButton active={mode === 'opacity'} onClick={() => setMode('opacity')}>
+            Opacity
+          </ToolbarButton>
+          <ToolbarButton active={mode === 'swipe'} onClick={() => setMode('swipe')}>
+            Swipe
+          </ToolbarButton>
+        </ToolbarGroup>
+        {mode === 'opacity' ? (
+          <ToolbarGroup>
+            <Label>Left</Label>
+            <Slider
+              type="range"
+              min="0"
+              max="100"
+              value={opacity}
+              onChange={(e) => setOpacity(Number(e.target.value))}
+              aria-label="Opacity of the right image"
+            />
+            <Label>Right</Label>
+          </ToolbarGroup>
+        ) : (
+          <ToolbarGroup>
+            <Label>Drag the divider to compare</Label>
+          </ToolbarGroup>
+        )}
+      </Toolbar>
+      <Viewport {...transform.viewportProps}>
+        {status && <StatusMessage>{status}</StatusMessage>}
+        <img
+          src={leftUrl}
+          alt="Left pane"
+          draggable={false}
+          onLoad={left.onLoad}
+          onError={left.onError}
+          style={{ ...frameStyle(transform.imageStyle), visibility: ready ? 'visible' : 'hidden' }}
+        />
+        {/* Clipped in screen space, so the swipe edge stays put while the images pan */}
+        <div
+          style={{
+            position: 'absolute',
+            inset: 0,
+            pointerEvents: 'none',
+            opacity: mode === 'opacity' ? opacity / 100 : 1,
+            clipPath: mode === 'swipe' ? `inset(0 0 0 ${divider}%)` : 'none',
+          }}
+        >
+          <img
+            src={rightUrl}
+            alt="Right pane"
+            draggable={false}
+            onLoad={right.onLoad}
+            onError={right.onError}
+            style={{ ...frameStyle(transform.imageStyle), visibility: ready ? 'visible' : 'hidden' }}
+          />
+        </div>
+        {mode === 'swipe' && ready && (
+          <Divider
+            style={{ left: `${divider}%` }}
+            onPointerDown={(e) => {
+              e.stopPropagation();
+              e.currentTarget.setPointerCapture(e.pointerId);
+            }}
+            onPointerMove={(e) => {
+              e.stopPropagation();
+              moveDivider(e);
+            }}
+            onPointerUp={(e) => e.stopPropagation()}
+            role="separator"
+            aria-orientation="vertical"
+            aria-valuenow={Math.round(divider)}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-label="Swipe divider"
+            tabIndex={0}
+            onKeyDown={(e) => {
+              if (e.key === 'ArrowLeft') setDivider((value) => Math.max(0, value - 2));
+              if (e.key === 'ArrowRight') setDivider((value) => Math.min(100, value + 2));
+            }}
+          />
+        )}
+      </Viewport>
+    </Wrapper>
+  );
+};
+
+export default ImageOverlay;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+import styled from 'styled-components';
+
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 20;
+const ZOOM_STEP = 1.25;
+// How much one pixel of wheel movement zooms; a typical mouse notch is 100 pixels
+const WHEEL_ZOOM_RATE = 0.0015;
+
+export const Wrapper = styled.div`
+  display: flex;
+  flex-direction: column;
+  height: 100%;
+  width: 100%;
+`;
+
+export const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 6px;
+  padding: 6px 8px;
+  background: #ffffff;
+  border-bottom: 1px solid #e0e0e0;
+  flex-shrink: 0;
+  font-size: 13px;
+`;
+
+export const ToolbarGroup = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+`;
+
+export const ToolbarButton = styled.button`
+  padding: 3px 8px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  background: ${(props) => (props.active ? '#1a73e8' : '#ffffff')};
+  color: ${(props) => (props.active ? '#ffffff' : '#202124')};
+  cursor: pointer;
+
+  &:disabled {
+    color: #aaa;
+    cursor: not-allowed;
+  }
+`;
+
+const ZoomLevel = styled.span`
+  min-width: 44px;
+  text-align: center;
+  color: #666;
+`;
+
+// Checkerboard, so transparent areas of an image are visible
+export const Viewport = styled.div`
+  position: relative;
+  flex: 1;
+  min-height: 0;
+  overflow: hidden;
+  cursor: ${(props) => (props.dragging ? 'grabbing' : 'grab')};
+  touch-action: none;
+  background-color: #f0f0f0;
+  background-image: linear-gradient(45deg, #e0e0e0 25%, transparent 25%, transparent 75%, #e0e0e0 75%),
+    linear-gradient(45deg, #e0e0e0 25%, transparent 25%, transparent 75%, #e0e0e0 75%);
+  background-size: 20px 20px;
+  background-position: 0 0, 10px 10px;
+`;
+
+export const StatusMessage = styled.div`
+  position: absolute;
+  inset: 0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 12px;
+  color: #666;
+  font-size: 14px;
+  text-align: center;
+`;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Zoom, pan and rotation of an image of the given natural size inside viewportRef's element.
+// x and y offset the image's center from the viewport's center, in screen pixels. Until the
+// user zooms or pans, the image stays fitted to the viewport, also when the viewport resizes.
+export const useImageTransform = (naturalSize) => {
+  const viewportRef = useRef(null);
+  const [view, setView] = useState({ scale: 1, rotation: 0, x: 0, y: 0, fitted: true });
+  const [dragging, setDragging] = useState(false);
+  const dragRef = useRef(null);
+
+  const fitScale = useCallback(
+    (rotation) => {
+      const viewport = viewportRef.current;
+      if (!viewport || !naturalSize) return 1;
+      const sideways = rotation % 180 !== 0;
+      const width = sideways ? naturalSize.height : naturalSize.width;
+      const height = sideways ? naturalSize.width : naturalSize.height;
+      return clamp(Math.min(viewport.clientWidth / width, viewport.clientHeight / height), MIN_SCALE, MAX_SCALE);
+    },
+    [naturalSize]
+  );
+
+  const fit = useCallback(() => {
+    setView((prev) => ({ ...prev, scale: fitScale(prev.rotation), x: 0, y: 0, fitted: true }));
+  }, [fitScale]);
+
+  useLayoutEffect(() => {
+    if (naturalSize) fit();
+  }, [naturalSize, fit]);
+
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return undefined;
+    const observer = new ResizeObserver(() => {
+      setView((prev) => (prev.fitted ? { ...prev, scale: fitScale(prev.rotation), x: 0, y: 0 } : prev));
+    });
+    observer.observe(viewport);
+    return () => observer.disconnect();
+  }, [fitScale]);
+
+  // Zooms keeping the point at (clientX, clientY), or the viewport's center, in place
+  const zoomTo = useCallback((getScale, clientX, clientY) => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+    const rect = viewport.getBoundingClientRect();
+    const pointX = clientX === undefined ? 0 : clientX - rect.left - rect.width / 2;
+    const pointY = clientY === undefined ? 0 : clientY - rect.top - rect.height / 2;
+    setView((prev) => {
+      const scale = clamp(getScale(prev.scale), MIN_SCALE, MAX_SCALE);
+      const ratio = scale / prev.scale;
+      return {
+        ...prev,
+        scale,
+        x: pointX - (pointX - prev.x) * ratio,
+        y: pointY - (pointY - prev.y) * ratio,
+        fitted: false,
+      };
+    });
+  }, []);
+
+  // React registers wheel listeners as passive, which can't stop the page from scrolling
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return undefined;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY;
+      zoomTo((scale) => scale * Math.exp(-delta * WHEEL_ZOOM_RATE), e.clientX, e.clientY);
+    };
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, [zoomTo]);
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { pointerX: e.clientX, pointerY: e.clientY, x: view.x, y: view.y };
+    setDragging(true);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const x = drag.x + e.clientX - drag.pointerX;
+    const y = drag.y + e.clientY - drag.pointerY;
+    setView((prev) => ({ ...prev, x, y, fitted: false }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+    setDragging(false);
+  };
+
+  const rotate = (degrees) => {
+    setView((prev) => {
+      const rotation = (prev.rotation + degrees + 360) % 360;
+      return prev.fitted ? { ...prev, rotation, scale: fitScale(rotation) } : { ...prev, rotation };
+    });
+  };
+
+  return {
+    viewportRef,
+    view,
+    dragging,
+    zoomBy: (factor) => zoomTo((scale) => scale * factor),
+    actualSize: () => setView((prev) => ({ ...prev, scale: 1, x: 0, y: 0, fitted: false })),
+    fit,
+    rotate,
+    viewportProps: {
+      ref: viewportRef,
+      dragging,
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerUp,
+      onDoubleClick: () => (view.fitted ? zoomTo(() => 1) : fit()),
+    },
+    // For an element of the image's natural size centered in the viewport
+    imageStyle: {
+      position: 'absolute',
+      left: '50%',
+      top: '50%',
+      width: naturalSize ? naturalSize.width : 'auto',
+      height: naturalSize ? naturalSize.height : 'auto',
+      maxWidth: 'none',
+      transform: `translate(-50%, -50%) translate(${view.x}px, ${view.y}px) rotate(${view.rotation}deg) scale(${view.scale})`,
+      transformOrigin: 'center',
+      userSelect: 'none',
+      pointerEvents: 'none',
+    },
+  };
+};
+
+export const TransformControls = ({ transform, disabled }) => (
+  <>
+    <ToolbarGroup>
+      <ToolbarButton onClick={() => transform.zoomBy(1 / ZOOM_STEP)} disabled={disabled} title="Zoom out">
+        −
+      </ToolbarButton>
+      <ZoomLevel>{Math.round(transform.view.scale * 100)}%</ZoomLevel>
+      <ToolbarButton onClick={() => transform.zoomBy(ZOOM_STEP)} disabled={disabled} title="Zoom in">
+        +
+      </ToolbarButton>
+    </ToolbarGroup>
+    <ToolbarGroup>
+      <ToolbarButton onClick={transform.fit} active={transform.view.fitted} disabled={disabled} title="Fit to pane">
+        Fit
+      </ToolbarButton>
+      <ToolbarButton onClick={transform.actualSize} disabled={disabled} title="Actual size">
+        1:1
+      </ToolbarButton>
+    </ToolbarGroup>
+    <ToolbarGroup>
+      <ToolbarButton onClick={() => transform.rotate(-90)} disabled={disabled} title="Rotate left">
+        ⟲
+      </ToolbarButton>
+      <ToolbarButton onClick={() => transform.rotate(90)} disabled={disabled} title="Rotate right">
+        ⟳
+      </ToolbarButton>
+    </ToolbarGroup>
+  </>
+);
+
+// Image viewer for a pane: wheel to zoom around the cursor, drag to pan, double-click to
+// switch between fitting the pane and actual size
+const ImageViewer = ({ url, alt = 'Image' }) => {
+  const [naturalSize, setNaturalSize] = useState(null);
+  const [error, setError] = useState(false);
+  const transform = useImageTransform(naturalSize);
+
+  useEffect(() => {
+    setNaturalSize(null);
+    setError(false);
+  }, [url]);
+
+  const handleLoad = (e) => {
+    setNaturalSize({ width: e.target.naturalWidth, height: e.target.naturalHeight });
+  };
+
+  return (
+    <Wrapper>
+      <Toolbar>
+        <TransformControls transform={transform} disabled={!naturalSize} />
+        {naturalSize && (
+          <ZoomLevel style={{ marginLeft: 'auto' }}>
+            {naturalSize.width} × {naturalSize.height}
+          </ZoomLevel>
+        )}
+      </Toolbar>
+      <Viewport {...transform.viewportProps}>
+        {error && <StatusMessage>The image could not be loaded.</StatusMessage>}
+        {!error && !naturalSize && <StatusMessage>Loading image...</StatusMessage>}
+        <img
+          src={url}
+          alt={alt}
+          draggable={false}
+          onLoad={handleLoad}
+          onError={() => setError(true)}
+          style={{ ...transform.imageStyle, visibility: naturalSize ? 'visible' : 'hidden' }}
+        />
+      </Viewport>
+    </Wrapper>
+  );
+};
+
+export default ImageViewer;
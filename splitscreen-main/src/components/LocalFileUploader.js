@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import axios from 'axios';
+import { apiUrl } from '../config';
 
 const Container = styled.div`
   font-family: Arial, sans-serif;
@@ -30,7 +31,7 @@ const PatentViewer = ({ patentNumber }) => {
   useEffect(() => {
     const fetchPatentData = async () => {
       try {
-        const response = await axios.post('http://localhost:3001/api/fetch-patent', { patentNumber });
+        const response = await axios.post(apiUrl('/api/fetch-patent'), { patentNumber });
         setPatentData(response.data);
         setLoading(false);
       } catch (err) {
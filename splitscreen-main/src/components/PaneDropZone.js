@@ -0,0 +1,126 @@
+import React from 'react';
+import styled from 'styled-components';
+import { useDropzone } from 'react-dropzone';
+
+const Zone = styled.div`
+  position: relative;
+  height: 100%;
+  display: flex;
+  flex-direction: column;
+`;
+
+const ZoneContent = styled.div`
+  flex: 1;
+  min-height: 0;
+`;
+
+const DropOverlay = styled.div`
+  position: absolute;
+  inset: 0;
+  z-index: 3;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 20px;
+  border: 3px dashed #1a73e8;
+  border-radius: 8px;
+  background: rgba(232, 240, 254, 0.92);
+  color: #1a73e8;
+  font-size: 18px;
+  font-weight: 600;
+  text-align: center;
+  pointer-events: none;
+`;
+
+const QueueBar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 6px 8px;
+  background: #f1f3f4;
+  border-bottom: 1px solid #e0e0e0;
+  font-size: 13px;
+  flex-shrink: 0;
+`;
+
+const QueueButton = styled.button`
+  padding: 2px 8px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  background: #ffffff;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    opacity: 0.4;
+  }
+`;
+
+const QueueSelect = styled.select`
+  min-width: 0;
+  max-width: 260px;
+  padding: 2px 4px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+const QueueStatus = styled.span`
+  flex: 1;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: ${(props) => (props.error ? '#d93025' : '#5f6368')};
+`;
+
+const describeItem = (item) => {
+  if (item.status === 'error') return `failed: ${item.error}`;
+  if (item.status === 'ready') return 'ready';
+  if (item.progress === 100) return 'processing...';
+  return item.status === 'queued' ? 'waiting' : `uploading ${item.progress}%`;
+};
+
+// Accepts files dropped onto a pane and shows the pane's queue of uploaded files above its
+// content. queue is { items: [{ id, name, status, progress, error }], current } where status
+// is 'queued', 'uploading', 'ready' or 'error' and progress is in percent.
+const PaneDropZone = ({ label, queue, onDropFiles, onSelect, onClear, children }) => {
+  // Clicking the pane must keep working as usual; files can also be picked with the inputs above
+  const { getRootProps, isDragActive } = useDropzone({ onDrop: onDropFiles, noClick: true, noKeyboard: true });
+  const { items, current } = queue;
+  const item = items[current];
+
+  return (
+    <Zone {...getRootProps()}>
+      {item && (
+        <QueueBar role="group" aria-label={`Files dropped on the ${label.toLowerCase()} pane`}>
+          <QueueButton onClick={() => onSelect(current - 1)} disabled={current === 0} aria-label="Previous file">
+            ‹
+          </QueueButton>
+          <QueueSelect value={current} onChange={(e) => onSelect(Number(e.target.value))} aria-label="File to show">
+            {items.map((candidate, position) => (
+              <option key={candidate.id} value={position}>
+                {position + 1}/{items.length} {candidate.name} ({describeItem(candidate)})
+              </option>
+            ))}
+          </QueueSelect>
+          <QueueButton onClick={() => onSelect(current + 1)} disabled={current === items.length - 1} aria-label="Next file">
+            ›
+          </QueueButton>
+          {item.status === 'uploading' && (
+            <progress max={100} value={item.progress} aria-label={`Upload progress of ${item.name}`} />
+          )}
+          <QueueStatus error={item.status === 'error'} role="status" title={describeItem(item)}>
+            {describeItem(item)}
+          </QueueStatus>
+          <QueueButton onClick={onClear} title="Close the file list. The file shown stays open.">
+            ✕
+          </QueueButton>
+        </QueueBar>
+      )}
+      <ZoneContent>{children}</ZoneContent>
+      {isDragActive && <DropOverlay>Drop files to open them in the {label.toLowerCase()} pane</DropOverlay>}
+    </Zone>
+  );
+};
+
+export default PaneDropZone;
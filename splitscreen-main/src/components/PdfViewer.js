@@ -0,0 +1,838 @@
+import React, {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useCallback,
+  useImperativeHandle,
+  forwardRef,
+  memo,
+} from 'react';
+import styled from 'styled-components';
+import * as pdfjsLib from 'pdfjs-dist';
+import { buildMatcher, findMatches } from '../services/textSearch';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+// Size of each byte-range request pdf.js makes against the proxy
+const RANGE_CHUNK_SIZE = 256 * 1024;
+const PAGE_GAP = 10;
+const THUMBNAIL_WIDTH = 100;
+
+// Zoom levels are percentages of the page's printed size, as in the pdf.js viewer
+const PDF_TO_CSS_UNITS = pdfjsLib.PixelsPerInch.PDF_TO_CSS_UNITS;
+const FIT_WIDTH = 'page-width';
+const FIT_PAGE = 'page-fit';
+const ZOOM_PRESETS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 5;
+const ZOOM_STEP = 1.25;
+
+const Wrapper = styled.div`
+  display: flex;
+  flex-direction: column;
+  height: 100%;
+  width: 100%;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 6px;
+  padding: 6px 8px;
+  background: #ffffff;
+  border-bottom: 1px solid #e0e0e0;
+  flex-shrink: 0;
+  font-size: 13px;
+`;
+
+const ToolbarGroup = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+`;
+
+const ToolbarButton = styled.button`
+  padding: 3px 8px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  background: ${(props) => (props.active ? '#1a73e8' : '#ffffff')};
+  color: ${(props) => (props.active ? '#ffffff' : '#202124')};
+  cursor: pointer;
+
+  &:disabled {
+    color: #aaa;
+    cursor: not-allowed;
+  }
+`;
+
+const ToolbarInput = styled.input`
+  width: ${(props) => props.width || '40px'};
+  padding: 3px 5px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const ToolbarSelect = styled.select`
+  padding: 3px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  font-size: 13px;
+`;
+
+const SearchStatus = styled.span`
+  color: #666;
+  white-space: nowrap;
+`;
+
+const Body = styled.div`
+  display: flex;
+  flex: 1;
+  min-height: 0;
+`;
+
+const ThumbnailList = styled.div`
+  width: ${THUMBNAIL_WIDTH + 20}px;
+  flex-shrink: 0;
+  overflow-y: auto;
+  background: #3b3e40;
+  padding: 8px;
+  box-sizing: border-box;
+`;
+
+const ThumbnailButton = styled.button`
+  display: block;
+  position: relative;
+  margin: 0 auto 8px;
+  padding: 0;
+  border: 2px solid ${(props) => (props.active ? '#8ab4f8' : 'transparent')};
+  background: #ffffff;
+  cursor: pointer;
+`;
+
+const ThumbnailNumber = styled.span`
+  position: absolute;
+  bottom: 2px;
+  right: 4px;
+  font-size: 11px;
+  color: #666;
+`;
+
+const Container = styled.div`
+  position: relative;
+  flex: 1;
+  overflow: auto;
+  background: #525659;
+  padding: ${PAGE_GAP}px 0;
+  box-sizing: border-box;
+`;
+
+const PageFrame = styled.div`
+  position: relative;
+  margin: 0 auto ${PAGE_GAP}px;
+  background: #ffffff;
+  box-shadow: 0 2px 6px rgba(0, 0, 0, 0.4);
+`;
+
+// Mirrors the .textLayer rules from pdfjs-dist/web/pdf_viewer.css
+const TextLayer = styled.div`
+  position: absolute;
+  text-align: initial;
+  inset: 0;
+  overflow: hidden;
+  opacity: 0.25;
+  line-height: 1;
+  text-size-adjust: none;
+  forced-color-adjust: none;
+  transform-origin: 0 0;
+  z-index: 2;
+
+  span,
+  br {
+    color: transparent;
+    position: absolute;
+    white-space: pre;
+    cursor: text;
+    transform-origin: 0% 0%;
+  }
+
+  span.markedContent {
+    top: 0;
+    height: 0;
+  }
+
+  .highlight {
+    margin: -1px;
+    padding: 1px;
+    background-color: rgba(180, 0, 170, 1);
+    border-radius: 4px;
+  }
+
+  .highlight.appended {
+    position: initial;
+  }
+
+  .highlight.selected {
+    background-color: rgba(0, 100, 0, 1);
+  }
+
+  ::selection {
+    background: blue;
+  }
+
+  br::selection {
+    background: transparent;
+  }
+
+  .endOfContent {
+    display: block;
+    position: absolute;
+    inset: 100% 0 0;
+    z-index: -1;
+    cursor: default;
+    user-select: none;
+  }
+`;
+
+const PagePlaceholder = styled.div`
+  position: absolute;
+  inset: 0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  color: #999;
+  font-size: 14px;
+`;
+
+const StatusMessage = styled.div`
+  color: #ffffff;
+  padding: 12px;
+  text-align: center;
+  font-size: 14px;
+`;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Wraps search matches in a page's text layer using the same markup as the pdf.js viewer.
+// Matches are counted per text item, in the same order runSearch counts them.
+const highlightMatches = (textDivs, itemStrings, matcher, selectedMatch) => {
+  let matchIndex = 0;
+  let selectedElement = null;
+  textDivs.forEach((div, index) => {
+    const text = itemStrings[index];
+    const matches = findMatches(text, matcher);
+    if (!matches.length) {
+      if (div.childElementCount) div.textContent = text;
+      return;
+    }
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    matches.forEach(({ start, end }) => {
+      fragment.append(text.slice(last, start));
+      const mark = document.createElement('span');
+      mark.className = matchIndex === selectedMatch ? 'highlight appended selected' : 'highlight appended';
+      mark.textContent = text.slice(start, end);
+      if (matchIndex === selectedMatch) selectedElement = mark;
+      fragment.append(mark);
+      last = end;
+      matchIndex += 1;
+    });
+    fragment.append(text.slice(last));
+    div.replaceChildren(fragment);
+  });
+  return selectedElement;
+};
+
+// Renders a single page to a canvas plus a selectable text layer while it is near the
+// viewport, so a long document shows its first pages while later ones are still being
+// downloaded. Pages re-render at the new scale when zoomed.
+const PdfPage = memo(({ pdf, pageNumber, scale, defaultSize, scrollRoot, searchMatcher, selectedMatch }) => {
+  const frameRef = useRef(null);
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const textDivsRef = useRef([]);
+  const itemStringsRef = useRef([]);
+  const renderedScaleRef = useRef(null);
+  const scrolledMatchRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [isRendered, setIsRendered] = useState(false);
+  const [textLayerVersion, setTextLayerVersion] = useState(0);
+  // Placeholders assume every page matches page 1 until this page's real size is known
+  const [baseSize, setBaseSize] = useState(null);
+
+  useEffect(() => {
+    const frame = frameRef.current;
+    if (!frame) return undefined;
+    const observer = new IntersectionObserver(([entry]) => setIsVisible(entry.isIntersecting), {
+      root: scrollRoot,
+      rootMargin: '300px 0px',
+    });
+    observer.observe(frame);
+    return () => observer.disconnect();
+  }, [scrollRoot]);
+
+  useEffect(() => {
+    if (!isVisible || renderedScaleRef.current === scale) return undefined;
+    let renderTask = null;
+    let textLayerTask = null;
+    let cancelled = false;
+
+    const render = async () => {
+      const page = await pdf.getPage(pageNumber);
+      if (cancelled || !canvasRef.current) return;
+      const baseViewport = page.getViewport({ scale: 1 });
+      setBaseSize({ width: baseViewport.width, height: baseViewport.height });
+
+      const viewport = page.getViewport({ scale });
+      const outputScale = window.devicePixelRatio || 1;
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+      });
+      await renderTask.promise;
+      if (cancelled) return;
+      renderedScaleRef.current = scale;
+      setIsRendered(true);
+
+      const textContent = await page.getTextContent();
+      if (cancelled || !textLayerRef.current) return;
+      textLayerRef.current.replaceChildren();
+      textDivsRef.current = [];
+      itemStringsRef.current = [];
+      textLayerTask = pdfjsLib.renderTextLayer({
+        textContentSource: textContent,
+        container: textLayerRef.current,
+        viewport,
+        textDivs: textDivsRef.current,
+        textContentItemsStr: itemStringsRef.current,
+      });
+      await textLayerTask.promise;
+      if (!cancelled) setTextLayerVersion((version) => version + 1);
+    };
+
+    render().catch((error) => {
+      if (!cancelled && error?.name !== 'RenderingCancelledException') {
+        console.error(`Error rendering PDF page ${pageNumber}:`, error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+      if (textLayerTask) textLayerTask.cancel();
+    };
+  }, [pdf, pageNumber, scale, isVisible]);
+
+  useEffect(() => {
+    if (!textLayerVersion) return;
+    const selectedElement = highlightMatches(textDivsRef.current, itemStringsRef.current, searchMatcher, selectedMatch);
+    // Scroll to a newly selected match once, not again on every zoom re-render
+    const matchKey = `${searchMatcher}:${selectedMatch}`;
+    if (selectedElement && scrolledMatchRef.current !== matchKey) {
+      scrolledMatchRef.current = matchKey;
+      selectedElement.scrollIntoView({ block: 'center', inline: 'nearest' });
+    }
+    if (!selectedElement) scrolledMatchRef.current = null;
+  }, [searchMatcher, selectedMatch, textLayerVersion]);
+
+  const size = baseSize || defaultSize;
+  return (
+    <PageFrame
+      ref={frameRef}
+      style={{
+        width: Math.floor(size.width * scale),
+        height: Math.floor(size.height * scale),
+        '--scale-factor': scale,
+      }}
+      data-page-number={pageNumber}
+    >
+      <canvas ref={canvasRef} style={{ display: 'block', width: '100%', height: '100%' }} />
+      <TextLayer ref={textLayerRef} />
+      {!isRendered && <PagePlaceholder>Loading page {pageNumber}...</PagePlaceholder>}
+    </PageFrame>
+  );
+});
+
+// Small preview rendered once, the first time it scrolls into the thumbnail list
+const PdfThumbnail = memo(({ pdf, pageNumber, defaultSize, active, scrollRoot, onSelect }) => {
+  const buttonRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+
+  useEffect(() => {
+    const button = buttonRef.current;
+    if (!button) return undefined;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) setIsVisible(true);
+      },
+      { root: scrollRoot, rootMargin: '200px 0px' }
+    );
+    observer.observe(button);
+    return () => observer.disconnect();
+  }, [scrollRoot]);
+
+  useEffect(() => {
+    if (!isVisible) return undefined;
+    let renderTask = null;
+    let cancelled = false;
+    pdf
+      .getPage(pageNumber)
+      .then((page) => {
+        if (cancelled || !canvasRef.current) return undefined;
+        const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width });
+        const canvas = canvasRef.current;
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+        renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        return renderTask.promise;
+      })
+      .catch((error) => {
+        if (error?.name !== 'RenderingCancelledException') console.error(`Error rendering thumbnail ${pageNumber}:`, error);
+      });
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+    };
+  }, [pdf, pageNumber, isVisible]);
+
+  useEffect(() => {
+    if (active && buttonRef.current) buttonRef.current.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  return (
+    <ThumbnailButton ref={buttonRef} active={active} onClick={() => onSelect(pageNumber)} title={`Page ${pageNumber}`}>
+      <canvas
+        ref={canvasRef}
+        style={{
+          display: 'block',
+          width: THUMBNAIL_WIDTH,
+          height: Math.floor((defaultSize.height / defaultSize.width) * THUMBNAIL_WIDTH),
+        }}
+      />
+      <ThumbnailNumber>{pageNumber}</ThumbnailNumber>
+    </ThumbnailButton>
+  );
+});
+
+const computeScale = (zoom, pageSize, containerSize) => {
+  if (!pageSize || !containerSize.width) return null;
+  const widthScale = (containerSize.width - 2 * PAGE_GAP) / pageSize.width;
+  if (zoom === FIT_WIDTH) return widthScale;
+  if (zoom === FIT_PAGE) return Math.min(widthScale, (containerSize.height - 2 * PAGE_GAP) / pageSize.height);
+  return zoom * PDF_TO_CSS_UNITS;
+};
+
+// In-app PDF renderer. The ref exposes the current page and scroll position so the app
+// can read and drive it:
+//   getPageCount(), getCurrentPage(), setCurrentPage(pageNumber)
+//   getScrollPosition() -> { page, pageOffset, scrollTop, scrollRatio }
+//   setScrollPosition({ page, pageOffset } | { scrollRatio } | { scrollTop })
+// onPageChange(page, pageCount) and onScroll(position) report changes made by the user.
+const PdfViewer = forwardRef(({ url, onPageChange, onScroll }, ref) => {
+  const [pdf, setPdf] = useState(null);
+  const [pageSize, setPageSize] = useState(null);
+  const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [zoom, setZoom] = useState(FIT_WIDTH);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageInput, setPageInput] = useState('1');
+  const [showThumbnails, setShowThumbnails] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState({ matcher: null, matches: [], current: -1, pending: false });
+  const containerRef = useRef(null);
+  const thumbnailListRef = useRef(null);
+  const anchorRef = useRef(null);
+  const textCacheRef = useRef(new Map());
+  const searchIdRef = useRef(0);
+  // The latest results, for the find bar, which selects a match right after searching
+  const matchesRef = useRef([]);
+  const scrollFrameRef = useRef(null);
+  const currentPageRef = useRef(1);
+  const callbacksRef = useRef({ onPageChange, onScroll });
+  callbacksRef.current = { onPageChange, onScroll };
+
+  useEffect(() => {
+    setPdf(null);
+    setPageSize(null);
+    setError(null);
+    setProgress(null);
+    setCurrentPage(1);
+    currentPageRef.current = 1;
+    setPageInput('1');
+    setSearch({ matcher: null, matches: [], current: -1, pending: false });
+    matchesRef.current = [];
+    anchorRef.current = null;
+    textCacheRef.current = new Map();
+
+    // disableAutoFetch keeps pdf.js from downloading the rest of the file in the
+    // background; pages are fetched by range as they are rendered
+    const loadingTask = pdfjsLib.getDocument({ url, rangeChunkSize: RANGE_CHUNK_SIZE, disableAutoFetch: true });
+    loadingTask.onProgress = ({ loaded, total }) => setProgress({ loaded, total });
+    loadingTask.promise
+      .then(async (pdfDocument) => {
+        const firstPage = await pdfDocument.getPage(1);
+        const viewport = firstPage.getViewport({ scale: 1 });
+        setPageSize({ width: viewport.width, height: viewport.height });
+        setPdf(pdfDocument);
+      })
+      .catch((err) => {
+        console.error('Error loading PDF:', err);
+        setError(`Failed to load PDF: ${err.message}`);
+      });
+
+    return () => {
+      loadingTask.destroy();
+    };
+  }, [url]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(([entry]) =>
+      setContainerSize({ width: entry.contentRect.width, height: entry.contentRect.height })
+    );
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const scale = computeScale(zoom, pageSize, containerSize);
+  const pageCount = pdf ? pdf.numPages : 0;
+
+  // Page under the given vertical offset, and how far into that page it falls (0-1)
+  const pageAt = useCallback((y) => {
+    const frames = containerRef.current ? containerRef.current.querySelectorAll('[data-page-number]') : [];
+    for (let index = 0; index < frames.length; index += 1) {
+      const frame = frames[index];
+      if (y < frame.offsetTop + frame.offsetHeight + PAGE_GAP || index === frames.length - 1) {
+        return {
+          page: index + 1,
+          pageOffset: clamp((y - frame.offsetTop) / frame.offsetHeight, 0, 1),
+        };
+      }
+    }
+    return { page: 1, pageOffset: 0 };
+  }, []);
+
+  const getScrollPosition = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return { page: 1, pageOffset: 0, scrollTop: 0, scrollRatio: 0 };
+    const maxScroll = container.scrollHeight - container.clientHeight;
+    return {
+      ...pageAt(container.scrollTop + PAGE_GAP),
+      scrollTop: container.scrollTop,
+      scrollRatio: maxScroll > 0 ? container.scrollTop / maxScroll : 0,
+    };
+  }, [pageAt]);
+
+  const scrollToPage = useCallback(
+    (pageNumber, pageOffset = 0) => {
+      const container = containerRef.current;
+      if (!container || !pageCount) return;
+      const target = clamp(Math.round(pageNumber), 1, pageCount);
+      const frame = container.querySelector(`[data-page-number="${target}"]`);
+      if (!frame) return;
+      container.scrollTop = frame.offsetTop - PAGE_GAP + pageOffset * frame.offsetHeight;
+    },
+    [pageCount]
+  );
+
+  const setScrollPosition = useCallback(
+    ({ page, pageOffset, scrollRatio, scrollTop }) => {
+      const container = containerRef.current;
+      if (!container) return;
+      if (page !== undefined) {
+        scrollToPage(page, pageOffset || 0);
+      } else if (scrollRatio !== undefined) {
+        container.scrollTop = scrollRatio * (container.scrollHeight - container.clientHeight);
+      } else if (scrollTop !== undefined) {
+        container.scrollTop = scrollTop;
+      }
+    },
+    [scrollToPage]
+  );
+
+  // Extracts and caches each page's text items, matching what the text layer renders
+  const getPageText = useCallback(
+    async (pageNumber) => {
+      if (!textCacheRef.current.has(pageNumber)) {
+        const page = await pdf.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        textCacheRef.current.set(
+          pageNumber,
+          textContent.items.filter((item) => item.str !== undefined).map((item) => item.str)
+        );
+      }
+      return textCacheRef.current.get(pageNumber);
+    },
+    [pdf]
+  );
+
+  const selectMatch = useCallback(
+    (index) => {
+      const matches = matchesRef.current;
+      if (!matches.length) return;
+      const current = (index + matches.length) % matches.length;
+      setSearch((previous) => ({ ...previous, current }));
+      scrollToPage(matches[current].pageNumber);
+    },
+    [scrollToPage]
+  );
+
+  const clearSearch = useCallback(() => {
+    searchIdRef.current += 1;
+    matchesRef.current = [];
+    setSearch({ matcher: null, matches: [], current: -1, pending: false });
+  }, []);
+
+  // Resolves to the number of matches, or null when a newer search replaced this one
+  const runSearch = useCallback(
+    async (matcher, { selectFirst = false } = {}) => {
+      if (!pdf || !matcher) {
+        clearSearch();
+        return 0;
+      }
+      const searchId = searchIdRef.current + 1;
+      searchIdRef.current = searchId;
+      matchesRef.current = [];
+      setSearch({ matcher, matches: [], current: -1, pending: true });
+
+      const matches = [];
+      try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+          const itemStrings = await getPageText(pageNumber);
+          if (searchIdRef.current !== searchId) return null;
+          let index = 0;
+          itemStrings.forEach((text) => {
+            findMatches(text, matcher).forEach(() => {
+              matches.push({ pageNumber, index });
+              index += 1;
+            });
+          });
+        }
+      } catch (err) {
+        console.error('Error searching PDF:', err);
+      }
+      if (searchIdRef.current !== searchId) return null;
+
+      matchesRef.current = matches;
+      setSearch({ matcher, matches, current: -1, pending: false });
+      if (selectFirst) {
+        // Start from the first match at or after the page being read
+        const first = matches.findIndex((match) => match.pageNumber >= currentPageRef.current);
+        selectMatch(first === -1 ? 0 : first);
+      }
+      return matches.length;
+    },
+    [pdf, getPageText, selectMatch, clearSearch]
+  );
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      getPageCount: () => pageCount,
+      getCurrentPage: () => currentPage,
+      setCurrentPage: (pageNumber) => scrollToPage(pageNumber),
+      getScrollPosition,
+      setScrollPosition,
+      search: (matcher) => runSearch(matcher),
+      showMatch: selectMatch,
+      clearSearch,
+    }),
+    [pageCount, currentPage, scrollToPage, getScrollPosition, setScrollPosition, runSearch, selectMatch, clearSearch]
+  );
+
+  const handleScroll = () => {
+    if (scrollFrameRef.current) return;
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = null;
+      const container = containerRef.current;
+      if (!container) return;
+      const position = getScrollPosition();
+      anchorRef.current = { page: position.page, pageOffset: position.pageOffset };
+      // The page counter follows the page filling the upper part of the viewport
+      const { page } = pageAt(container.scrollTop + container.clientHeight / 3);
+      if (page !== currentPageRef.current) {
+        currentPageRef.current = page;
+        setCurrentPage(page);
+        setPageInput(String(page));
+        if (callbacksRef.current.onPageChange) callbacksRef.current.onPageChange(page, pageCount);
+      }
+      if (callbacksRef.current.onScroll) callbacksRef.current.onScroll(position);
+    });
+  };
+
+  useEffect(() => () => cancelAnimationFrame(scrollFrameRef.current), []);
+
+  // Keep the same spot in view when the scale changes (zoom, fit mode or pane resize)
+  useLayoutEffect(() => {
+    if (scale && anchorRef.current) scrollToPage(anchorRef.current.page, anchorRef.current.pageOffset);
+  }, [scale, scrollToPage]);
+
+  const goToPage = (pageNumber) => {
+    if (!pageCount || Number.isNaN(pageNumber)) {
+      setPageInput(String(currentPage));
+      return;
+    }
+    const target = clamp(pageNumber, 1, pageCount);
+    setPageInput(String(target));
+    scrollToPage(target);
+  };
+
+  const zoomPercent = scale ? Math.round((scale / PDF_TO_CSS_UNITS) * 100) : 100;
+  const zoomBy = (factor) => setZoom(clamp((zoomPercent / 100) * factor, MIN_ZOOM, MAX_ZOOM));
+
+  // The toolbar's own search box matches plain text, ignoring case
+  const handleSearchKeyDown = (e) => {
+    if (e.key !== 'Enter') return;
+    const matcher = buildMatcher({ query: searchInput.trim() });
+    if (matcher && String(matcher) === String(search.matcher) && search.matches.length) {
+      selectMatch(search.current + (e.shiftKey ? -1 : 1));
+    } else {
+      runSearch(matcher, { selectFirst: true });
+    }
+  };
+
+  const selected = search.matches[search.current];
+  let searchStatus = '';
+  if (search.pending) searchStatus = 'Searching...';
+  else if (search.matcher && !search.matches.length) searchStatus = 'No matches';
+  else if (selected) searchStatus = `${search.current + 1} of ${search.matches.length}`;
+
+  const zoomValue = typeof zoom === 'number' ? String(zoom) : zoom;
+  const isPresetZoom = typeof zoom !== 'number' || ZOOM_PRESETS.includes(zoom);
+
+  return (
+    <Wrapper>
+      <Toolbar>
+        <ToolbarButton
+          active={showThumbnails}
+          onClick={() => setShowThumbnails((value) => !value)}
+          disabled={!pdf}
+          title="Toggle thumbnails"
+        >
+          Thumbnails
+        </ToolbarButton>
+        <ToolbarGroup>
+          <ToolbarButton onClick={() => goToPage(currentPage - 1)} disabled={!pdf || currentPage <= 1} title="Previous page">
+            ‹
+          </ToolbarButton>
+          <ToolbarInput
+            value={pageInput}
+            onChange={(e) => setPageInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && goToPage(parseInt(pageInput, 10))}
+            onBlur={() => setPageInput(String(currentPage))}
+            disabled={!pdf}
+            aria-label="Page number"
+          />
+          <span>/ {pageCount || '-'}</span>
+          <ToolbarButton onClick={() => goToPage(currentPage + 1)} disabled={!pdf || currentPage >= pageCount} title="Next page">
+            ›
+          </ToolbarButton>
+        </ToolbarGroup>
+        <ToolbarGroup>
+          <ToolbarButton onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={!pdf || zoomPercent <= MIN_ZOOM * 100} title="Zoom out">
+            −
+          </ToolbarButton>
+          <ToolbarSelect
+            value={isPresetZoom ? zoomValue : 'custom'}
+            onChange={(e) => {
+              const { value } = e.target;
+              setZoom(value === FIT_WIDTH || value === FIT_PAGE ? value : parseFloat(value));
+            }}
+            disabled={!pdf}
+            aria-label="Zoom"
+          >
+            <option value={FIT_WIDTH}>Fit width</option>
+            <option value={FIT_PAGE}>Fit page</option>
+            {!isPresetZoom && <option value="custom">{zoomPercent}%</option>}
+            {ZOOM_PRESETS.map((preset) => (
+              <option key={preset} value={String(preset)}>
+                {Math.round(preset * 100)}%
+              </option>
+            ))}
+          </ToolbarSelect>
+          <ToolbarButton onClick={() => zoomBy(ZOOM_STEP)} disabled={!pdf || zoomPercent >= MAX_ZOOM * 100} title="Zoom in">
+            +
+          </ToolbarButton>
+        </ToolbarGroup>
+        <ToolbarGroup>
+          <ToolbarInput
+            width="140px"
+            type="search"
+            placeholder="Search document"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            onKeyDown={handleSearchKeyDown}
+            disabled={!pdf}
+            aria-label="Search document"
+          />
+          <ToolbarButton
+            onClick={() => selectMatch(search.current - 1)}
+            disabled={!search.matches.length}
+            title="Previous match"
+          >
+            ▲
+          </ToolbarButton>
+          <ToolbarButton
+            onClick={() => selectMatch(search.current + 1)}
+            disabled={!search.matches.length}
+            title="Next match"
+          >
+            ▼
+          </ToolbarButton>
+          {searchStatus && <SearchStatus>{searchStatus}</SearchStatus>}
+        </ToolbarGroup>
+      </Toolbar>
+      <Body>
+        {showThumbnails && pdf && pageSize && (
+          <ThumbnailList ref={thumbnailListRef}>
+            {Array.from({ length: pageCount }, (_, index) => (
+              <PdfThumbnail
+                key={index + 1}
+                pdf={pdf}
+                pageNumber={index + 1}
+                defaultSize={pageSize}
+                active={currentPage === index + 1}
+                scrollRoot={thumbnailListRef.current}
+                onSelect={scrollToPage}
+              />
+            ))}
+          </ThumbnailList>
+        )}
+        <Container ref={containerRef} onScroll={handleScroll}>
+          {error && <StatusMessage>{error}</StatusMessage>}
+          {!error && !pdf && (
+            <StatusMessage>
+              Loading PDF...
+              {progress?.total ? ` ${Math.round((progress.loaded / progress.total) * 100)}%` : ''}
+            </StatusMessage>
+          )}
+          {pdf &&
+            scale &&
+            Array.from({ length: pageCount }, (_, index) => (
+              <PdfPage
+                key={index + 1}
+                pdf={pdf}
+                pageNumber={index + 1}
+                scale={scale}
+                defaultSize={pageSize}
+                scrollRoot={containerRef.current}
+                searchMatcher={search.matches.length ? search.matcher : null}
+                selectedMatch={selected && selected.pageNumber === index + 1 ? selected.index : -1}
+              />
+            ))}
+        </Container>
+      </Body>
+    </Wrapper>
+  );
+});
+
+export default PdfViewer;
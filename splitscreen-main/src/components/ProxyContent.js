@@ -1,163 +1,250 @@
-import React, { useState, useEffect, useRef } from 'react';
-import * as XLSX from 'xlsx';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useImperativeHandle } from 'react';
+import SlideViewer from './SlideViewer';
+import PdfViewer from './PdfViewer';
+import SpreadsheetGrid from './SpreadsheetGrid';
+import ImageViewer from './ImageViewer';
+import {
+  ERROR_CODES,
+  ERROR_ACTIONS,
+  ProxyRequestError,
+  fetchFromProxy,
+  readProxyError,
+  describeProxyError,
+} from '../services/proxyErrors';
+import { apiUrl } from '../config';
+import { charsetOf, parseCsv } from '../services/csvParser';
+import { isDelimitedTextType, isSpreadsheetType, sheetsFromWorkbook } from '../services/workbook';
+import { isolateHtml, sanitizeHtml } from '../services/htmlSanitizer';
+import { createDomSearch } from '../services/domSearch';
 
-const ProxyContent = ({ url }) => {
+// Content type the proxy server uses for PowerPoint decks converted to per-slide HTML
+const SLIDES_CONTENT_TYPE = 'application/vnd.splitscreen.slides+json';
+
+// Fragments are meant to be percent-encoded, but pages don't always encode them validly
+const decodeFragment = (fragment) => {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (err) {
+    return fragment;
+  }
+};
+
+// Web links are handed to onLinkClick instead of navigating, in-page links scroll the pane,
+// and forms never submit. target is the injected content's element or the iframe's document.
+const listenForNavigation = (target, onLinkClick) => {
+  const handleClick = (e) => {
+    const link = e.target.closest('a[href]');
+    if (!link) return;
+    const href = link.getAttribute('href');
+    if (href.startsWith('#')) {
+      e.preventDefault();
+      const id = CSS.escape(decodeFragment(href.slice(1)));
+      const anchor = id && target.querySelector(`[id="${id}"], a[name="${id}"]`);
+      if (anchor) anchor.scrollIntoView();
+      return;
+    }
+    // mailto: and similar links keep their default behavior
+    if (!/^https?:/i.test(link.href)) return;
+    e.preventDefault();
+    console.log('Link clicked in ProxyContent:', link.href);
+    onLinkClick(link.href, { otherPane: e.ctrlKey || e.metaKey || e.shiftKey });
+  };
+  const handleSubmit = (e) => e.preventDefault();
+  target.addEventListener('click', handleClick);
+  target.addEventListener('submit', handleSubmit);
+  return () => {
+    target.removeEventListener('click', handleClick);
+    target.removeEventListener('submit', handleSubmit);
+  };
+};
+
+// viewerRef receives the page and scroll API of paged viewers (PDFs and slide decks).
+// HTML is sanitized before it is injected, or with isolated set, shown as-is in a sandboxed
+// iframe where its scripts and forms cannot run. searchRef receives the find bar's search
+// interface for HTML, PDFs and spreadsheets, or null for content that can't be searched.
+// onLinkClick(url, { otherPane }) is called for followed links; otherPane is set when the
+// link was Ctrl/Cmd- or Shift-clicked. sheet and onSheetChange are passed to
+// SpreadsheetGrid as its initial sheet and change callback.
+const ProxyContent = ({ url, viewerRef, searchRef, onLinkClick, isolated = false, sheet, onSheetChange }) => {
   const [content, setContent] = useState(null);
   const [error, setError] = useState(null);
-  const [tableData, setTableData] = useState({ html: null, activeSheet: null });
   const [htmlContent, setHtmlContent] = useState(null);
   const contentRef = useRef(null);
+  const frameRef = useRef(null);
+  const gridRef = useRef(null);
+  const pagedViewerRef = useRef(null);
+  const onLinkClickRef = useRef(onLinkClick);
+  onLinkClickRef.current = onLinkClick;
+  // Controller of the latest request; navigating aborts the one before
+  const requestRef = useRef(null);
 
-  const fetchContent = async () => {
+  // Paged viewers report to viewerRef and are also searched through their API here
+  const attachViewer = useCallback(
+    (handle) => {
+      pagedViewerRef.current = handle;
+      if (viewerRef) viewerRef.current = handle;
+    },
+    [viewerRef]
+  );
+
+  const fetchContent = async ({ refresh = false } = {}) => {
     if (!url) {
-      setError('No URL or link provided');
+      setError(new ProxyRequestError(ERROR_CODES.INVALID_REQUEST, 'No URL or link provided'));
       return;
     }
     console.log('Fetching content for URL:', url);
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+    const { signal } = controller;
     setContent(null);
-    setTableData({ html: null, activeSheet: null });
     setHtmlContent(null);
     setError(null);
 
+    // A response that arrives after the pane moved on to another URL is dropped
+    const show = (result) => {
+      if (signal.aborted) {
+        if (result.content?.url?.startsWith('blob:')) URL.revokeObjectURL(result.content.url);
+        return;
+      }
+      if (result.html !== undefined) setHtmlContent(result.html);
+      else setContent(result.content);
+    };
+
     try {
       let response;
       if (url.startsWith('blob:')) {
         console.log('Attempting to fetch blob URL:', url);
-        response = await fetch(url, { mode: 'cors' });
+        response = await fetch(url, { mode: 'cors', signal });
         if (!response.ok) throw new Error(`Blob fetch failed: ${response.status} - ${response.statusText}`);
         const blob = await response.blob();
         console.log('Blob fetched successfully, type:', blob.type);
-        await handleContentType(blob.type, blob);
+        show(await readContent(blob.type, blob));
       } else {
-        const proxyUrl = `http://localhost:5001/proxy?url=${encodeURIComponent(url)}`;
+        const proxyUrl = `${apiUrl('/proxy')}?url=${encodeURIComponent(url)}${refresh ? '&refresh=1' : ''}`;
         console.log('Attempting to fetch proxy URL:', proxyUrl);
-        response = await fetch(proxyUrl, { method: 'GET' });
-        if (!response.ok) throw new Error(`Proxy fetch failed: ${response.status} - ${response.statusText}`);
+        response = await fetchFromProxy(proxyUrl, { method: 'GET', signal });
+        if (!response.ok) throw await readProxyError(response);
         console.log('Proxy response received, status:', response.status);
         const contentType = response.headers.get('content-type') || 'application/octet-stream';
+        if (contentType.includes('application/pdf')) {
+          // Hand the URL to the PDF viewer, which loads it in byte ranges and shows the
+          // first pages right away, instead of waiting here for the whole file
+          show({ content: { type: 'pdf', url: proxyUrl } });
+          controller.abort();
+          return;
+        }
         const blob = await response.blob();
-        await handleContentType(contentType, blob);
+        show(await readContent(contentType, blob));
       }
     } catch (err) {
+      if (signal.aborted) return;
       console.error('Fetch error:', err);
-      setError(`Failed to load content: ${err.message}. Ensure the proxy server is running at http://localhost:5001.`);
-      if (url.startsWith('blob:')) {
-        try {
-          const blob = await fetch(url, { mode: 'cors' }).then((res) => res.blob());
-          setContent({ type: 'download', url: URL.createObjectURL(blob) });
-        } catch (blobErr) {
-          console.error('Blob fallback error:', blobErr);
-        }
-      } else if (url.startsWith('http')) {
-        try {
-          const blob = await fetch(url, { mode: 'no-cors' }).then((res) => res.blob());
-          setContent({ type: 'download', url: URL.createObjectURL(blob) });
-        } catch (httpErr) {
-          console.error('HTTP fallback error:', httpErr);
-        }
-      }
+      // Anything that is not a proxy error was thrown while parsing what we downloaded
+      setError(
+        err instanceof ProxyRequestError
+          ? err
+          : new ProxyRequestError(ERROR_CODES.CONVERSION_FAILED, `Failed to display content: ${err.message}`)
+      );
     }
   };
 
-  const handleContentType = async (contentType, blob) => {
-    const url = URL.createObjectURL(blob);
-    console.log('Handling content type:', contentType, 'for URL:', url);
-    if (contentType.includes('application/pdf')) {
-      setContent({ type: 'pdf', url });
+  // Returns { content } or, for pages and documents shown as HTML, { html }. Content shown
+  // from the downloaded blob gets an object URL, revoked once the pane shows something else.
+  const readContent = async (contentType, blob) => {
+    if (contentType.includes(SLIDES_CONTENT_TYPE)) {
+      const deck = JSON.parse(await blob.text());
+      if (!deck.slides?.length) throw new Error('No slides found in the presentation');
+      return { content: { type: 'slides', deck } };
+    } else if (contentType.includes('application/pdf')) {
+      return { content: { type: 'pdf', url: URL.createObjectURL(blob) } };
     } else if (contentType.includes('image/')) {
-      setContent({ type: 'image', url });
+      return { content: { type: 'image', url: URL.createObjectURL(blob) } };
+    } else if (isSpreadsheetType(contentType)) {
+      // Formatted cell text, as Excel shows it; the grid renders rows virtually
+      const sheets = sheetsFromWorkbook(await blob.arrayBuffer());
+      if (sheets.length === 0) throw new Error('No valid sheets found in the Excel file');
+      console.log('Sheets parsed:', sheets.map((sheet) => sheet.name));
+      return { content: { type: 'sheets', sheets } };
+    } else if (isDelimitedTextType(contentType)) {
+      // Delimiter and encoding are detected from the file; the charset header is only a hint
+      const { rows, delimiter, encoding, warnings } = parseCsv(await blob.arrayBuffer(), { charset: charsetOf(contentType) });
+      if (!rows.length) throw new Error('No data found in the CSV file');
+      return { content: { type: 'sheets', sheets: [{ name: 'Sheet1', rows }], details: { delimiter, encoding }, warnings } };
     } else if (
-      contentType.includes('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') ||
-      contentType.includes('application/vnd.ms-excel')
+      contentType.includes('application/vnd.openxmlformats-officedocument.wordprocessingml.document') ||
+      contentType.includes('text/html')
     ) {
-      const arrayBuffer = await blob.arrayBuffer();
-      const workbook = XLSX.read(arrayBuffer, { type: 'array', cellStyles: true });
-      const sheets = {};
-      workbook.SheetNames.forEach((sheetName) => {
-        const worksheet = workbook.Sheets[sheetName];
-        // Generate HTML with merge information
-        const html = XLSX.utils.sheet_to_html(worksheet, {
-          editable: false,
-          id: `sheet-${sheetName.replace(/[^a-zA-Z0-9]/g, '_')}`,
-        });
-        sheets[sheetName] = html;
-      });
-      if (Object.keys(sheets).length === 0) throw new Error('No valid sheets found in the Excel file');
-      console.log('Sheets parsed:', Object.keys(sheets));
-      setTableData({ html: sheets, activeSheet: Object.keys(sheets)[0] });
-    } else if (contentType.includes('text/csv')) {
-      const text = await blob.text();
-      const result = Papa.parse(text, { header: false, skipEmptyLines: false });
-      if (result.data && result.data.length) {
-        const columns = result.data[0].map((header, index) => ({
-          key: index.toString(),
-          name: header?.toString() || `Column ${index + 1}`,
-        }));
-        const rows = result.data.slice(1).map((row, rowIndex) =>
-          columns.reduce((obj, col, colIndex) => {
-            obj[col.key] = row[colIndex]?.toString() || '';
-            return obj;
-          }, {})
-        );
-        const html = `
-          <table border="1">
-            <thead><tr>${columns.map(col => `<th>${col.name}</th>`).join('')}</tr></thead>
-            <tbody>${rows.map(row => `<tr>${columns.map(col => `<td>${row[col.key]}</td>`).join('')}</tr>`).join('')}</tbody>
-          </table>
-        `;
-        setTableData({ html: { 'Sheet1': html }, activeSheet: 'Sheet1' });
-      } else {
-        throw new Error('No data found in the CSV file');
-      }
+      return { html: await blob.text() };
     } else if (
       contentType.includes('application/msword') ||
-      contentType.includes('application/vnd.openxmlformats-officedocument.wordprocessingml.document') ||
-      contentType.includes('text/html')
+      contentType.includes('application/rtf') ||
+      contentType.includes('text/rtf')
     ) {
-      const text = await blob.text();
-      setHtmlContent(text);
+      // The proxy converts these to HTML; reaching here means we got the raw binary
+      return { content: { type: 'download', url: URL.createObjectURL(blob), message: 'Word (.doc) and RTF files are converted by the proxy server and could not be displayed here. Please download to view.' } };
     } else if (
       contentType.includes('application/vnd.ms-powerpoint') ||
       contentType.includes('application/vnd.openxmlformats-officedocument.presentationml.presentation')
     ) {
-      setContent({ type: 'download', url, message: 'PPT/PPTX files cannot be rendered directly. Please download to view.' });
+      return { content: { type: 'download', url: URL.createObjectURL(blob), message: 'PPT/PPTX files cannot be rendered directly. Please download to view.' } };
     } else {
-      setContent({ type: 'download', url, message: 'This file type is not directly renderable. Please download to view.' });
+      return { content: { type: 'download', url: URL.createObjectURL(blob), message: 'This file type is not directly renderable. Please download to view.' } };
     }
   };
 
-  const handleSheetChange = (e) => {
-    setTableData((prev) => ({ ...prev, activeSheet: e.target.value }));
-  };
-
   useEffect(() => {
     fetchContent();
+    return () => requestRef.current?.abort();
   }, [url]);
 
   useEffect(() => {
-    const handleClick = (e) => {
-      const link = e.target.closest('a');
-      if (link && link.href) {
-        e.preventDefault();
-        const newUrl = link.href;
-        console.log('Link clicked in ProxyContent:', newUrl);
-        window.parent.postMessage({ type: 'linkClick', url: newUrl }, '*');
-      }
+    const objectUrl = content?.url?.startsWith('blob:') ? content.url : null;
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
     };
+  }, [content]);
 
+  // The sanitizer drops <base>, which in our DOM would change the base URL of the whole
+  // app; the proxy has already made every URL absolute. The iframe keeps it.
+  const renderedHtml = useMemo(() => {
+    if (!htmlContent) return null;
+    return isolated ? isolateHtml(htmlContent) : sanitizeHtml(htmlContent);
+  }, [htmlContent, isolated]);
+
+  useEffect(() => {
     const contentElement = contentRef.current;
-    if (contentElement && (tableData.html || htmlContent)) {
-      contentElement.addEventListener('click', handleClick);
-    }
-    return () => {
-      if (contentElement && (tableData.html || htmlContent)) {
-        contentElement.removeEventListener('click', handleClick);
+    if (!contentElement || !renderedHtml || isolated) return undefined;
+    return listenForNavigation(contentElement, (link, options) => onLinkClickRef.current?.(link, options));
+  }, [renderedHtml, isolated]);
+
+  useImperativeHandle(
+    searchRef,
+    () => {
+      if (renderedHtml) {
+        return createDomSearch(() => (isolated ? frameRef.current?.contentDocument?.body : contentRef.current));
       }
-    };
-  }, [tableData.html, htmlContent]);
+      const target = { pdf: pagedViewerRef, sheets: gridRef }[content?.type];
+      if (!target) return null;
+      return {
+        search: async (matcher) => (target.current ? target.current.search(matcher) : 0),
+        showMatch: (index) => target.current?.showMatch(index),
+        clearSearch: () => target.current?.clearSearch(),
+      };
+    },
+    [content, renderedHtml, isolated]
+  );
+
+  // The sandbox allows same-origin access but no scripts, so the frame's document can be
+  // reached from here while nothing in it runs
+  const handleFrameLoad = (e) => {
+    const frameDocument = e.target.contentDocument;
+    if (frameDocument) listenForNavigation(frameDocument, (link, options) => onLinkClickRef.current?.(link, options));
+  };
 
   if (error) {
+    const { title, message, actions } = describeProxyError(error);
+    const actionStyle = { marginLeft: 10, padding: '5px 10px' };
     return (
       <div
         style={{
@@ -169,129 +256,74 @@ const ProxyContent = ({ url }) => {
           fontSize: 16,
         }}
       >
-        {error}
-        {content?.type === 'download' && (
-          <a href={content.url} download style={{ marginLeft: 10, color: '#1a73e8', textDecoration: 'none' }}>
+        <div style={{ fontWeight: 'bold', marginBottom: 5 }}>{title}</div>
+        <div style={{ fontSize: 14, marginBottom: 10 }}>{message}</div>
+        {actions.includes(ERROR_ACTIONS.RETRY) && (
+          <button onClick={() => fetchContent({ refresh: true })} style={actionStyle}>
+            Retry
+          </button>
+        )}
+        {actions.includes(ERROR_ACTIONS.OPEN_IN_NEW_TAB) && url.startsWith('http') && (
+          <button onClick={() => window.open(url, '_blank', 'noopener')} style={actionStyle}>
+            Open in New Tab
+          </button>
+        )}
+        {actions.includes(ERROR_ACTIONS.DOWNLOAD) && (
+          <a href={url} download target="_blank" rel="noopener noreferrer" style={{ marginLeft: 10, color: '#1a73e8', textDecoration: 'none' }}>
             Download File
           </a>
         )}
-        <button onClick={fetchContent} style={{ marginLeft: 10, padding: '5px 10px' }}>
-          Reload
-        </button>
       </div>
     );
   }
 
-  if (!content && !tableData.html && !htmlContent) {
+  if (!content && !htmlContent) {
     return <div style={{ color: '#666', padding: 12, textAlign: 'center', fontSize: 16 }}>Loading content, please wait...</div>;
   }
 
-  if (tableData.html) {
+  if (renderedHtml && isolated) {
     return (
-      <div
-        style={{
-          height: '100%',
-          width: '100%',
-          border: '1px solid #ddd',
-          background: '#fff',
-          overflow: 'hidden',
-          display: 'flex',
-          flexDirection: 'column',
-        }}
-      >
-        <div
-          style={{
-            padding: '10px',
-            textAlign: 'center',
-            background: '#f5f5f5',
-            borderBottom: '1px solid #ddd',
-            flexShrink: 0,
-          }}
-        >
-          <select
-            value={tableData.activeSheet}
-            onChange={handleSheetChange}
-            style={{
-              padding: '5px',
-              fontSize: '14px',
-              border: '1px solid #ccc',
-              borderRadius: '4px',
-            }}
-          >
-            {Object.keys(tableData.html).map((sheetName) => (
-              <option key={sheetName} value={sheetName}>
-                {sheetName}
-              </option>
-            ))}
-          </select>
-        </div>
-        <div style={{ flex: 1, overflow: 'auto' }}>
-          <div
-            ref={contentRef}
-            style={{
-              padding: 10,
-              overflow: 'hidden',
-            }}
-            dangerouslySetInnerHTML={{
-              __html: `
-                <style>
-                  #sheet-${tableData.activeSheet.replace(/[^a-zA-Z0-9]/g, '_')} table {
-                    border-collapse: collapse;
-                    width: 100%;
-                    font-family: Arial, sans-serif;
-                  }
-                  #sheet-${tableData.activeSheet.replace(/[^a-zA-Z0-9]/g, '_')} th,
-                  #sheet-${tableData.activeSheet.replace(/[^a-zA-Z0-9]/g, '_')} td {
-                    border: 1px solid #000;
-                    padding: 8px;
-                    text-align: left;
-                    white-space: normal;
-                    overflow-wrap: break-word;
-                    min-width: 100px;
-                    max-width: 600px; /* Adjusted for wider cells in Search Strings */
-                  }
-                  #sheet-${tableData.activeSheet.replace(/[^a-zA-Z0-9]/g, '_')} th {
-                    background-color: #4a90e2;
-                    color: #fff;
-                    font-weight: bold;
-                    position: sticky;
-                    top: 0;
-                    z-index: 1;
-                  }
-                  #sheet-${tableData.activeSheet.replace(/[^a-zA-Z0-9]/g, '_')} tr:nth-child(even) {
-                    background-color: #f9f9f9;
-                  }
-                  #sheet-${tableData.activeSheet.replace(/[^a-zA-Z0-9]/g, '_')} td[colspan] {
-                    background-color: #fff;
-                    font-weight: bold;
-                    font-size: 14px;
-                    line-height: 1.5;
-                  }
-                </style>
-                ${tableData.html[tableData.activeSheet]}
-              `,
-            }}
-          />
-        </div>
-      </div>
+      <iframe
+        ref={frameRef}
+        title="Isolated page"
+        sandbox="allow-same-origin"
+        srcDoc={renderedHtml}
+        onLoad={handleFrameLoad}
+        style={{ width: '100%', height: '100%', border: 'none', display: 'block' }}
+      />
     );
   }
 
-  if (htmlContent) {
+  if (renderedHtml) {
     return (
       <div
         ref={contentRef}
         style={{ padding: 20, overflow: 'auto', maxHeight: '100%' }}
-        dangerouslySetInnerHTML={{ __html: htmlContent }}
+        dangerouslySetInnerHTML={{ __html: renderedHtml }}
       />
     );
   }
 
+  if (content?.type === 'slides') {
+    return <SlideViewer ref={attachViewer} deck={content.deck} />;
+  }
   if (content?.type === 'pdf') {
-    return <embed src={content.url} type="application/pdf" width="100%" height="100%" />;
+    return <PdfViewer ref={attachViewer} url={content.url} />;
+  }
+  if (content?.type === 'sheets') {
+    return (
+      <SpreadsheetGrid
+        ref={gridRef}
+        sheets={content.sheets}
+        details={content.details}
+        warnings={content.warnings}
+        initialSheet={sheet}
+        onSheetChange={onSheetChange}
+      />
+    );
   }
   if (content?.type === 'image') {
-    return <img src={content.url} alt="Uploaded" style={{ maxWidth: '100%', maxHeight: '100%' }} />;
+    return <ImageViewer url={content.url} />;
   }
   if (content?.type === 'download') {
     return (
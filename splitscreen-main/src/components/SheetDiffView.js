@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useMemo, memo } from 'react';
+import styled from 'styled-components';
+import { HotTable } from '@handsontable/react';
+import { registerCellType, TextCellType } from 'handsontable/cellTypes';
+import { registerPlugin, ContextMenu, CopyPaste, ManualColumnResize } from 'handsontable/plugins';
+import 'handsontable/styles/handsontable.min.css';
+import 'handsontable/styles/ht-theme-main.min.css';
+import * as XLSX from 'xlsx';
+import { loadWorkbook } from '../services/workbook';
+import { LEADING_COLUMNS, cellValue, describeSummary, diffToWorkbook, diffWorkbooks, pluralize } from '../services/sheetDiff';
+import { describeProxyError } from '../services/proxyErrors';
+import { escapeHtml } from '../services/htmlSanitizer';
+
+registerCellType(TextCellType);
+registerPlugin(ContextMenu);
+registerPlugin(CopyPaste);
+registerPlugin(ManualColumnResize);
+
+const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  height: 100%;
+  width: 100%;
+  background: #ffffff;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 10px;
+  padding: 8px 10px;
+  background: #f5f5f5;
+  border-bottom: 1px solid #ddd;
+  flex-shrink: 0;
+  font-size: 14px;
+`;
+
+const ToolbarSelect = styled.select`
+  padding: 5px;
+  font-size: 14px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+const ToolbarButton = styled.button`
+  padding: 5px 12px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  background: #ffffff;
+  cursor: pointer;
+`;
+
+const ToolbarLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 5px;
+  cursor: pointer;
+`;
+
+const Summary = styled.span`
+  margin-left: auto;
+  color: #666;
+`;
+
+const Swatch = styled.span`
+  display: inline-block;
+  padding: 0 6px;
+  border-radius: 3px;
+  font-size: 12px;
+  background: ${(props) => props.color};
+`;
+
+const Message = styled.div`
+  padding: 20px;
+  color: ${(props) => (props.error ? '#d93025' : '#666')};
+  font-size: 14px;
+  text-align: center;
+`;
+
+const DIFF_COLORS = {
+  added: '#e6ffed',
+  removed: '#ffeef0',
+  changed: '#fff8c5',
+  changedCell: '#ffdf5d',
+};
+
+const GridWrapper = styled.div`
+  flex: 1;
+  min-height: 0;
+  position: relative;
+
+  .handsontable td.diff-added {
+    background: ${DIFF_COLORS.added};
+  }
+  .handsontable td.diff-removed {
+    background: ${DIFF_COLORS.removed};
+    color: #86181d;
+  }
+  .handsontable td.diff-changed {
+    background: ${DIFF_COLORS.changed};
+  }
+  .handsontable td.diff-cell-changed {
+    background: ${DIFF_COLORS.changedCell};
+    font-weight: 600;
+  }
+`;
+
+const STATUS_SYMBOLS = { equal: '', changed: '~', added: '+', removed: '−' };
+
+const gridData = (sheet, rows) =>
+  rows.map((row) => [
+    STATUS_SYMBOLS[row.status],
+    row.leftRow ?? '',
+    row.rightRow ?? '',
+    ...sheet.columns.map((column, index) =>
+      row.changed.includes(index) ? `${row.left[index]} → ${row.right[index]}` : cellValue(row, index)
+    ),
+  ]);
+
+const columnHeader = (column) => {
+  if (column.left === -1) return `${column.name} (added)`;
+  if (column.right === -1) return `${column.name} (removed)`;
+  return column.name;
+};
+
+const sheetLabel = (sheet) => {
+  if (sheet.status === 'added') return `${sheet.name} (only in right)`;
+  if (sheet.status === 'removed') return `${sheet.name} (only in left)`;
+  const { changed, added, removed, addedColumns, removedColumns } = sheet.summary;
+  const differences = changed + added + removed + addedColumns + removedColumns;
+  return differences ? `${sheet.name} (${differences.toLocaleString()} differences)` : `${sheet.name} (identical)`;
+};
+
+const exportDiff = (sheets) => XLSX.writeFile(diffToWorkbook(sheets), 'spreadsheet-diff.xlsx');
+
+// Kept out of SheetDiffView's re-renders for the same reason as SpreadsheetGrid's grid
+const DiffGrid = memo(({ sheet, rows }) => {
+  const data = gridData(sheet, rows);
+  const headers = ['', 'Left row', 'Right row', ...sheet.columns.map(columnHeader)];
+  return (
+    <HotTable
+      themeName="ht-theme-main"
+      data={data}
+      colHeaders={headers.map(escapeHtml)}
+      rowHeaders={false}
+      readOnly
+      width="100%"
+      height="100%"
+      stretchH="all"
+      manualColumnResize
+      contextMenu={['copy']}
+      cells={(rowIndex, columnIndex) => {
+        const row = rows[rowIndex];
+        if (!row || row.status === 'equal') return {};
+        if (row.changed.includes(columnIndex - LEADING_COLUMNS)) return { className: 'diff-cell-changed' };
+        return { className: `diff-${row.status}` };
+      }}
+      licenseKey="non-commercial-and-evaluation"
+    />
+  );
+});
+
+// Compares the spreadsheets or CSV files loaded in the two panes. Sheets are paired by
+// name and rows matched by row order or by a key column picked per sheet.
+const SheetDiffView = ({ leftSrc, rightSrc }) => {
+  const [workbooks, setWorkbooks] = useState({ status: 'loading' });
+  const [keyColumns, setKeyColumns] = useState({});
+  const [activeSheet, setActiveSheet] = useState(null);
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setWorkbooks({ status: 'loading' });
+    setKeyColumns({});
+    setActiveSheet(null);
+    Promise.all([loadWorkbook(leftSrc, { signal: controller.signal }), loadWorkbook(rightSrc, { signal: controller.signal })])
+      .then(([left, right]) => setWorkbooks({ status: 'ready', left, right }))
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error('Error loading spreadsheets to compare:', err);
+        setWorkbooks({ status: 'error', message: err.code ? describeProxyError(err).message : err.message });
+      });
+    return () => controller.abort();
+  }, [leftSrc, rightSrc]);
+
+  const sheets = useMemo(
+    () => (workbooks.status === 'ready' ? diffWorkbooks(workbooks.left, workbooks.right, keyColumns) : []),
+    [workbooks, keyColumns]
+  );
+  const sheet = sheets.find((candidate) => candidate.name === activeSheet) || sheets[0];
+  const rows = useMemo(
+    () => (sheet?.status === 'compared' && onlyDifferences ? sheet.rows.filter((row) => row.status !== 'equal') : sheet?.rows),
+    [sheet, onlyDifferences]
+  );
+
+  if (workbooks.status === 'loading') return <Message>Loading spreadsheets...</Message>;
+  if (workbooks.status === 'error') return <Message error>{workbooks.message}</Message>;
+
+  return (
+    <Container>
+      <Toolbar>
+        <ToolbarSelect value={sheet.name} onChange={(e) => setActiveSheet(e.target.value)} aria-label="Sheet">
+          {sheets.map((candidate) => (
+            <option key={candidate.name} value={candidate.name}>
+              {sheetLabel(candidate)}
+            </option>
+          ))}
+        </ToolbarSelect>
+        {sheet.status === 'compared' && (
+          <>
+            <ToolbarLabel>
+              Match rows by
+              <ToolbarSelect
+                value={sheet.keyColumn || ''}
+                onChange={(e) => setKeyColumns((prev) => ({ ...prev, [sheet.name]: e.target.value || null }))}
+              >
+                <option value="">Row order</option>
+                {sheet.keyOptions.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </ToolbarSelect>
+            </ToolbarLabel>
+            <ToolbarLabel>
+              <input type="checkbox" checked={onlyDifferences} onChange={(e) => setOnlyDifferences(e.target.checked)} />
+              Only differences
+            </ToolbarLabel>
+            <Swatch color={DIFF_COLORS.added}>+ added</Swatch>
+            <Swatch color={DIFF_COLORS.removed}>− removed</Swatch>
+            <Swatch color={DIFF_COLORS.changed}>~ changed</Swatch>
+          </>
+        )}
+        <ToolbarButton onClick={() => exportDiff(sheets)} title="Download the comparison of every sheet as an Excel file">
+          Export XLSX
+        </ToolbarButton>
+        {sheet.status === 'compared' && <Summary>{describeSummary(sheet.summary)}</Summary>}
+      </Toolbar>
+      {sheet.status === 'compared' ? (
+        <GridWrapper>
+          <DiffGrid key={`${sheet.name}:${sheet.keyColumn}:${onlyDifferences}`} sheet={sheet} rows={rows} />
+        </GridWrapper>
+      ) : (
+        <Message>
+          {sheet.status === 'added'
+            ? `The sheet "${sheet.name}" is only in the right workbook (${pluralize(sheet.sheet.rows.length, 'row')}).`
+            : `The sheet "${sheet.name}" is only in the left workbook (${pluralize(sheet.sheet.rows.length, 'row')}).`}
+        </Message>
+      )}
+    </Container>
+  );
+};
+
+export default SheetDiffView;
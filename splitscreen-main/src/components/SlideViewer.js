@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo, useImperativeHandle, forwardRef } from 'react';
+import styled from 'styled-components';
+import { dispatchPageChange } from '../services/viewerEvents';
+import { sanitizeHtml } from '../services/htmlSanitizer';
+
+const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  height: 100%;
+  width: 100%;
+  background: #f5f5f5;
+  outline: none;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 10px;
+  padding: 8px;
+  background: #ffffff;
+  border-bottom: 1px solid #e0e0e0;
+  flex-shrink: 0;
+  font-size: 14px;
+`;
+
+const ToolbarButton = styled.button`
+  padding: 5px 12px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  background: ${(props) => (props.active ? '#1a73e8' : '#ffffff')};
+  color: ${(props) => (props.active ? '#ffffff' : '#202124')};
+  cursor: pointer;
+
+  &:disabled {
+    color: #aaa;
+    cursor: not-allowed;
+  }
+`;
+
+const Body = styled.div`
+  display: flex;
+  flex: 1;
+  min-height: 0;
+`;
+
+const ThumbnailList = styled.div`
+  width: 140px;
+  flex-shrink: 0;
+  overflow-y: auto;
+  border-right: 1px solid #e0e0e0;
+  background: #fafafa;
+  padding: 8px;
+`;
+
+const Thumbnail = styled.button`
+  display: block;
+  width: 100%;
+  margin-bottom: 8px;
+  padding: 0;
+  border: 2px solid ${(props) => (props.active ? '#1a73e8' : '#e0e0e0')};
+  background: #ffffff;
+  cursor: pointer;
+  overflow: hidden;
+  position: relative;
+`;
+
+const ThumbnailNumber = styled.span`
+  position: absolute;
+  bottom: 2px;
+  right: 4px;
+  font-size: 11px;
+  color: #666;
+`;
+
+const Stage = styled.div`
+  flex: 1;
+  overflow: auto;
+  padding: 10px;
+`;
+
+const Notes = styled.div`
+  max-height: 25%;
+  overflow-y: auto;
+  padding: 10px 15px;
+  background: #fffbe6;
+  border-top: 1px solid #e0e0e0;
+  font-size: 14px;
+  white-space: pre-wrap;
+  flex-shrink: 0;
+`;
+
+const THUMBNAIL_WIDTH = 120;
+
+// Renders one server-converted slide at its native size, scaled to the requested width.
+// The slide markup is built from an uploaded or remote deck, so it is sanitized like any
+// other rendered content.
+const ScaledSlide = ({ slide, deck, width }) => {
+  const html = useMemo(() => sanitizeHtml(slide.html), [slide.html]);
+  const scale = width / deck.width;
+  return (
+    <div style={{ width, height: deck.height * scale, overflow: 'hidden' }}>
+      <div
+        style={{ transform: `scale(${scale})`, transformOrigin: 'top left', width: deck.width, height: deck.height }}
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+    </div>
+  );
+};
+
+// The ref exposes the same page API as PdfViewer, with one "page" per slide
+const SlideViewer = forwardRef(({ deck }, ref) => {
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [showNotes, setShowNotes] = useState(true);
+  const [showThumbnails, setShowThumbnails] = useState(true);
+  const [stageWidth, setStageWidth] = useState(0);
+  const containerRef = useRef(null);
+  const stageRef = useRef(null);
+  const thumbnailRefs = useRef([]);
+  // Read back synchronously by callers that set the slide through the ref
+  const indexRef = useRef(0);
+
+  const slideCount = deck.slides.length;
+  const slide = deck.slides[currentIndex];
+
+  const showSlide = useCallback(
+    (index) => {
+      const target = Math.max(0, Math.min(slideCount - 1, index));
+      indexRef.current = target;
+      setCurrentIndex(target);
+      return target;
+    },
+    [slideCount]
+  );
+
+  // Navigation by the user, as opposed to through the ref, is announced to the container
+  const goTo = useCallback(
+    (index) => {
+      const previous = indexRef.current;
+      const target = showSlide(index);
+      if (target !== previous) dispatchPageChange(containerRef.current, target + 1);
+    },
+    [showSlide]
+  );
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      getPageCount: () => slideCount,
+      getCurrentPage: () => indexRef.current + 1,
+      setCurrentPage: (pageNumber) => showSlide(pageNumber - 1),
+      getScrollPosition: () => ({
+        page: indexRef.current + 1,
+        pageOffset: 0,
+        scrollTop: 0,
+        scrollRatio: slideCount > 1 ? indexRef.current / (slideCount - 1) : 0,
+      }),
+      setScrollPosition: ({ page, scrollRatio }) => {
+        if (page !== undefined) showSlide(Math.floor(page) - 1);
+        else if (scrollRatio !== undefined) showSlide(Math.round(scrollRatio * (slideCount - 1)));
+      },
+    }),
+    [slideCount, showSlide]
+  );
+
+  useEffect(() => {
+    indexRef.current = 0;
+    setCurrentIndex(0);
+  }, [deck]);
+
+  // Fit the slide to the available width as the pane is resized
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return undefined;
+    const observer = new ResizeObserver(([entry]) => setStageWidth(entry.contentRect.width));
+    observer.observe(stage);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    thumbnailRefs.current[currentIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [currentIndex]);
+
+  const handleKeyDown = (e) => {
+    if (['ArrowRight', 'ArrowDown', 'PageDown', ' '].includes(e.key)) {
+      e.preventDefault();
+      goTo(currentIndex + 1);
+    } else if (['ArrowLeft', 'ArrowUp', 'PageUp'].includes(e.key)) {
+      e.preventDefault();
+      goTo(currentIndex - 1);
+    } else if (e.key === 'Home') {
+      goTo(0);
+    } else if (e.key === 'End') {
+      goTo(slideCount - 1);
+    }
+  };
+
+  return (
+    <Container ref={containerRef} tabIndex={0} onKeyDown={handleKeyDown}>
+      <Toolbar>
+        <ToolbarButton active={showThumbnails} onClick={() => setShowThumbnails((prev) => !prev)}>
+          Thumbnails
+        </ToolbarButton>
+        <ToolbarButton onClick={() => goTo(currentIndex - 1)} disabled={currentIndex === 0}>
+          Previous
+        </ToolbarButton>
+        <span>
+          Slide {currentIndex + 1} of {slideCount}
+        </span>
+        <ToolbarButton onClick={() => goTo(currentIndex + 1)} disabled={currentIndex === slideCount - 1}>
+          Next
+        </ToolbarButton>
+        <ToolbarButton active={showNotes} onClick={() => setShowNotes((prev) => !prev)}>
+          Notes
+        </ToolbarButton>
+      </Toolbar>
+      <Body>
+        {showThumbnails && (
+          <ThumbnailList>
+            {deck.slides.map((thumbnail, index) => (
+              <Thumbnail
+                key={thumbnail.number}
+                ref={(element) => (thumbnailRefs.current[index] = element)}
+                active={index === currentIndex}
+                onClick={() => goTo(index)}
+                title={`Slide ${thumbnail.number}`}
+              >
+                <ScaledSlide slide={thumbnail} deck={deck} width={THUMBNAIL_WIDTH} />
+                <ThumbnailNumber>{thumbnail.number}</ThumbnailNumber>
+              </Thumbnail>
+            ))}
+          </ThumbnailList>
+        )}
+        <Stage ref={stageRef}>
+          {stageWidth > 0 && <ScaledSlide slide={slide} deck={deck} width={stageWidth} />}
+        </Stage>
+      </Body>
+      {showNotes && (
+        <Notes>
+          <strong>Speaker notes:</strong> {slide.notes || <span style={{ color: '#999' }}>No notes for this slide</span>}
+        </Notes>
+      )}
+    </Container>
+  );
+});
+
+export default SlideViewer;
@@ -1,8 +1,8 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo, createRef, forwardRef, useImperativeHandle } from 'react';
 import styled from 'styled-components';
+import { PAGE_CHANGE_EVENT } from '../services/viewerEvents';
 
 const SplitScreenContainer = styled.div`
-  display: flex;
   flex: 1;
   height: 100%;
   overflow: hidden;
@@ -11,33 +11,26 @@ const SplitScreenContainer = styled.div`
 `;
 
 const Panel = styled.div`
-  height: 100%;
+  position: absolute;
   overflow-y: auto;
   border: 1px solid #e0e0e0;
   background: #f9f9f9;
-  transition: width 0.3s ease;
-
-  &:first-child {
-    border-right: none;
-  }
-
-  &:last-child {
-    border-left: none;
-  }
 `;
 
+// Drawn over the border between two panels, with a wider invisible area to grab by touch
 const ResizeHandle = styled.div`
-  width: 3px;
-  background: #e0e0e0;
-  cursor: col-resize;
   position: absolute;
-  left: 50%;
-  top: 0;
-  bottom: 0;
-  transform: translateX(-50%);
+  background: #e0e0e0;
   z-index: 2;
+  touch-action: none;
   transition: background 0.2s ease;
 
+  &::before {
+    content: '';
+    position: absolute;
+    inset: -6px;
+  }
+
   &:hover {
     background: #4a90e2;
   }
@@ -45,64 +38,475 @@ const ResizeHandle = styled.div`
   &:active {
     background: #357abd;
   }
+
+  &:focus {
+    outline: none;
+  }
+
+  &:focus-visible {
+    background: #1a73e8;
+    box-shadow: 0 0 0 2px rgba(26, 115, 232, 0.4);
+  }
 `;
 
-const SplitScreen = ({ children, screenMode }) => {
-  const [leftWidth, setLeftWidth] = useState(50);
-  const [isResizing, setIsResizing] = useState(false);
-  const containerRef = useRef(null);
-  const handleRef = useRef(null);
+export const LAYOUTS = ['horizontal', 'vertical', 'grid'];
+export const MAX_PANES = 4;
+// Smallest share of the container a pane can be resized to, in percent
+const MIN_PANE_SIZE = 10;
+const HANDLE_THICKNESS = 3;
+// How far an arrow key moves a handle, in percent; with Shift held it moves further
+const KEYBOARD_STEP = 2;
+const KEYBOARD_LARGE_STEP = 10;
+// Restoring scroll positions waits for each pane's document to load, checking this often
+// and giving up after the timeout
+const RESTORE_INTERVAL = 250;
+const RESTORE_TIMEOUT = 20000;
+
+const equalSizes = (count) => Array.from({ length: count }, () => 100 / count);
+
+// Split sizes of the layouts: sizes divides side-by-side and stacked layouts, grid.x and
+// grid.y split the grid's columns and rows, all in percent
+export const defaultSplits = (count) => ({ sizes: equalSizes(count), grid: { x: 50, y: 50 } });
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Position of each panel in percent of the container. Side-by-side and stacked layouts
+// divide one axis by sizes; the grid puts panes in two columns split at split.x, with two
+// rows split at split.y, and an odd last pane spanning both columns.
+const panelRects = (layout, count, sizes, split) => {
+  if (layout === 'grid') {
+    const rows = Math.ceil(count / 2);
+    return Array.from({ length: count }, (_, index) => {
+      const column = index % 2;
+      const row = Math.floor(index / 2);
+      const spans = index === count - 1 && column === 0;
+      return {
+        left: column ? split.x : 0,
+        width: spans ? 100 : column ? 100 - split.x : split.x,
+        top: row ? split.y : 0,
+        height: rows === 1 ? 100 : row ? 100 - split.y : split.y,
+      };
+    });
+  }
+  let offset = 0;
+  return sizes.map((size) => {
+    const start = offset;
+    offset += size;
+    return layout === 'vertical'
+      ? { left: 0, width: 100, top: start, height: size }
+      : { left: start, width: size, top: 0, height: 100 };
+  });
+};
+
+// Handles sit on the borders between panels. Each describes what dragging it changes:
+// the border after sizes[index], or the grid's column or row split.
+const handleRects = (layout, count, sizes, split) => {
+  if (layout === 'grid') {
+    if (count < 2) return [];
+    const rows = Math.ceil(count / 2);
+    // With three panes only the top row is split into columns
+    const columnsHeight = count % 2 ? split.y : 100;
+    const handles = [{ key: 'x', axis: 'x', left: split.x, top: 0, width: 0, height: rows === 1 ? 100 : columnsHeight }];
+    if (rows > 1) handles.push({ key: 'y', axis: 'y', left: 0, top: split.y, width: 100, height: 0 });
+    return handles;
+  }
+  const axis = layout === 'vertical' ? 'y' : 'x';
+  let offset = 0;
+  return sizes.slice(0, -1).map((size, index) => {
+    offset += size;
+    return axis === 'x'
+      ? { key: index, axis, index, left: offset, top: 0, width: 0, height: 100 }
+      : { key: index, axis, index, left: 0, top: offset, width: 100, height: 0 };
+  });
+};
+
+const handlePosition = (handle) => (handle.axis === 'x' ? handle.left : handle.top);
+
+const handleStyle = ({ axis, left, top, width, height }) =>
+  axis === 'x'
+    ? {
+        left: `${left}%`,
+        top: `${top}%`,
+        height: `${height}%`,
+        width: HANDLE_THICKNESS,
+        transform: 'translateX(-50%)',
+        cursor: 'col-resize',
+      }
+    : {
+        left: `${left}%`,
+        top: `${top}%`,
+        width: `${width}%`,
+        height: HANDLE_THICKNESS,
+        transform: 'translateY(-50%)',
+        cursor: 'row-resize',
+      };
+
+const isScrollable = (element) => {
+  if (element.scrollHeight <= element.clientHeight + 1) return false;
+  const { overflowY } = window.getComputedStyle(element);
+  return overflowY === 'auto' || overflowY === 'scroll';
+};
+
+// Panes hold different viewers, so the element that scrolls a pane's document is
+// discovered rather than declared: the largest vertically scrollable element in it
+const findScroller = (panel) => {
+  let best = null;
+  let bestArea = 0;
+  [panel, ...panel.querySelectorAll('*')].forEach((element) => {
+    const area = element.clientWidth * element.clientHeight;
+    if (area > bestArea && isScrollable(element)) {
+      best = element;
+      bestArea = area;
+    }
+  });
+  return best;
+};
+
+// Ignores scrolling in side widgets such as thumbnail strips
+const isMainScroller = (element, panel) =>
+  element.clientWidth * element.clientHeight >= 0.5 * panel.clientWidth * panel.clientHeight;
+
+// A pane's scroll position: { page, pageOffset } in a paged viewer, otherwise the scroll
+// ratio (0-1) of its main scroller. Null while nothing in the pane scrolls.
+const readPanePosition = (panel, viewer) => {
+  if (viewer) {
+    const { page, pageOffset } = viewer.getScrollPosition();
+    return { page, pageOffset: pageOffset || 0 };
+  }
+  const scroller = findScroller(panel);
+  if (!scroller) return null;
+  const maxScroll = scroller.scrollHeight - scroller.clientHeight;
+  return { ratio: maxScroll > 0 ? scroller.scrollTop / maxScroll : 0 };
+};
+
+// Returns false when the pane's document isn't ready for the position yet
+const writePanePosition = (panel, viewer, position) => {
+  if (position.page !== undefined) {
+    if (!viewer) return false;
+    viewer.setScrollPosition({ page: position.page, pageOffset: position.pageOffset });
+    return true;
+  }
+  if (!position.ratio) return true;
+  const scroller = findScroller(panel);
+  if (!scroller) return false;
+  scroller.scrollTop = clamp(position.ratio, 0, 1) * (scroller.scrollHeight - scroller.clientHeight);
+  return true;
+};
 
-  const [left, right] = children;
+// Links the scroll position of the panes. When every pane holds a paged viewer (PDFs,
+// slide decks) they are linked by page, otherwise by scroll ratio. The offsets between the
+// panes are captured when syncing starts and whenever anchorVersion changes; holding Alt
+// scrolls one pane on its own so its offset can be adjusted and re-anchored.
+const useScrollSync = ({ enabled, anchorVersion, panelRefs, viewerRefs, paneCount }) => {
+  const scrollersRef = useRef({});
+  const expectedRef = useRef({});
+  const anchorRef = useRef(null);
+  const altKeyRef = useRef(false);
 
   useEffect(() => {
-    const handleMouseMove = (e) => {
-      if (!isResizing || !containerRef.current) return;
-      const containerRect = containerRef.current.getBoundingClientRect();
-      let newWidth = ((e.clientX - containerRect.left) / containerRect.width) * 100;
-      newWidth = Math.max(10, Math.min(90, newWidth));
-      setLeftWidth(newWidth);
+    if (!enabled || paneCount < 2) return undefined;
+    const panes = Array.from({ length: paneCount }, (_, index) => index);
+    const panels = panes.map((pane) => panelRefs[pane].current);
+    if (panels.some((panel) => !panel)) return undefined;
+
+    const viewer = (pane) => viewerRefs?.[pane]?.current || null;
+    const isPaged = () => panes.every((pane) => viewer(pane));
+
+    const getScroller = (pane) => {
+      const cached = scrollersRef.current[pane];
+      if (cached && cached.isConnected && panels[pane].contains(cached) && isScrollable(cached)) return cached;
+      scrollersRef.current[pane] = findScroller(panels[pane]);
+      return scrollersRef.current[pane];
     };
 
-    const handleMouseUp = () => {
-      setIsResizing(false);
+    // A pane's position on one axis: pages (page - 1 + fraction) or scroll ratio (0-1)
+    const readPosition = (pane, paged) => {
+      if (paged) {
+        const { page, pageOffset } = viewer(pane).getScrollPosition();
+        return page - 1 + (pageOffset || 0);
+      }
+      const scroller = getScroller(pane);
+      if (!scroller) return null;
+      const maxScroll = scroller.scrollHeight - scroller.clientHeight;
+      return maxScroll > 0 ? scroller.scrollTop / maxScroll : 0;
     };
 
-    if (isResizing) {
-      window.addEventListener('mousemove', handleMouseMove);
-      window.addEventListener('mouseup', handleMouseUp);
-    }
+    const writePosition = (pane, position, paged) => {
+      if (paged) {
+        const page = Math.max(0, Math.floor(position));
+        viewer(pane).setScrollPosition({ page: page + 1, pageOffset: Math.max(0, position - page) });
+        return;
+      }
+      const scroller = getScroller(pane);
+      if (!scroller) return;
+      const ratio = Math.max(0, Math.min(1, position));
+      scroller.scrollTop = ratio * (scroller.scrollHeight - scroller.clientHeight);
+    };
+
+    // Offsets are relative to the first pane
+    const anchor = () => {
+      const paged = isPaged();
+      const first = readPosition(0, paged);
+      const offsets = panes.map((pane) => {
+        const position = readPosition(pane, paged);
+        return first === null || position === null ? 0 : position - first;
+      });
+      anchorRef.current = { paged, offsets };
+    };
+
+    const follow = (pane) => {
+      if (altKeyRef.current) return;
+      const paged = isPaged();
+      // New content switched between paged and scrolled linking; start aligned
+      if (!anchorRef.current || anchorRef.current.paged !== paged || anchorRef.current.offsets.length !== paneCount) {
+        anchorRef.current = { paged, offsets: panes.map(() => 0) };
+      }
+      const position = readPosition(pane, paged);
+      if (position === null) return;
+
+      // Skip the event caused by our own update of this pane
+      const expected = expectedRef.current[pane];
+      delete expectedRef.current[pane];
+      if (expected !== undefined && expected !== null && Math.abs(expected - position) < 0.001) return;
+
+      const { offsets } = anchorRef.current;
+      panes
+        .filter((target) => target !== pane)
+        .forEach((target) => {
+          writePosition(target, position - offsets[pane] + offsets[target], paged);
+          expectedRef.current[target] = readPosition(target, paged);
+        });
+    };
+
+    const listeners = panes.map((pane) => {
+      const panel = panels[pane];
+      const handleScroll = (e) => {
+        if (!(e.target instanceof Element) || !isMainScroller(e.target, panel)) return;
+        scrollersRef.current[pane] = e.target;
+        follow(pane);
+      };
+      const handlePageChange = () => follow(pane);
+      // Scroll events do not bubble, so listen in the capture phase
+      panel.addEventListener('scroll', handleScroll, true);
+      panel.addEventListener(PAGE_CHANGE_EVENT, handlePageChange);
+      return () => {
+        panel.removeEventListener('scroll', handleScroll, true);
+        panel.removeEventListener(PAGE_CHANGE_EVENT, handlePageChange);
+      };
+    });
+
+    const handleKey = (e) => {
+      altKeyRef.current = e.altKey;
+    };
+    const handleBlur = () => {
+      altKeyRef.current = false;
+    };
+    window.addEventListener('keydown', handleKey);
+    window.addEventListener('keyup', handleKey);
+    window.addEventListener('blur', handleBlur);
+
+    anchor();
 
     return () => {
-      window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('mouseup', handleMouseUp);
+      listeners.forEach((remove) => remove());
+      window.removeEventListener('keydown', handleKey);
+      window.removeEventListener('keyup', handleKey);
+      window.removeEventListener('blur', handleBlur);
+      expectedRef.current = {};
+      altKeyRef.current = false;
     };
-  }, [isResizing]);
-
-  // Determine panel visibility and width based on screenMode
-  const leftStyle = {
-    width: screenMode === 'left' ? '100%' : screenMode === 'right' ? '0%' : `${leftWidth}%`,
-    display: screenMode === 'right' ? 'none' : 'block',
-  };
-
-  const rightStyle = {
-    width: screenMode === 'right' ? '100%' : screenMode === 'left' ? '0%' : `${100 - leftWidth}%`,
-    display: screenMode === 'left' ? 'none' : 'block',
-  };
-
-  const handleVisibility = screenMode === 'both' ? 'visible' : 'hidden';
-
-  return (
-    <SplitScreenContainer ref={containerRef}>
-      <Panel style={leftStyle}>{left}</Panel>
-      <ResizeHandle
-        ref={handleRef}
-        onMouseDown={() => setIsResizing(true)}
-        style={{ visibility: handleVisibility }}
-      />
-      <Panel style={rightStyle}>{right}</Panel>
-    </SplitScreenContainer>
-  );
+  }, [enabled, anchorVersion, panelRefs, viewerRefs, paneCount]);
 };
 
+// Name of what a handle resizes, for screen readers
+const handleLabel = (handle, paneLabels) => {
+  if (handle.index === undefined) return handle.axis === 'x' ? 'Resize columns' : 'Resize rows';
+  return `Resize ${paneLabels[handle.index]} and ${paneLabels[handle.index + 1]} panes`;
+};
+
+// Shows each child in its own pane. layout is one of LAYOUTS; screenMode is 'all' or the
+// index of the only pane to show. syncScroll links the panes' scrolling; bumping
+// anchorVersion re-captures their offsets. viewerRefs (one per pane) point at the page API
+// of paged viewers in each pane. paneLabels name the panes for assistive technology.
+// splits (see defaultSplits) sets the pane sizes, and onSplitsChange receives new ones as
+// the user resizes. Handles are dragged with a mouse, pen or finger, moved with the arrow
+// keys when focused, and reset to an even split by double-clicking. The ref reads and
+// restores the panes' scroll positions.
+const SplitScreen = forwardRef(
+  (
+    {
+      children,
+      layout = 'horizontal',
+      screenMode = 'all',
+      syncScroll = false,
+      anchorVersion = 0,
+      viewerRefs,
+      paneLabels = [],
+      splits,
+      onSplitsChange,
+    },
+    ref
+  ) => {
+    const panes = Array.isArray(children) ? children : [children];
+    const count = panes.length;
+    // Sizes saved for another number of panes are shared out evenly again
+    const sizes = splits?.sizes?.length === count ? splits.sizes : equalSizes(count);
+    const split = splits?.grid || defaultSplits(count).grid;
+    // The handle being dragged, as returned by handleRects
+    const [resizing, setResizing] = useState(null);
+    const containerRef = useRef(null);
+    const panelRefs = useMemo(() => Array.from({ length: MAX_PANES }, () => createRef()), []);
+    const restoreTimerRef = useRef(null);
+
+    useScrollSync({ enabled: syncScroll && screenMode === 'all', anchorVersion, panelRefs, viewerRefs, paneCount: count });
+
+    useEffect(() => () => clearInterval(restoreTimerRef.current), []);
+
+    useImperativeHandle(ref, () => ({
+      getScrollPositions: () =>
+        panes.map((_, index) => {
+          const panel = panelRefs[index].current;
+          return panel ? readPanePosition(panel, viewerRefs?.[index]?.current) : null;
+        }),
+      // Positions are applied as each pane's document becomes ready
+      restoreScrollPositions: (positions) => {
+        clearInterval(restoreTimerRef.current);
+        const pending = new Map(positions.map((position, index) => [index, position]).filter(([, position]) => position));
+        const started = Date.now();
+        restoreTimerRef.current = setInterval(() => {
+          pending.forEach((position, index) => {
+            const panel = panelRefs[index].current;
+            if (panel && writePanePosition(panel, viewerRefs?.[index]?.current, position)) pending.delete(index);
+          });
+          if (!pending.size || Date.now() - started > RESTORE_TIMEOUT) clearInterval(restoreTimerRef.current);
+        }, RESTORE_INTERVAL);
+      },
+    }));
+
+    const updateSplits = (changes) => onSplitsChange?.({ sizes, grid: split, ...changes });
+
+    // Where a handle can go, in percent: every pane keeps MIN_PANE_SIZE, and a handle
+    // between two panes stays within the space of those two
+    const handleBounds = (handle) => {
+      if (handle.index === undefined) return { min: MIN_PANE_SIZE, max: 100 - MIN_PANE_SIZE };
+      const start = sizes.slice(0, handle.index).reduce((sum, size) => sum + size, 0);
+      const end = start + sizes[handle.index] + sizes[handle.index + 1];
+      return { min: start + MIN_PANE_SIZE, max: end - MIN_PANE_SIZE };
+    };
+
+    // Moves a handle to position, in percent of the container along the handle's axis
+    const moveHandle = (handle, position) => {
+      const { min, max } = handleBounds(handle);
+      const border = clamp(position, min, max);
+      if (handle.index === undefined) {
+        updateSplits({ grid: { ...split, [handle.axis]: border } });
+        return;
+      }
+      // Only the two panes next to the handle change size
+      const { index } = handle;
+      const start = min - MIN_PANE_SIZE;
+      const end = max + MIN_PANE_SIZE;
+      const next = [...sizes];
+      next[index] = border - start;
+      next[index + 1] = end - border;
+      updateSplits({ sizes: next });
+    };
+
+    const resetHandle = (handle) => {
+      if (handle.index === undefined) {
+        updateSplits({ grid: { ...split, [handle.axis]: 50 } });
+        return;
+      }
+      const next = [...sizes];
+      const half = (sizes[handle.index] + sizes[handle.index + 1]) / 2;
+      next[handle.index] = half;
+      next[handle.index + 1] = half;
+      updateSplits({ sizes: next });
+    };
+
+    // Pointer capture keeps the drag going over iframes and outside the window
+    const handlePointerDown = (e, handle) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      e.currentTarget.focus();
+      setResizing(handle);
+    };
+
+    const handlePointerMove = (e, handle) => {
+      if (!e.currentTarget.hasPointerCapture(e.pointerId) || !containerRef.current) return;
+      const rect = containerRef.current.getBoundingClientRect();
+      moveHandle(
+        handle,
+        handle.axis === 'x' ? ((e.clientX - rect.left) / rect.width) * 100 : ((e.clientY - rect.top) / rect.height) * 100
+      );
+    };
+
+    const handleKeyDown = (e, handle) => {
+      const position = handlePosition(handle);
+      const step = e.shiftKey ? KEYBOARD_LARGE_STEP : KEYBOARD_STEP;
+      const keys =
+        handle.axis === 'x'
+          ? { ArrowLeft: position - step, ArrowRight: position + step }
+          : { ArrowUp: position - step, ArrowDown: position + step };
+      keys.Home = 0;
+      keys.End = 100;
+      if (!(e.key in keys)) return;
+      e.preventDefault();
+      moveHandle(handle, keys[e.key]);
+    };
+
+    const solo = screenMode !== 'all';
+    const rects = panelRects(layout, count, sizes, split);
+    const handles = solo ? [] : handleRects(layout, count, sizes, split);
+
+    return (
+      <SplitScreenContainer ref={containerRef} style={{ userSelect: resizing ? 'none' : undefined }}>
+        {panes.map((pane, index) => {
+          const rect = solo ? { left: 0, top: 0, width: 100, height: 100 } : rects[index];
+          return (
+            <Panel
+              key={index}
+              ref={panelRefs[index]}
+              role="region"
+              aria-label={paneLabels[index] ? `${paneLabels[index]} pane` : undefined}
+              style={{
+                left: `${rect.left}%`,
+                top: `${rect.top}%`,
+                width: `${rect.width}%`,
+                height: `${rect.height}%`,
+                // Hidden panes stay mounted, so their documents don't reload when shown again
+                display: solo && screenMode !== index ? 'none' : 'block',
+              }}
+            >
+              {pane}
+            </Panel>
+          );
+        })}
+        {/* A handle between side-by-side panes is a vertical separator */}
+        {handles.map((handle) => (
+          <ResizeHandle
+            key={handle.key}
+            role="separator"
+            tabIndex={0}
+            aria-orientation={handle.axis === 'x' ? 'vertical' : 'horizontal'}
+            aria-valuenow={Math.round(handlePosition(handle))}
+            aria-valuemin={Math.round(handleBounds(handle).min)}
+            aria-valuemax={Math.round(handleBounds(handle).max)}
+            aria-label={handleLabel(handle, paneLabels)}
+            title="Drag or use the arrow keys to resize. Double-click to split evenly."
+            onPointerDown={(e) => handlePointerDown(e, handle)}
+            onPointerMove={(e) => handlePointerMove(e, handle)}
+            onPointerUp={() => setResizing(null)}
+            onPointerCancel={() => setResizing(null)}
+            onKeyDown={(e) => handleKeyDown(e, handle)}
+            onDoubleClick={() => resetHandle(handle)}
+            style={handleStyle(handle)}
+          />
+        ))}
+      </SplitScreenContainer>
+    );
+  }
+);
+
 export default SplitScreen;
\ No newline at end of file
@@ -1,12 +1,25 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, createRef } from 'react';
 import styled from 'styled-components';
-import SplitScreen from './SplitScreen';
+import SplitScreen, { LAYOUTS, MAX_PANES, defaultSplits } from './SplitScreen';
 import GoogleSheetsUploader from './GoogleSheetsUploader';
 import { useGoogleLogin } from '@react-oauth/google';
 import BigQueryPatentFetcher from './BigQueryPatentFetcher';
 import PatentViewer from './PatentViewer';
 import { msalInstance } from '../services/msalConfig';
 import ProxyContent from './ProxyContent';
+import FindBar from './FindBar';
+import CompareView from './CompareView';
+import ImageOverlay from './ImageOverlay';
+import SheetDiffView from './SheetDiffView';
+import WorkspacePanel from './WorkspacePanel';
+import PaneDropZone from './PaneDropZone';
+import { ERROR_CODES, describeProxyError } from '../services/proxyErrors';
+import { apiUrl } from '../config';
+import { extractDocumentText } from '../services/documentText';
+import { compareDocuments } from '../services/documentDiff';
+import { describeSource, rememberUpload, resolveSource, saveSession } from '../services/workspaces';
+import { buildDeepLink, buildDeepLinkHash, isSameView } from '../services/deepLink';
+import { loadUploadLimits, validateUpload, uploadFile } from '../services/uploads';
 
 const ModalBackground = styled.div`
   position: fixed;
@@ -40,6 +53,10 @@ const ModalContent = styled.div`
   animation: slideIn 0.4s ease-out;
   overflow: hidden;
 
+  &:focus {
+    outline: none;
+  }
+
   @keyframes slideIn {
     from { transform: translateY(-50px); opacity: 0; }
     to { transform: translateY(0); opacity: 1; }
@@ -185,32 +202,6 @@ const PatentInput = styled.input`
   }
 `;
 
-const UploadButton = styled.button`
-  padding: 10px 20px;
-  background-color: #1a73e8;
-  color: white;
-  border: none;
-  borderRadius: 8px;
-  cursor: pointer;
-  font-weight: 600;
-  transition: background 0.3s ease, transform 0.2s ease;
-  font-size: 14px;
-
-  &:hover {
-    background-color: #1557b0;
-    transform: scale(1.05);
-  }
-
-  &:active {
-    transform: scale(0.95);
-  }
-
-  &:disabled {
-    background-color: #cccccc;
-    cursor: not-allowed;
-  }
-`;
-
 const PatentButton = styled.button`
   padding: 10px 20px;
   background-color: #4caf50;
@@ -267,6 +258,22 @@ const LoginButton = styled.button`
   }
 `;
 
+const ToggleButton = styled.button`
+  padding: 10px 20px;
+  background-color: ${(props) => (props.active ? '#1a73e8' : '#ffffff')};
+  color: ${(props) => (props.active ? '#ffffff' : '#1a73e8')};
+  border: 2px solid #1a73e8;
+  border-radius: 8px;
+  cursor: pointer;
+  font-weight: 600;
+  font-size: 14px;
+  transition: background 0.3s ease;
+
+  &:hover {
+    background-color: ${(props) => (props.active ? '#1557b0' : '#e8f0fe')};
+  }
+`;
+
 const ScreenSelectButton = styled.select`
   padding: 10px;
   border: 2px solid #e0e0e0;
@@ -301,6 +308,34 @@ const Iframe = styled.iframe`
   borderRadius: 8px;
 `;
 
+const CompareBar = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 10px;
+  margin-bottom: 10px;
+  padding: 8px;
+  background: #e8f0fe;
+  border-radius: 8px;
+  font-size: 14px;
+  flex-shrink: 0;
+`;
+
+const CompareNavButton = styled.button`
+  padding: 5px 12px;
+  border: 1px solid #1a73e8;
+  border-radius: 4px;
+  background: #ffffff;
+  color: #1a73e8;
+  cursor: pointer;
+
+  &:disabled {
+    border-color: #ccc;
+    color: #aaa;
+    cursor: not-allowed;
+  }
+`;
+
 const ErrorMessage = styled.div`
   color: #ff4d4f;
   margin: 10px 0;
@@ -316,17 +351,308 @@ const ErrorMessage = styled.div`
   }
 `;
 
-const SplitScreenModal = ({ leftSrc, rightSrc, setLeftSrc, setRightSrc, onClose }) => {
+const HistoryButton = styled.button`
+  padding: 8px 12px;
+  border: 2px solid #e0e0e0;
+  border-radius: 8px;
+  background: #ffffff;
+  color: #1a73e8;
+  font-size: 16px;
+  line-height: 1;
+  cursor: pointer;
+
+  &:disabled {
+    color: #ccc;
+    cursor: not-allowed;
+  }
+`;
+
+// Entries kept in each direction of a pane's history
+const MAX_HISTORY = 50;
+const EMPTY_HISTORY = { back: [], forward: [] };
+
+// Back/forward history of each pane. Following a link adds an entry; typing a URL,
+// uploading a file or fetching a patent replaces the current one, like editing a browser's
+// address bar.
+const usePaneHistories = (sources, setSource) => {
+  const [histories, setHistories] = useState({});
+
+  // A pane that is removed and added again starts without history
+  useEffect(() => {
+    setHistories((prev) => {
+      const stale = Object.keys(prev).filter((index) => Number(index) >= sources.length);
+      if (!stale.length) return prev;
+      const next = { ...prev };
+      stale.forEach((index) => delete next[index]);
+      return next;
+    });
+  }, [sources.length]);
+
+  return sources.map((src, index) => {
+    const history = histories[index] || EMPTY_HISTORY;
+    const update = (next) => setHistories((prev) => ({ ...prev, [index]: next }));
+
+    const navigate = (url) => {
+      if (!url || url === src) return;
+      setHistories((prev) => ({
+        ...prev,
+        [index]: { back: [...(prev[index] || EMPTY_HISTORY).back, src].slice(-MAX_HISTORY), forward: [] },
+      }));
+      setSource(index, url);
+    };
+
+    const goBack = () => {
+      if (!history.back.length) return;
+      update({ back: history.back.slice(0, -1), forward: [src, ...history.forward].slice(0, MAX_HISTORY) });
+      setSource(index, history.back[history.back.length - 1]);
+    };
+
+    const goForward = () => {
+      if (!history.forward.length) return;
+      update({ back: [...history.back, src].slice(-MAX_HISTORY), forward: history.forward.slice(1) });
+      setSource(index, history.forward[0]);
+    };
+
+    return { navigate, goBack, goForward, canGoBack: history.back.length > 0, canGoForward: history.forward.length > 0 };
+  });
+};
+
+const EMPTY_QUEUE = { items: [], current: 0 };
+
+// Files dropped on or picked for each pane. They are uploaded one at a time and kept in a
+// queue the pane can step through; the first new file is shown as soon as it's ready.
+const useUploadQueues = (setSource) => {
+  const [queues, setQueues] = useState(() => Array(MAX_PANES).fill(EMPTY_QUEUE));
+  // Read when an upload finishes, to tell whether its file is the one to show
+  const queuesRef = useRef(queues);
+  queuesRef.current = queues;
+  // Uploads run one after another on this chain
+  const uploadsRef = useRef(Promise.resolve());
+  // Ids of queued files whose queue was closed before their turn came
+  const cancelledRef = useRef(new Set());
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  const updateItem = (index, id, change) =>
+    setQueues((prev) =>
+      prev.map((queue, i) =>
+        i === index ? { ...queue, items: queue.items.map((item) => (item.id === id ? { ...item, ...change } : item)) } : queue
+      )
+    );
+
+  const upload = async (index, item) => {
+    const { signal } = controllerRef.current;
+    if (signal.aborted || cancelledRef.current.has(item.id)) return;
+    updateItem(index, item.id, { status: 'uploading' });
+    try {
+      const blob = await uploadFile(item.file, {
+        signal,
+        onProgress: (fraction) => updateItem(index, item.id, { progress: Math.round(fraction * 100) }),
+      });
+      const url = URL.createObjectURL(blob);
+      // Kept so the file can be shown again when a saved workspace is reopened
+      rememberUpload(url, blob, item.name).catch((err) => console.error('Error storing uploaded file:', err));
+      updateItem(index, item.id, { status: 'ready', progress: 100, src: url });
+      const queue = queuesRef.current[index];
+      if (queue.items[queue.current]?.id === item.id) setSource(index, url);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Upload error:', err);
+      const reason = err.code === ERROR_CODES.SERVER_UNREACHABLE ? describeProxyError(err).message : err.message;
+      updateItem(index, item.id, { status: 'error', error: reason });
+    }
+  };
+
+  const enqueue = async (index, files) => {
+    if (!files.length) return;
+    const limits = await loadUploadLimits();
+    const items = files.map((file) => {
+      const error = validateUpload(file, limits);
+      return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        file,
+        name: file.name,
+        status: error ? 'error' : 'queued',
+        progress: 0,
+        error,
+        src: null,
+      };
+    });
+    const firstValid = Math.max(0, items.findIndex((item) => item.status === 'queued'));
+    setQueues((prev) =>
+      prev.map((queue, i) => (i === index ? { items: [...queue.items, ...items], current: queue.items.length + firstValid } : queue))
+    );
+    items
+      .filter((item) => item.status === 'queued')
+      .forEach((item) => {
+        uploadsRef.current = uploadsRef.current.then(() => upload(index, item));
+      });
+  };
+
+  const select = (index, position) => {
+    const item = queues[index].items[position];
+    if (!item) return;
+    setQueues((prev) => prev.map((queue, i) => (i === index ? { ...queue, current: position } : queue)));
+    if (item.src) setSource(index, item.src);
+  };
+
+  const clear = (index) => {
+    queues[index].items.forEach((item) => cancelledRef.current.add(item.id));
+    setQueues((prev) => prev.map((queue, i) => (i === index ? EMPTY_QUEUE : queue)));
+  };
+
+  return { queues, enqueue, select, clear };
+};
+
+const TABBABLE = 'a[href], area[href], button, input, select, textarea, iframe, [tabindex], [contenteditable="true"]';
+
+// Elements Tab can reach inside container, in document order
+const tabbableElements = (container) =>
+  Array.from(container.querySelectorAll(TABBABLE)).filter(
+    (element) => !element.disabled && element.tabIndex >= 0 && element.getClientRects().length > 0
+  );
+
+// Focus handling of a modal dialog: focus moves into the dialog when it opens and back to
+// where it was when it closes, Tab and Shift+Tab cycle through the dialog's controls, and
+// Escape closes it. Returns the dialog's keydown handler. Focus isn't forced back when it
+// leaves by other means, because Handsontable renders its menus outside the dialog.
+const useDialogFocus = (dialogRef, onClose) => {
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    dialogRef.current?.focus();
+    return () => previouslyFocused?.focus?.();
+  }, [dialogRef]);
+
+  return (e) => {
+    // Controls that use Escape themselves, like the find bar, prevent the default
+    if (e.key === 'Escape' && !e.defaultPrevented) {
+      e.preventDefault();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const elements = tabbableElements(dialogRef.current);
+    if (!elements.length) return;
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+};
+
+const LAYOUT_NAMES = { horizontal: 'Side by Side', vertical: 'Stacked', grid: 'Grid (2×2)' };
+
+// Two panes keep the names users know; more are numbered
+const paneLabel = (index, count, layout) => {
+  if (count === 2) return layout === 'vertical' ? ['Top', 'Bottom'][index] : ['Left', 'Right'][index];
+  return `Pane ${index + 1}`;
+};
+
+const LayoutControls = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+const OverlayContainer = styled.div`
+  flex: 1;
+  min-height: 0;
+  border: 1px solid #e0e0e0;
+  border-radius: 8px;
+  overflow: hidden;
+`;
+
+// How long after a change the session is autosaved
+const AUTOSAVE_DELAY = 500;
+// How long the app URL waits for changes to settle, so typing an address doesn't add a
+// history entry per keystroke
+const URL_UPDATE_DELAY = 1000;
+
+// URL an <img> can load a pane's source from
+const imageUrl = (src) => (src.startsWith('blob:') ? src : `${apiUrl('/proxy')}?url=${encodeURIComponent(src)}`);
+
+// sources holds the source of each pane: a URL, an uploaded file's blob URL or
+// patent:<number>. Compare, overlay and the sheet comparison work on the first two panes.
+// workspaceToOpen, such as the autosaved session or one from a link, is restored when the
+// modal opens and whenever it changes. navigation, { workspace, savedSources }, is the view
+// of a history entry the browser's back or forward button went to.
+const SplitScreenModal = ({ sources, setSources, workspaceToOpen, navigation, onClose }) => {
   const [patentData, setPatentData] = useState({});
-  const [leftPatentInput, setLeftPatentInput] = useState('');
-  const [rightPatentInput, setRightPatentInput] = useState('');
+  const [patentInputs, setPatentInputs] = useState(() => Array(MAX_PANES).fill(''));
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [leftFile, setLeftFile] = useState(null);
-  const [rightFile, setRightFile] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
-  const [screenMode, setScreenMode] = useState('both'); // New state for screen mode
+  // { text, error } shown after copying a link to the current view
+  const [linkStatus, setLinkStatus] = useState(null);
+  // 'all' or the index of the only pane to show
+  const [screenMode, setScreenMode] = useState('all');
+  const [layout, setLayout] = useState('horizontal');
+  const [splits, setSplits] = useState(() => defaultSplits(sources.length));
+  // Sheet shown by a spreadsheet in each pane
+  const [activeSheets, setActiveSheets] = useState(() => Array(MAX_PANES).fill(null));
+  const [syncScroll, setSyncScroll] = useState(false);
+  const [anchorVersion, setAnchorVersion] = useState(0);
+  // Show web pages in a sandboxed iframe instead of injecting their sanitized HTML
+  const [isolatePages, setIsolatePages] = useState(false);
+  // Page API of a PDF or slide deck shown in each pane, used to sync scrolling by page
+  const viewerRefs = useMemo(() => Array.from({ length: MAX_PANES }, () => createRef()), []);
+  // Search interface of the content in each pane, used by the find bar
+  const searchRefs = useMemo(() => Array.from({ length: MAX_PANES }, () => createRef()), []);
+  const [showFind, setShowFind] = useState(false);
+  // A view that replaces both panes: 'overlay' stacks their images, 'sheets' compares
+  // their spreadsheets cell by cell
+  const [combinedView, setCombinedView] = useState(null);
+  const setSource = (index, src) => setSources((prev) => prev.map((value, i) => (i === index ? src : value)));
+  const setActiveSheet = (index, name) => setActiveSheets((prev) => prev.map((value, i) => (i === index ? name : value)));
+  const histories = usePaneHistories(sources, setSource);
+  const uploads = useUploadQueues(setSource);
+  const [firstSrc, secondSrc] = sources;
+  const [findFocusVersion, setFindFocusVersion] = useState(0);
+  // Compare mode: { status: 'loading' | 'ready' | 'error', result, current, message }
+  const [compare, setCompare] = useState(null);
+  const compareControllerRef = useRef(null);
+  const dialogRef = useRef(null);
+  const splitScreenRef = useRef(null);
+  const [showWorkspaces, setShowWorkspaces] = useState(false);
+  // Scroll positions waiting for a restored workspace's panes to render
+  const [pendingPositions, setPendingPositions] = useState(null);
+  // Nothing is autosaved until the initial workspace has been restored
+  const [restored, setRestored] = useState(!workspaceToOpen);
+
+  const captureWorkspace = () => {
+    const positions = splitScreenRef.current?.getScrollPositions() || [];
+    return {
+      layout,
+      screenMode,
+      splits,
+      syncScroll,
+      isolatePages,
+      panes: sources.map((src, index) => ({
+        source: describeSource(src),
+        position: positions[index] || null,
+        sheet: activeSheets[index],
+      })),
+    };
+  };
+  // Read by listeners that outlive a render
+  const captureRef = useRef(captureWorkspace);
+  captureRef.current = captureWorkspace;
+
+  const handleClose = () => {
+    saveSession({ ...captureWorkspace(), open: false });
+    onClose();
+  };
+  const handleDialogKeyDown = useDialogFocus(dialogRef, handleClose);
 
   const googleLogin = useGoogleLogin({
     onSuccess: (tokenResponse) => {
@@ -361,49 +687,264 @@ const SplitScreenModal = ({ leftSrc, rightSrc, setLeftSrc, setRightSrc, onClose
     }
   }, [showSuccess]);
 
-  const handleUploadComplete = async (side, file) => {
-    if (!file) return;
-
-    const formData = new FormData();
-    formData.append('file', file);
+  useEffect(() => {
+    if (!linkStatus) return undefined;
+    const timer = setTimeout(() => setLinkStatus(null), 3000);
+    return () => clearTimeout(timer);
+  }, [linkStatus]);
 
+  const copyLink = async () => {
+    const workspace = captureWorkspace();
+    const uploadCount = sources.filter((src) => src.startsWith('blob:')).length;
     try {
-      const response = await fetch('http://localhost:5001/upload', {
-        method: 'POST',
-        body: formData,
+      await navigator.clipboard.writeText(buildDeepLink(workspace));
+      setLinkStatus({
+        text: uploadCount ? 'Link copied. Uploaded files are not included in links.' : 'Link copied',
       });
+    } catch (err) {
+      console.error('Error copying the link:', err);
+      setLinkStatus({ text: 'Could not copy the link. Copy it from the address bar instead.', error: true });
+    }
+  };
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
+  const openFind = () => {
+    setShowFind(true);
+    setFindFocusVersion((prev) => prev + 1);
+  };
+
+  // Ctrl+F / Cmd+F opens our find bar; the browser's cannot search inside the panes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        openFind();
       }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
-      const blob = await response.blob();
-      const url = URL.createObjectURL(blob);
+  // The session is saved shortly after each change, and when the page is hidden or
+  // unloaded so the latest scroll positions are kept too
+  useEffect(() => {
+    if (!restored) return undefined;
+    const timer = setTimeout(() => saveSession({ ...captureRef.current(), open: true }), AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [restored, sources, layout, screenMode, splits, syncScroll, isolatePages, activeSheets]);
 
-      if (side === 'left') {
-        setLeftSrc(url);
-      } else {
-        setRightSrc(url);
-      }
+  useEffect(() => {
+    if (!restored) return undefined;
+    const save = () => saveSession({ ...captureRef.current(), open: true });
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') save();
+    };
+    window.addEventListener('pagehide', save);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', save);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [restored]);
+
+  // The app URL follows the view, so it can be bookmarked or shared and the browser's back
+  // button steps through the changes. Resizing panes updates the current history entry, as
+  // does the first update after a view is restored, which only writes the URL out in full.
+  // Uploaded files can't be in the URL, so each entry's state keeps every pane's source.
+  const replaceUrlRef = useRef(false);
+  useEffect(() => {
+    if (!restored) return undefined;
+    const timer = setTimeout(() => {
+      const hash = buildDeepLinkHash(captureRef.current());
+      const current = window.location.hash.replace(/^#/, '');
+      const saved = window.history.state?.sources;
+      const sameSources = saved?.length === sources.length && saved.every((src, index) => src === sources[index]);
+      const replace = replaceUrlRef.current || (sameSources && isSameView(hash, current));
+      replaceUrlRef.current = false;
+      if (hash === current && sameSources) return;
+      const url = `${window.location.pathname}${window.location.search}#${hash}`;
+      if (replace) window.history.replaceState({ sources }, '', url);
+      else window.history.pushState({ sources }, '', url);
+    }, URL_UPDATE_DELAY);
+    return () => clearTimeout(timer);
+  }, [restored, sources, layout, splits, syncScroll]);
+
+  useEffect(() => {
+    if (pendingPositions) splitScreenRef.current?.restoreScrollPositions(pendingPositions);
+  }, [pendingPositions]);
+
+  const exitCompare = () => {
+    if (compareControllerRef.current) compareControllerRef.current.abort();
+    compareControllerRef.current = null;
+    setCompare(null);
+  };
+
+  // A comparison is only valid for the documents it was made from
+  useEffect(() => {
+    exitCompare();
+  }, [firstSrc, secondSrc]);
+
+  const startCompare = async () => {
+    if (!firstSrc || !secondSrc) {
+      setError('Load a document in each of the first two panes to compare them.');
+      return;
+    }
+    const controller = new AbortController();
+    compareControllerRef.current = controller;
+    setCompare({ status: 'loading' });
+    try {
+      const [leftText, rightText] = await Promise.all([
+        extractDocumentText(firstSrc, { signal: controller.signal }),
+        extractDocumentText(secondSrc, { signal: controller.signal }),
+      ]);
+      if (controller.signal.aborted) return;
+      const result = compareDocuments(leftText, rightText);
+      setCompare({ status: 'ready', result, current: result.changeCount ? 0 : -1 });
     } catch (err) {
-      console.error('Upload error:', err);
-      setError(`Failed to process file: ${err.message}`);
+      if (controller.signal.aborted) return;
+      console.error('Compare error:', err);
+      setCompare({ status: 'error', message: err.code ? describeProxyError(err).message : err.message });
     }
   };
 
-  const fetchPatentData = async (patentNumber, side) => {
+  const goToChange = (delta) => {
+    setCompare((prev) => {
+      const count = prev.result.changeCount;
+      return { ...prev, current: (prev.current + delta + count) % count };
+    });
+  };
+
+  const renderCompareBar = () => {
+    if (compare.status === 'loading') return <CompareBar>Extracting text from both documents...</CompareBar>;
+    if (compare.status === 'error') {
+      return (
+        <CompareBar>
+          <span style={{ color: '#a50e0e' }}>Could not compare the documents: {compare.message}</span>
+          <CompareNavButton onClick={exitCompare}>Close</CompareNavButton>
+        </CompareBar>
+      );
+    }
+    const { changeCount } = compare.result;
+    return (
+      <CompareBar>
+        <strong>{changeCount === 0 ? 'No differences found' : `${changeCount} ${changeCount === 1 ? 'change' : 'changes'}`}</strong>
+        {changeCount > 0 && (
+          <>
+            <CompareNavButton onClick={() => goToChange(-1)}>Previous</CompareNavButton>
+            <span>
+              Change {compare.current + 1} of {changeCount}
+            </span>
+            <CompareNavButton onClick={() => goToChange(1)}>Next</CompareNavButton>
+          </>
+        )}
+        <span style={{ color: '#666' }}>
+          <span style={{ background: '#ffe6e6', color: '#a50e0e', textDecoration: 'line-through' }}>deleted</span>{' '}
+          <span style={{ background: '#e6ffec', color: '#046c1e' }}>inserted</span>
+        </span>
+        <CompareNavButton onClick={exitCompare}>Exit Compare</CompareNavButton>
+      </CompareBar>
+    );
+  };
+
+  // Restores a saved workspace. Uploaded files come back from the browser's storage and
+  // patents are fetched again; scroll positions follow once the panes have loaded.
+  const applyWorkspace = async (workspace) => {
+    const panes = workspace.panes.slice(0, MAX_PANES);
+    while (panes.length < 2) panes.push({ source: { type: 'empty' }, position: null, sheet: null });
+    const resolved = await Promise.all(panes.map((pane) => resolveSource(pane.source)));
+    const pad = (values, fill) => [...values, ...Array(MAX_PANES - values.length).fill(fill)];
+
+    exitCompare();
+    setCombinedView(null);
+    uploads.queues.forEach((_, index) => uploads.clear(index));
+    setLayout(LAYOUTS.includes(workspace.layout) ? workspace.layout : 'horizontal');
+    setScreenMode(workspace.screenMode !== 'all' && workspace.screenMode < panes.length ? workspace.screenMode : 'all');
+    setSplits({
+      sizes: workspace.splits?.sizes?.length === panes.length ? workspace.splits.sizes : defaultSplits(panes.length).sizes,
+      grid: workspace.splits?.grid || defaultSplits(panes.length).grid,
+    });
+    setSyncScroll(Boolean(workspace.syncScroll));
+    setIsolatePages(Boolean(workspace.isolatePages));
+    setActiveSheets(pad(panes.map((pane) => pane.sheet), null));
+    setPatentData({});
+    setPatentInputs(pad(panes.map((pane) => (pane.source.type === 'patent' ? pane.source.number : '')), ''));
+    setSources(resolved.map((result) => result.src));
+    setPendingPositions(panes.map((pane) => pane.position));
+
+    const missing = resolved.filter((result) => result.missing).map((result) => result.missing);
+    setError(
+      missing.length
+        ? `Uploaded files are not stored in this browser anymore: ${missing.join(', ')}. Upload them again to see them.`
+        : null
+    );
+    panes.forEach((pane, index) => {
+      if (pane.source.type === 'patent') fetchPatentData(pane.source.number, index);
+    });
+    replaceUrlRef.current = true;
+    setRestored(true);
+  };
+
+  // Shows the view of a history entry the browser went back or forward to. Only what
+  // differs from the current view changes, so panes that keep their document also keep
+  // their scroll position, file queue and fetched patent. savedSources is the entry's
+  // history state, which has the uploaded files its URL leaves out.
+  const applyNavigation = ({ workspace, savedSources }) => {
+    const panes = workspace.panes.slice(0, MAX_PANES);
+    const nextSources = panes.map(({ source }, index) => {
+      if (source.type === 'url') return source.url;
+      if (source.type === 'patent') return `patent:${source.number}`;
+      return savedSources?.[index]?.startsWith('blob:') ? savedSources[index] : '';
+    });
+    const nextLayout = LAYOUTS.includes(workspace.layout) ? workspace.layout : 'horizontal';
+    const even = defaultSplits(panes.length);
+    const nextSplits = {
+      sizes: workspace.splits?.sizes?.length === panes.length ? workspace.splits.sizes : even.sizes,
+      grid: workspace.splits?.grid || even.grid,
+    };
+
+    if (nextLayout !== layout) setLayout(nextLayout);
+    if (Boolean(workspace.syncScroll) !== syncScroll) setSyncScroll(Boolean(workspace.syncScroll));
+    // The URL rounds pane sizes, so they only change when they differ from what it says
+    const splitParam = (value) =>
+      new URLSearchParams(buildDeepLinkHash({ ...workspace, layout: nextLayout, splits: value })).get('split');
+    if (splitParam(nextSplits) !== splitParam(splits)) setSplits(nextSplits);
+    if (screenMode !== 'all' && screenMode >= panes.length) setScreenMode('all');
+    if (nextSources.length !== sources.length || nextSources.some((src, index) => src !== sources[index])) {
+      setSources(nextSources);
+      uploads.queues.forEach((_, index) => {
+        if (index >= nextSources.length) uploads.clear(index);
+      });
+      nextSources.forEach((src, index) => {
+        if (src === sources[index] || !src.startsWith('patent:')) return;
+        const number = src.slice('patent:'.length);
+        setPatentInputs((prev) => prev.map((value, i) => (i === index ? number : value)));
+        fetchPatentData(number, index);
+      });
+    }
+    replaceUrlRef.current = true;
+    setRestored(true);
+  };
+
+  const applyRef = useRef(applyWorkspace);
+  applyRef.current = applyWorkspace;
+  useEffect(() => {
+    if (workspaceToOpen) applyRef.current(workspaceToOpen);
+  }, [workspaceToOpen]);
+
+  const navigateRef = useRef(applyNavigation);
+  navigateRef.current = applyNavigation;
+  useEffect(() => {
+    if (navigation) navigateRef.current(navigation);
+  }, [navigation]);
+
+  const fetchPatentData = async (patentNumber, index) => {
     const fetcher = new BigQueryPatentFetcher();
     setLoading(true);
     try {
-      console.log(`Fetching patent data for ${patentNumber} on ${side}...`);
+      console.log(`Fetching patent data for ${patentNumber} in pane ${index + 1}...`);
       setError(null);
       const data = await fetcher.fetchPatentData(patentNumber, isAuthenticated);
-      setPatentData((prev) => ({ ...prev, [side]: data }));
-      if (side === 'left') {
-        setLeftSrc(`patent:${patentNumber}`);
-      } else {
-        setRightSrc(`patent:${patentNumber}`);
-      }
+      setPatentData((prev) => ({ ...prev, [index]: data }));
+      setSource(index, `patent:${patentNumber}`);
     } catch (error) {
       console.error('Error fetching patent data:', error);
       setError(`Error fetching patent data: ${error.message || 'Unknown error. Login may be required for this action.'}`);
@@ -412,27 +953,51 @@ const SplitScreenModal = ({ leftSrc, rightSrc, setLeftSrc, setRightSrc, onClose
     }
   };
 
-  const handlePatentFetch = (side) => {
-    const patentNumber = side === 'left' ? leftPatentInput : rightPatentInput;
+  const handlePatentFetch = (index) => {
+    const patentNumber = patentInputs[index];
     if (patentNumber) {
-      fetchPatentData(patentNumber, side);
+      fetchPatentData(patentNumber, index);
     }
   };
 
-  const renderContent = (src, side) => {
-    console.log(`Rendering content for ${side} with urin:`, src);
+  // Links open in the pane they were clicked in, or with a modifier key in the next one
+  const handleLinkClick = (index, url, { otherPane }) => {
+    const target = otherPane ? (index + 1) % sources.length : index;
+    if (target !== index && screenMode !== 'all') setScreenMode('all');
+    histories[target].navigate(url);
+  };
+
+  // Panes are added and removed at the end, so the others keep their documents
+  const changePaneCount = (count) => {
+    setSources((prev) => (count > prev.length ? [...prev, ...Array(count - prev.length).fill('')] : prev.slice(0, count)));
+    if (screenMode !== 'all' && screenMode >= count) setScreenMode('all');
+    uploads.queues.forEach((_, index) => {
+      if (index >= count) uploads.clear(index);
+    });
+  };
+
+  const renderContent = (src, index) => {
+    console.log(`Rendering content for pane ${index + 1} with urin:`, src);
     if (!src) {
-      return <div style={{ color: '#666', textAlign: 'center' }}>Enter a URL, upload a file, or enter a patent number to view content</div>;
+      return <div style={{ color: '#666', textAlign: 'center' }}>Drop files here, or enter a URL or patent number to view content</div>;
     }
     if (src.startsWith('patent:')) {
       const patentNumber = src.split('patent:')[1];
-      return patentData[side] ? <PatentViewer patentNumber={patentNumber} /> : <div style={{ color: '#666', textAlign: 'center' }}>Loading patent...</div>;
+      return patentData[index] ? <PatentViewer patentNumber={patentNumber} /> : <div style={{ color: '#666', textAlign: 'center' }}>Loading patent...</div>;
     }
     if (src.includes('patents.google.com/patent/')) {
       const patentNumber = src.match(/patent\/([^\/]+)\//)?.[1] || 'unknown';
       return (
         <ContentWrapper>
-          <ProxyContent url={src} />
+          <ProxyContent
+            url={src}
+            viewerRef={viewerRefs[index]}
+            searchRef={searchRefs[index]}
+            onLinkClick={(url, options) => handleLinkClick(index, url, options)}
+            isolated={isolatePages}
+            sheet={activeSheets[index]}
+            onSheetChange={(name) => setActiveSheet(index, name)}
+          />
           <div style={{ padding: 10, textAlign: 'right' }}>
             <button
               onClick={() => window.open(src, '_blank')}
@@ -450,7 +1015,7 @@ const SplitScreenModal = ({ leftSrc, rightSrc, setLeftSrc, setRightSrc, onClose
             >
               Open in New Tab
             </button>
-            {patentData[side] ? (
+            {patentData[index] ? (
               <PatentViewer patentNumber={patentNumber} />
             ) : (
               <div style={{ padding: 10 }} />
@@ -460,7 +1025,17 @@ const SplitScreenModal = ({ leftSrc, rightSrc, setLeftSrc, setRightSrc, onClose
       );
     }
     try {
-      return <ProxyContent url={src} />;
+      return (
+        <ProxyContent
+          url={src}
+          viewerRef={viewerRefs[index]}
+          searchRef={searchRefs[index]}
+          onLinkClick={(url, options) => handleLinkClick(index, url, options)}
+          isolated={isolatePages}
+          sheet={activeSheets[index]}
+          onSheetChange={(name) => setActiveSheet(index, name)}
+        />
+      );
     } catch (err) {
       console.error(`Error rendering ${src}:`, err);
       return (
@@ -477,10 +1052,22 @@ const SplitScreenModal = ({ leftSrc, rightSrc, setLeftSrc, setRightSrc, onClose
     }
   };
 
+  const canCombine = screenMode === 'all' && !compare && Boolean(firstSrc) && Boolean(secondSrc);
+  const paneIds = sources.map((_, index) => index);
+  const toggleCombinedView = (view) => setCombinedView((prev) => (prev === view ? null : view));
+
   return (
-    <ModalBackground onClick={onClose}>
-      <ModalContent onClick={(e) => e.stopPropagation()}>
-        <CloseButton onClick={onClose}>Close</CloseButton>
+    <ModalBackground onClick={handleClose}>
+      <ModalContent
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Split screen viewer"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleDialogKeyDown}
+      >
+        <CloseButton onClick={handleClose} title="Close (Esc)">Close</CloseButton>
         <HeaderContainer>
           {!isAuthenticated && (
             <>
@@ -489,75 +1076,234 @@ const SplitScreenModal = ({ leftSrc, rightSrc, setLeftSrc, setRightSrc, onClose
             </>
           )}
           {showSuccess && <div style={{ color: '#4caf50', fontSize: '14px' }}>Logged in successfully!</div>}
-          
+          <ToggleButton
+            active={Boolean(compare)}
+            aria-pressed={Boolean(compare)}
+            onClick={() => (compare ? exitCompare() : startCompare())}
+            disabled={screenMode !== 'all' || Boolean(combinedView)}
+            title="Highlight the text inserted and deleted between the documents in the first two panes"
+          >
+            Compare
+          </ToggleButton>
+          <ToggleButton
+            active={syncScroll}
+            aria-pressed={syncScroll}
+            onClick={() => setSyncScroll((prev) => !prev)}
+            disabled={screenMode !== 'all' || Boolean(compare) || Boolean(combinedView)}
+            title="Scroll all panes together. Hold Alt while scrolling to move one pane on its own."
+          >
+            {syncScroll ? 'Sync Scroll: On' : 'Sync Scroll: Off'}
+          </ToggleButton>
+          <ToggleButton
+            active={combinedView === 'overlay'}
+            aria-pressed={combinedView === 'overlay'}
+            onClick={() => toggleCombinedView('overlay')}
+            disabled={combinedView !== 'overlay' && !canCombine}
+            title="Stack the images in the first two panes to spot small differences"
+          >
+            Overlay Images
+          </ToggleButton>
+          <ToggleButton
+            active={combinedView === 'sheets'}
+            aria-pressed={combinedView === 'sheets'}
+            onClick={() => toggleCombinedView('sheets')}
+            disabled={combinedView !== 'sheets' && !canCombine}
+            title="Compare the spreadsheets or CSV files in the first two panes row by row and cell by cell"
+          >
+            Compare Sheets
+          </ToggleButton>
+          {syncScroll && !compare && (
+            <ToggleButton onClick={() => setAnchorVersion((prev) => prev + 1)} title="Keep the panes at their current offset">
+              Re-anchor
+            </ToggleButton>
+          )}
+          <ToggleButton
+            active={showFind}
+            aria-pressed={showFind}
+            onClick={() => (showFind ? setShowFind(false) : openFind())}
+            title="Find text in the documents (Ctrl+F)"
+          >
+            Find
+          </ToggleButton>
+          <ToggleButton
+            active={isolatePages}
+            aria-pressed={isolatePages}
+            onClick={() => setIsolatePages((prev) => !prev)}
+            title="Show web pages in a sandboxed frame with their original styling. Scripts and forms stay disabled either way."
+          >
+            {isolatePages ? 'Isolated Pages: On' : 'Isolated Pages: Off'}
+          </ToggleButton>
+          <ToggleButton
+            active={showWorkspaces}
+            aria-pressed={showWorkspaces}
+            onClick={() => setShowWorkspaces((prev) => !prev)}
+            title="Save the current setup under a name, or reopen a saved one"
+          >
+            Workspaces
+          </ToggleButton>
+          <ToggleButton onClick={copyLink} title="Copy a link that opens the current documents, layout and settings">
+            Copy Link
+          </ToggleButton>
+          {linkStatus && (
+            <div role="status" style={{ color: linkStatus.error ? '#d93025' : '#4caf50', fontSize: '14px' }}>
+              {linkStatus.text}
+            </div>
+          )}
+
         </HeaderContainer>
         <InputContainer>
-          <InputWrapper>
-            <StyledInput
-              type="text"
-              placeholder="Enter left URL"
-              value={leftSrc}
-              onChange={(e) => setLeftSrc(e.target.value)}
-            />
-            <FileInput
-              type="file"
-              onChange={(e) => setLeftFile(e.target.files[0])}
-            />
-            <UploadButton onClick={() => handleUploadComplete('left', leftFile)}>
-              Upload File
-            </UploadButton>
-            <PatentInput
-              type="text"
-              placeholder="Enter patent number"
-              value={leftPatentInput}
-              onChange={(e) => setLeftPatentInput(e.target.value)}
-            />
-            <PatentButton onClick={() => handlePatentFetch('left')} disabled={loading}>
-              {loading && leftPatentInput ? 'Fetching...' : 'Fetch Patent'}
-            </PatentButton>
-          </InputWrapper>
-          <InputWrapper>
-            <StyledInput
-              type="text"
-              placeholder="Enter right URL"
-              value={rightSrc}
-              onChange={(e) => setRightSrc(e.target.value)}
-            />
-            <FileInput
-              type="file"
-              onChange={(e) => setRightFile(e.target.files[0])}
-            />
-            <UploadButton onClick={() => handleUploadComplete('right', rightFile)}>
-              Upload File
-            </UploadButton>
-            <PatentInput
-              type="text"
-              placeholder="Enter patent number"
-              value={rightPatentInput}
-              onChange={(e) => setRightPatentInput(e.target.value)}
-            />
-            <PatentButton onClick={() => handlePatentFetch('right')} disabled={loading}>
-              {loading && rightPatentInput ? 'Fetching...' : 'Fetch Patent'}
-            </PatentButton>
-          </InputWrapper>
-          <ScreenSelectButton
-            value={screenMode}
-            onChange={(e) => setScreenMode(e.target.value)}
-          >
-            <option value="both">Both Screen</option>
-            <option value="left">Left Screen</option>
-            <option value="right">Right Screen</option>
-          </ScreenSelectButton>
+          {sources.map((src, index) => {
+            const label = paneLabel(index, sources.length, layout);
+            return (
+              <InputWrapper key={index}>
+                <HistoryButton onClick={histories[index].goBack} disabled={!histories[index].canGoBack} title="Back" aria-label={`${label} pane back`}>
+                  ‹
+                </HistoryButton>
+                <HistoryButton onClick={histories[index].goForward} disabled={!histories[index].canGoForward} title="Forward" aria-label={`${label} pane forward`}>
+                  ›
+                </HistoryButton>
+                <StyledInput
+                  type="text"
+                  placeholder={`Enter ${label.toLowerCase()} URL`}
+                  aria-label={`${label} pane URL`}
+                  value={src}
+                  onChange={(e) => setSource(index, e.target.value)}
+                />
+                <FileInput
+                  type="file"
+                  multiple
+                  aria-label={`Files to open in the ${label.toLowerCase()} pane`}
+                  title="Pick one or more files, or drop them onto the pane"
+                  onChange={(e) => {
+                    uploads.enqueue(index, Array.from(e.target.files));
+                    // Picking the same file again should upload it again
+                    e.target.value = '';
+                  }}
+                />
+                <PatentInput
+                  type="text"
+                  placeholder="Enter patent number"
+                  aria-label={`Patent number for the ${label.toLowerCase()} pane`}
+                  value={patentInputs[index]}
+                  onChange={(e) => {
+                    const { value } = e.target;
+                    setPatentInputs((prev) => prev.map((input, i) => (i === index ? value : input)));
+                  }}
+                />
+                <PatentButton
+                  onClick={() => handlePatentFetch(index)}
+                  disabled={loading}
+                  aria-label={`Fetch patent into the ${label.toLowerCase()} pane`}
+                >
+                  {loading && patentInputs[index] ? 'Fetching...' : 'Fetch Patent'}
+                </PatentButton>
+              </InputWrapper>
+            );
+          })}
+          <LayoutControls>
+            <ScreenSelectButton
+              value={screenMode}
+              onChange={(e) => setScreenMode(e.target.value === 'all' ? 'all' : Number(e.target.value))}
+              aria-label="Panes to show"
+            >
+              <option value="all">{sources.length === 2 ? 'Both Screens' : 'All Screens'}</option>
+              {paneIds.map((index) => (
+                <option key={index} value={index}>
+                  {paneLabel(index, sources.length, layout)} Screen
+                </option>
+              ))}
+            </ScreenSelectButton>
+            <ScreenSelectButton value={layout} onChange={(e) => setLayout(e.target.value)} aria-label="Layout">
+              {Object.entries(LAYOUT_NAMES).map(([value, name]) => (
+                <option key={value} value={value}>
+                  {name}
+                </option>
+              ))}
+            </ScreenSelectButton>
+            <ScreenSelectButton
+              value={sources.length}
+              onChange={(e) => changePaneCount(Number(e.target.value))}
+              aria-label="Number of panes"
+            >
+              {Array.from({ length: MAX_PANES - 1 }, (_, i) => i + 2).map((count) => (
+                <option key={count} value={count}>
+                  {count} Panes
+                </option>
+              ))}
+            </ScreenSelectButton>
+          </LayoutControls>
         </InputContainer>
-        {error && <ErrorMessage>{error}</ErrorMessage>}
-       
-        <SplitScreen leftWidth={1} rightWidth={1} screenMode={screenMode}>
-          {leftSrc && renderContent(leftSrc, 'left')}
-          {rightSrc && renderContent(rightSrc, 'right')}
-        </SplitScreen>
-        
+        {error && <ErrorMessage role="alert">{error}</ErrorMessage>}
+        {compare && renderCompareBar()}
+        {showWorkspaces && (
+          <WorkspacePanel
+            captureWorkspace={captureWorkspace}
+            onOpen={(workspace) => {
+              applyWorkspace(workspace);
+              setShowWorkspaces(false);
+            }}
+            onClose={() => setShowWorkspaces(false)}
+          />
+        )}
+        {showFind && (
+          <FindBar
+            searchRefs={searchRefs}
+            panes={paneIds.map((index) => ({ id: index, label: paneLabel(index, sources.length, layout) }))}
+            shownPanes={screenMode === 'all' ? paneIds : [screenMode]}
+            resetKey={[...sources, isolatePages, compare?.status, combinedView].join('|')}
+            focusVersion={findFocusVersion}
+            onClose={() => setShowFind(false)}
+          />
+        )}
+
+        {combinedView && firstSrc && secondSrc ? (
+          <OverlayContainer>
+            {combinedView === 'overlay' ? (
+              <ImageOverlay leftUrl={imageUrl(firstSrc)} rightUrl={imageUrl(secondSrc)} />
+            ) : (
+              <SheetDiffView leftSrc={firstSrc} rightSrc={secondSrc} />
+            )}
+          </OverlayContainer>
+        ) : (
+          <SplitScreen
+            ref={splitScreenRef}
+            layout={layout}
+            splits={splits}
+            onSplitsChange={setSplits}
+            paneLabels={paneIds.map((index) => paneLabel(index, sources.length, layout))}
+            screenMode={screenMode}
+            syncScroll={syncScroll && !compare}
+            anchorVersion={anchorVersion}
+            viewerRefs={viewerRefs}
+          >
+            {sources.map((src, index) => {
+              if (compare?.status === 'ready' && index < 2) {
+                return (
+                  <CompareView
+                    key={index}
+                    blocks={index === 0 ? compare.result.left : compare.result.right}
+                    currentChange={compare.current}
+                  />
+                );
+              }
+              return (
+                <PaneDropZone
+                  key={index}
+                  label={paneLabel(index, sources.length, layout)}
+                  queue={uploads.queues[index]}
+                  onDropFiles={(dropped) => uploads.enqueue(index, dropped)}
+                  onSelect={(position) => uploads.select(index, position)}
+                  onClear={() => uploads.clear(index)}
+                >
+                  {renderContent(src, index)}
+                </PaneDropZone>
+              );
+            })}
+          </SplitScreen>
+        )}
+
       </ModalContent>
-      
+
     </ModalBackground>
   );
 };
@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback, useImperativeHandle, forwardRef, memo } from 'react';
+import styled from 'styled-components';
+import { HotTable } from '@handsontable/react';
+import { registerCellType, TextCellType } from 'handsontable/cellTypes';
+import {
+  registerPlugin,
+  ColumnSorting,
+  ContextMenu,
+  CopyPaste,
+  DropdownMenu,
+  Filters,
+  ManualColumnResize,
+  Search,
+} from 'handsontable/plugins';
+import 'handsontable/styles/handsontable.min.css';
+import 'handsontable/styles/ht-theme-main.min.css';
+import { DELIMITER_NAMES, encodingName } from '../services/csvParser';
+import { findMatches } from '../services/textSearch';
+import { escapeHtml, unescapeHtml } from '../services/htmlSanitizer';
+
+registerCellType(TextCellType);
+registerPlugin(ColumnSorting);
+registerPlugin(ContextMenu);
+registerPlugin(CopyPaste);
+registerPlugin(DropdownMenu);
+registerPlugin(Filters);
+registerPlugin(ManualColumnResize);
+registerPlugin(Search);
+
+const Container = styled.div`
+  display: flex;
+  flex-direction: column;
+  height: 100%;
+  width: 100%;
+  background: #ffffff;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 8px 10px;
+  background: #f5f5f5;
+  border-bottom: 1px solid #ddd;
+  flex-shrink: 0;
+  font-size: 14px;
+`;
+
+const ToolbarSelect = styled.select`
+  padding: 5px;
+  font-size: 14px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+`;
+
+const ToolbarButton = styled.button`
+  padding: 5px 12px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  background: #ffffff;
+  cursor: pointer;
+`;
+
+const HeaderToggle = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 5px;
+  cursor: pointer;
+`;
+
+const RowCount = styled.span`
+  margin-left: auto;
+  color: #666;
+`;
+
+const FileDetails = styled.span`
+  color: #666;
+`;
+
+const Warnings = styled.details`
+  padding: 6px 10px;
+  background: #fff8e1;
+  border-bottom: 1px solid #f0d58c;
+  color: #6d4c00;
+  font-size: 13px;
+  flex-shrink: 0;
+
+  summary {
+    cursor: pointer;
+  }
+
+  ul {
+    margin: 6px 0 0;
+    padding-left: 20px;
+    max-height: 120px;
+    overflow-y: auto;
+  }
+`;
+
+// Parse warnings listed before the rest are summarized as a count
+const MAX_WARNINGS_SHOWN = 50;
+
+const GridWrapper = styled.div`
+  flex: 1;
+  min-height: 0;
+  position: relative;
+`;
+
+// Builds column headers from the first row, or names every column by position when the
+// first row is data. Blank headers are named by position too.
+const toTable = (rows, firstRowIsHeader) => {
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const headerRow = (firstRowIsHeader && rows[0]) || [];
+  const headers = Array.from({ length: columnCount }, (_, index) => {
+    const header = headerRow[index] === undefined || headerRow[index] === null ? '' : String(headerRow[index]).trim();
+    return header || `Column ${index + 1}`;
+  });
+  // Handsontable expects every row to have the same number of cells
+  const data = rows.slice(firstRowIsHeader ? 1 : 0).map((row) =>
+    row.length === columnCount ? row : [...row, ...Array(columnCount - row.length).fill('')]
+  );
+  return { headers, data };
+};
+
+const sheetToOpen = (sheets, name) => (sheets.some((sheet) => sheet.name === name) ? name : sheets[0]?.name);
+
+const toTsv = (rows) =>
+  rows.map((row) => row.map((cell) => String(cell ?? '').replace(/[\t\n\r]+/g, ' ')).join('\t')).join('\n');
+
+// Kept out of SpreadsheetGrid's re-renders: HotTable passes every prop to updateSettings
+// on update, and reloading the data would drop the sort order and filters
+const Grid = memo(({ gridRef, headers, data, colWidths, onInit, onFilter }) => (
+  <HotTable
+    ref={gridRef}
+    themeName="ht-theme-main"
+    data={data}
+    colHeaders={headers.map(escapeHtml)}
+    colWidths={colWidths}
+    rowHeaders
+    readOnly
+    width="100%"
+    height="100%"
+    stretchH="all"
+    columnSorting
+    filters
+    dropdownMenu={['filter_by_condition', 'filter_operators', 'filter_by_condition2', 'filter_by_value', 'filter_action_bar']}
+    contextMenu={['copy', 'copy_with_column_headers']}
+    copyPaste={{ copyColumnHeaders: true }}
+    manualColumnResize
+    search
+    autoWrapRow
+    autoWrapCol
+    afterInit={function afterInit() {
+      onInit(this);
+    }}
+    afterFilter={function afterFilter() {
+      onFilter(this);
+    }}
+    beforeCopy={(rows, ranges, { columnHeadersCount }) => {
+      // Copied header rows hold the escaped text given to colHeaders
+      for (let row = 0; row < columnHeadersCount; row += 1) rows[row] = rows[row].map(unescapeHtml);
+    }}
+    licenseKey="non-commercial-and-evaluation"
+  />
+));
+
+// Virtualized, read-only grid for spreadsheet and CSV data. sheets is a list of
+// { name, rows } where rows are arrays of cell values, by default with the headers in the
+// first row. Sort order, filters, column widths and scroll position are kept per sheet.
+// details ({ delimiter, encoding }) and warnings describe how a CSV file was parsed.
+// The ref gets the find bar's search interface, which searches the active sheet.
+// initialSheet names the sheet to open with, such as one restored from a workspace, and
+// onSheetChange is told when the user picks another.
+const SpreadsheetGrid = forwardRef(({ sheets, details, warnings = [], initialSheet, onSheetChange }, ref) => {
+  // Read when a new workbook arrives, not whenever the parent passes a new name
+  const initialSheetRef = useRef(initialSheet);
+  initialSheetRef.current = initialSheet;
+  const [activeSheet, setActiveSheet] = useState(() => sheetToOpen(sheets, initialSheet));
+  const [firstRowIsHeader, setFirstRowIsHeader] = useState(true);
+  const [visibleRows, setVisibleRows] = useState(null);
+  const hotRef = useRef(null);
+  const sheetStates = useRef({});
+  const searchResultsRef = useRef([]);
+
+  // A new workbook starts from its first (or initial) sheet with no saved state
+  useEffect(() => {
+    sheetStates.current = {};
+    setActiveSheet(sheetToOpen(sheets, initialSheetRef.current));
+    setFirstRowIsHeader(true);
+    setVisibleRows(null);
+  }, [sheets]);
+
+  const sheet = sheets.find((candidate) => candidate.name === activeSheet) || sheets[0];
+  const { headers, data } = useMemo(() => toTable(sheet?.rows || [], firstRowIsHeader), [sheet, firstRowIsHeader]);
+
+  const getHot = () => {
+    const hot = hotRef.current?.hotInstance;
+    return hot && !hot.isDestroyed ? hot : null;
+  };
+
+  const saveSheetState = () => {
+    const hot = getHot();
+    if (!hot) return;
+    const sortConfig = hot.getPlugin('columnSorting').getSortConfig();
+    sheetStates.current[sheet.name] = {
+      sortConfig: sortConfig.length ? sortConfig : null,
+      conditions: hot.getPlugin('filters').exportConditions(),
+      columnWidths: headers.map((_, index) => hot.getColWidth(index)),
+      row: hot.getFirstFullyVisibleRow(),
+      col: hot.getFirstFullyVisibleColumn(),
+    };
+  };
+
+  const handleSheetChange = (e) => {
+    saveSheetState();
+    searchResultsRef.current = [];
+    setVisibleRows(null);
+    setActiveSheet(e.target.value);
+    onSheetChange?.(e.target.value);
+  };
+
+  // Filters by value would hide the former header row, so only they are dropped
+  const handleHeaderToggle = (e) => {
+    saveSheetState();
+    if (sheetStates.current[sheet.name]) sheetStates.current[sheet.name].conditions = [];
+    searchResultsRef.current = [];
+    setVisibleRows(null);
+    setFirstRowIsHeader(e.target.checked);
+  };
+
+  // Runs as a Handsontable hook, before the HotTable ref is populated
+  const restoreSheetState = useCallback(
+    (hot) => {
+      const saved = sheetStates.current[sheet.name];
+      if (!saved) return;
+      if (saved.conditions.length) {
+        const filters = hot.getPlugin('filters');
+        filters.importConditions(saved.conditions);
+        filters.filter();
+      }
+      if (saved.sortConfig) hot.getPlugin('columnSorting').sort(saved.sortConfig);
+      if (saved.row !== null || saved.col !== null) {
+        hot.scrollViewportTo({ row: saved.row ?? 0, col: saved.col ?? 0, verticalSnap: 'top', horizontalSnap: 'start' });
+      }
+    },
+    [sheet]
+  );
+
+  const updateVisibleRows = useCallback((hot) => setVisibleRows(hot.countRows()), []);
+
+  // A cell counts as one match however often the pattern occurs in it. Results are in
+  // visual coordinates, so they follow the current sort order and filters.
+  useImperativeHandle(
+    ref,
+    () => {
+      const runQuery = (matcher) => {
+        const hot = hotRef.current?.hotInstance;
+        if (!hot || hot.isDestroyed) return [];
+        const results = hot
+          .getPlugin('search')
+          .query(String(matcher), undefined, (query, value) => Boolean(matcher) && findMatches(String(value ?? ''), matcher).length > 0);
+        hot.render();
+        return results;
+      };
+      return {
+        search: async (matcher) => {
+          searchResultsRef.current = runQuery(matcher);
+          return searchResultsRef.current.length;
+        },
+        showMatch: (index) => {
+          const hot = hotRef.current?.hotInstance;
+          const result = searchResultsRef.current[index];
+          if (hot && !hot.isDestroyed && result) hot.selectCell(result.row, result.col);
+        },
+        clearSearch: () => {
+          runQuery(null);
+          searchResultsRef.current = [];
+        },
+      };
+    },
+    []
+  );
+
+  const copyAll = async () => {
+    const hot = getHot();
+    if (!hot) return;
+    // getData() follows the current sort order and leaves out filtered rows
+    try {
+      await navigator.clipboard.writeText(toTsv([headers, ...hot.getData()]));
+    } catch (err) {
+      console.error('Error copying grid to clipboard:', err);
+    }
+  };
+
+  if (!sheet) return null;
+  const savedWidths = sheetStates.current[sheet.name]?.columnWidths;
+
+  return (
+    <Container>
+      <Toolbar>
+        {sheets.length > 1 && (
+          <ToolbarSelect value={sheet.name} onChange={handleSheetChange} aria-label="Sheet">
+            {sheets.map(({ name }) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </ToolbarSelect>
+        )}
+        <HeaderToggle>
+          <input type="checkbox" checked={firstRowIsHeader} onChange={handleHeaderToggle} />
+          First row is header
+        </HeaderToggle>
+        <ToolbarButton onClick={copyAll} title="Copy the visible rows, with headers, as tab-separated text">
+          Copy All
+        </ToolbarButton>
+        {details && (
+          <FileDetails>
+            {`${DELIMITER_NAMES[details.delimiter] || `"${details.delimiter}"`}-separated, ${encodingName(details.encoding)}`}
+          </FileDetails>
+        )}
+        <RowCount>
+          {visibleRows !== null && visibleRows !== data.length
+            ? `${visibleRows.toLocaleString()} of ${data.length.toLocaleString()} rows`
+            : `${data.length.toLocaleString()} rows`}
+        </RowCount>
+      </Toolbar>
+      {warnings.length > 0 && (
+        <Warnings>
+          <summary>
+            {warnings.length === 1 ? '1 problem' : `${warnings.length.toLocaleString()} problems`} found while reading the
+            file; affected rows may be shown incorrectly
+          </summary>
+          <ul>
+            {warnings.slice(0, MAX_WARNINGS_SHOWN).map((warning, index) => (
+              <li key={index}>{warning}</li>
+            ))}
+            {warnings.length > MAX_WARNINGS_SHOWN && (
+              <li>{`…and ${(warnings.length - MAX_WARNINGS_SHOWN).toLocaleString()} more`}</li>
+            )}
+          </ul>
+        </Warnings>
+      )}
+      <GridWrapper>
+        <Grid
+          key={`${sheet.name}:${firstRowIsHeader}`}
+          gridRef={hotRef}
+          headers={headers}
+          data={data}
+          colWidths={savedWidths}
+          onInit={restoreSheetState}
+          onFilter={updateVisibleRows}
+        />
+      </GridWrapper>
+    </Container>
+  );
+});
+
+export default SpreadsheetGrid;
@@ -0,0 +1,244 @@
+import React, { useState, useRef } from 'react';
+import styled from 'styled-components';
+import {
+  listWorkspaces,
+  saveWorkspace,
+  renameWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  exportWorkspaces,
+  importWorkspaces,
+} from '../services/workspaces';
+
+const Panel = styled.div`
+  margin-bottom: 10px;
+  padding: 8px;
+  background: #f1f3f4;
+  border-radius: 8px;
+  font-size: 14px;
+  flex-shrink: 0;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+
+const TextInput = styled.input`
+  width: 220px;
+  padding: 6px 10px;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  font-size: 14px;
+`;
+
+const PanelButton = styled.button`
+  padding: 5px 10px;
+  border: 1px solid #ccc;
+  border-radius: 6px;
+  background: #ffffff;
+  color: ${(props) => (props.danger ? '#d93025' : '#202124')};
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    opacity: 0.5;
+  }
+`;
+
+const List = styled.ul`
+  list-style: none;
+  margin: 8px 0 0;
+  padding: 0;
+  max-height: 180px;
+  overflow-y: auto;
+`;
+
+const Item = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 5px 4px;
+  border-top: 1px solid #dadce0;
+`;
+
+const ItemName = styled.span`
+  font-weight: 600;
+`;
+
+const Details = styled.span`
+  flex: 1;
+  color: #5f6368;
+`;
+
+const Status = styled.span`
+  color: ${(props) => (props.error ? '#d93025' : '#5f6368')};
+`;
+
+const LAYOUT_NAMES = { horizontal: 'side by side', vertical: 'stacked', grid: 'grid' };
+
+const describeWorkspace = (workspace) => {
+  const loaded = workspace.panes.filter((pane) => pane.source.type !== 'empty').length;
+  const saved = new Date(workspace.updatedAt).toLocaleString();
+  return `${workspace.panes.length} panes ${LAYOUT_NAMES[workspace.layout] || ''}, ${loaded} loaded · saved ${saved}`;
+};
+
+const downloadJson = (text, fileName) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const safeFileName = (name) => name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'workspace';
+
+// Lists the named workspaces saved in this browser. captureWorkspace() returns the current
+// setup to save; onOpen(workspace) restores one.
+const WorkspacePanel = ({ captureWorkspace, onOpen, onClose }) => {
+  const [workspaces, setWorkspaces] = useState(listWorkspaces);
+  const [name, setName] = useState('');
+  // { id, name } of the workspace being renamed
+  const [renaming, setRenaming] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Storage can be full or the browser can refuse it; the list stays as it was
+  const update = (change, success) => {
+    try {
+      setWorkspaces(change());
+      setMessage(success ? { text: success } : null);
+    } catch (err) {
+      console.error('Error saving workspaces:', err);
+      setMessage({ text: `Could not save: ${err.message}`, error: true });
+    }
+  };
+
+  const saveCurrent = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    update(() => saveWorkspace({ ...captureWorkspace(), id: null, name: trimmed }), `Saved "${trimmed}"`);
+    setName('');
+  };
+
+  const overwrite = (workspace) => {
+    update(() => saveWorkspace({ ...captureWorkspace(), id: workspace.id, name: workspace.name }), `Updated "${workspace.name}"`);
+  };
+
+  const finishRename = () => {
+    const trimmed = renaming.name.trim();
+    if (trimmed) update(() => renameWorkspace(renaming.id, trimmed));
+    setRenaming(null);
+  };
+
+  const remove = (workspace) => {
+    if (!window.confirm(`Delete the workspace "${workspace.name}"?`)) return;
+    update(() => deleteWorkspace(workspace.id), `Deleted "${workspace.name}"`);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const before = workspaces.length;
+      const next = importWorkspaces(await file.text());
+      setWorkspaces(next);
+      const count = next.length - before;
+      setMessage({ text: `Imported ${count} ${count === 1 ? 'workspace' : 'workspaces'}` });
+    } catch (err) {
+      console.error('Error importing workspaces:', err);
+      setMessage({ text: `Could not import ${file.name}: ${err.message}`, error: true });
+    }
+  };
+
+  return (
+    <Panel role="region" aria-label="Workspaces">
+      <Row>
+        <TextInput
+          type="text"
+          placeholder="Name for the current setup"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') saveCurrent();
+          }}
+          aria-label="Workspace name"
+        />
+        <PanelButton onClick={saveCurrent} disabled={!name.trim()}>
+          Save Workspace
+        </PanelButton>
+        <PanelButton onClick={() => fileInputRef.current.click()} title="Add workspaces from an exported JSON file">
+          Import...
+        </PanelButton>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        <PanelButton
+          onClick={() => downloadJson(exportWorkspaces(workspaces), 'workspaces.json')}
+          disabled={!workspaces.length}
+          title="Download all workspaces as JSON. Uploaded files are not included."
+        >
+          Export All
+        </PanelButton>
+        {message && <Status error={message.error}>{message.text}</Status>}
+        <PanelButton onClick={onClose} title="Close" style={{ marginLeft: 'auto' }}>
+          ✕
+        </PanelButton>
+      </Row>
+      {workspaces.length === 0 ? (
+        <Status as="p" style={{ margin: '8px 0 0' }}>
+          No saved workspaces yet. Your current session is saved automatically.
+        </Status>
+      ) : (
+        <List>
+          {workspaces.map((workspace) => (
+            <Item key={workspace.id}>
+              {renaming?.id === workspace.id ? (
+                <TextInput
+                  type="text"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onBlur={finishRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishRename();
+                    if (e.key === 'Escape') {
+                      // Cancels the rename without closing the dialog
+                      e.preventDefault();
+                      setRenaming(null);
+                    }
+                  }}
+                  aria-label={`New name for ${workspace.name}`}
+                  autoFocus
+                />
+              ) : (
+                <ItemName>{workspace.name}</ItemName>
+              )}
+              <Details>{describeWorkspace(workspace)}</Details>
+              <PanelButton onClick={() => onOpen(workspace)}>Open</PanelButton>
+              <PanelButton onClick={() => overwrite(workspace)} title="Replace this workspace with the current setup">
+                Update
+              </PanelButton>
+              <PanelButton onClick={() => setRenaming({ id: workspace.id, name: workspace.name })}>Rename</PanelButton>
+              <PanelButton onClick={() => update(() => duplicateWorkspace(workspace.id), `Duplicated "${workspace.name}"`)}>
+                Duplicate
+              </PanelButton>
+              <PanelButton
+                onClick={() => downloadJson(exportWorkspaces([workspace]), `${safeFileName(workspace.name)}.json`)}
+                title="Download this workspace as JSON"
+              >
+                Export
+              </PanelButton>
+              <PanelButton danger onClick={() => remove(workspace)}>
+                Delete
+              </PanelButton>
+            </Item>
+          ))}
+        </List>
+      )}
+    </Panel>
+  );
+};
+
+export default WorkspacePanel;
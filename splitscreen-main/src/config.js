@@ -0,0 +1,12 @@
+// Client configuration. The API base URL is resolved from, in order: runtime config in
+// public/config.js (editable after a build), REACT_APP_API_BASE_URL at build time, and
+// the local proxy server default.
+const runtimeConfig = window.__APP_CONFIG__ || {};
+
+export const API_BASE_URL = (
+  runtimeConfig.apiBaseUrl ||
+  process.env.REACT_APP_API_BASE_URL ||
+  'http://localhost:5001'
+).replace(/\/+$/, '');
+
+export const apiUrl = (path) => `${API_BASE_URL}${path.startsWith('/') ? path : `/${path}`}`;
@@ -3,7 +3,7 @@ export const msalConfig = {
   auth: {
     clientId: "268682723072-vpvr0q9dri3jdis5pl5be4b2fva5vdqp.apps.googleusercontent.com",
     authority: "https://login.microsoftonline.com/common",
-    redirectUri: "http://localhost:3001 ",
+    redirectUri: window.location.origin,
   },
   cache: {
     cacheLocation: "sessionStorage",
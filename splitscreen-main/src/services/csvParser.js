@@ -0,0 +1,79 @@
+import Papa from 'papaparse';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+export const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+const ENCODING_NAMES = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252',
+};
+
+export const encodingName = (encoding) => ENCODING_NAMES[encoding] || encoding.toUpperCase();
+
+// charset parameter of a Content-Type header, if any
+export const charsetOf = (contentType = '') => contentType.match(/charset="?([^";\s]+)/i)?.[1].toLowerCase() || null;
+
+const isSupportedEncoding = (label) => {
+  try {
+    new TextDecoder(label);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Picks the text encoding of a file: a byte order mark wins, then the zero-byte pattern
+// of BOM-less UTF-16, then valid UTF-8, then the declared charset, else Windows-1252
+// (which is what Excel writes on Western systems)
+export const detectEncoding = (bytes, declaredCharset) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: 'utf-8', bomLength: 3 };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: 'utf-16le', bomLength: 2 };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: 'utf-16be', bomLength: 2 };
+
+  const sample = bytes.subarray(0, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((byte, index) => {
+    if (byte !== 0) return;
+    if (index % 2 === 0) evenZeros += 1;
+    else oddZeros += 1;
+  });
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.3 && evenZeros < oddZeros / 10) return { encoding: 'utf-16le', bomLength: 0 };
+  if (evenZeros > half * 0.3 && oddZeros < evenZeros / 10) return { encoding: 'utf-16be', bomLength: 0 };
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return { encoding: 'utf-8', bomLength: 0 };
+  } catch (err) {
+    // Not UTF-8; fall through to single-byte encodings
+  }
+  if (declaredCharset && !declaredCharset.startsWith('utf') && isSupportedEncoding(declaredCharset)) {
+    return { encoding: declaredCharset, bomLength: 0 };
+  }
+  return { encoding: 'windows-1252', bomLength: 0 };
+};
+
+// Parses a CSV or other delimited text file. Returns the rows as arrays of strings along
+// with the detected delimiter and encoding, and Papa Parse's warnings in readable form.
+export const parseCsv = (buffer, { charset } = {}) => {
+  const bytes = new Uint8Array(buffer);
+  const { encoding, bomLength } = detectEncoding(bytes, charset);
+  const text = new TextDecoder(encoding).decode(bytes.subarray(bomLength));
+
+  const result = Papa.parse(text, {
+    header: false,
+    delimiter: '',
+    delimitersToGuess: DELIMITERS,
+    skipEmptyLines: 'greedy',
+  });
+
+  // A file with a single column has no delimiter to detect, which is not a problem
+  const warnings = result.errors
+    .filter((error) => error.code !== 'UndetectableDelimiter')
+    .map((error) => (error.row === undefined ? error.message : `Row ${error.row + 1}: ${error.message}`));
+  return { rows: result.data, delimiter: result.meta.delimiter, encoding, warnings };
+};
@@ -0,0 +1,101 @@
+import { charsetOf, detectEncoding, encodingName, parseCsv } from './csvParser';
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+const utf16 = (text, { bigEndian = false, bom = false } = {}) => {
+  const units = [...(bom ? [0xfeff] : []), ...Array.from(text, (char) => char.charCodeAt(0))];
+  const bytes = new Uint8Array(units.length * 2);
+  units.forEach((unit, index) => {
+    bytes[index * 2 + (bigEndian ? 1 : 0)] = unit & 0xff;
+    bytes[index * 2 + (bigEndian ? 0 : 1)] = unit >> 8;
+  });
+  return bytes;
+};
+
+describe('parseCsv', () => {
+  it.each([
+    ['comma', ','],
+    ['semicolon', ';'],
+    ['tab', '\t'],
+    ['pipe', '|'],
+  ])('detects %s-separated values', (name, delimiter) => {
+    const text = [['name', 'city', 'amount'], ['Ann', 'Oslo', '1,5'], ['Bob', 'Rome', '2']]
+      .map((row) => row.map((cell) => (cell.includes(delimiter) ? `"${cell}"` : cell)).join(delimiter))
+      .join('\n');
+    const { rows, delimiter: detected, warnings } = parseCsv(utf8(text).buffer);
+    expect(detected).toBe(delimiter);
+    expect(rows).toEqual([['name', 'city', 'amount'], ['Ann', 'Oslo', '1,5'], ['Bob', 'Rome', '2']]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('reads a single column without warning about the delimiter', () => {
+    const { rows, warnings } = parseCsv(utf8('name\nAnn\nBob').buffer);
+    expect(rows).toEqual([['name'], ['Ann'], ['Bob']]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('keeps ragged rows as they are and skips blank lines', () => {
+    const { rows, warnings } = parseCsv(utf8('a,b,c\n1,2\n\n1,2,3,4\n').buffer);
+    expect(rows).toEqual([['a', 'b', 'c'], ['1', '2'], ['1', '2', '3', '4']]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('reports malformed quoting with its row number', () => {
+    const { rows, warnings } = parseCsv(utf8('a,b\n1,"unterminated\n').buffer);
+    expect(rows[0]).toEqual(['a', 'b']);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatch(/^Row 2: /);
+  });
+
+  it('drops a UTF-8 byte order mark', () => {
+    const { rows, encoding } = parseCsv(new Uint8Array([0xef, 0xbb, 0xbf, ...utf8('näme,x\n1,2')]).buffer);
+    expect(encoding).toBe('utf-8');
+    expect(rows[0]).toEqual(['näme', 'x']);
+  });
+
+  it.each([
+    ['UTF-16 LE with a BOM', { bom: true }, 'utf-16le'],
+    ['UTF-16 BE with a BOM', { bom: true, bigEndian: true }, 'utf-16be'],
+    ['UTF-16 LE without a BOM', {}, 'utf-16le'],
+    ['UTF-16 BE without a BOM', { bigEndian: true }, 'utf-16be'],
+  ])('decodes %s', (name, options, expected) => {
+    const { rows, encoding } = parseCsv(utf16('name;city\nRenée;Zürich', options).buffer);
+    expect(encoding).toBe(expected);
+    expect(rows).toEqual([['name', 'city'], ['Renée', 'Zürich']]);
+  });
+
+  it('falls back to Windows-1252 for bytes that are not UTF-8', () => {
+    // "Café;10" as Excel writes it on Western systems
+    const bytes = new Uint8Array([...utf8('Caf'), 0xe9, ...utf8(';10')]);
+    const { rows, encoding } = parseCsv(bytes.buffer);
+    expect(encoding).toBe('windows-1252');
+    expect(rows).toEqual([['Café', '10']]);
+  });
+
+  it('prefers a declared single-byte charset over the Windows-1252 guess', () => {
+    const bytes = new Uint8Array([...utf8('a,'), 0xe6]);
+    expect(parseCsv(bytes.buffer, { charset: 'iso-8859-7' }).rows).toEqual([['a', 'ζ']]);
+  });
+});
+
+describe('detectEncoding', () => {
+  it('trusts valid UTF-8 over a declared charset', () => {
+    expect(detectEncoding(utf8('näme'), 'windows-1252')).toEqual({ encoding: 'utf-8', bomLength: 0 });
+  });
+});
+
+describe('charsetOf', () => {
+  it('reads the charset parameter of a content type', () => {
+    expect(charsetOf('text/csv; charset="ISO-8859-1"')).toBe('iso-8859-1');
+    expect(charsetOf('text/csv;charset=utf-8')).toBe('utf-8');
+    expect(charsetOf('text/csv')).toBeNull();
+    expect(charsetOf()).toBeNull();
+  });
+});
+
+describe('encodingName', () => {
+  it('names known encodings and upper-cases others', () => {
+    expect(encodingName('utf-16le')).toBe('UTF-16 LE');
+    expect(encodingName('iso-8859-7')).toBe('ISO-8859-7');
+  });
+});
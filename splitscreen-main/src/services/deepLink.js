@@ -0,0 +1,87 @@
+// Links that open the split screen in a given state. The state is kept in the app URL's
+// hash, for example
+//   #left=https%3A%2F%2Fexample.com%2Fa.pdf&rightPatent=US7654321B2&layout=vertical&split=30,70&sync=1
+// Each pane has a URL parameter (left, right, pane3, pane4) or a patent parameter (leftPatent,
+// rightPatent, pane3Patent, pane4Patent). panes sets the number of panes, split the pane sizes
+// in percent (the column and row split for the grid layout) and sync=1 turns on synced
+// scrolling. Links are parsed into the workspace shape described in workspaces.js.
+
+const PANE_PARAMS = ['left', 'right', 'pane3', 'pane4'];
+const MIN_PANES = 2;
+
+const parseSplit = (value, layout, count) => {
+  const numbers = (value || '')
+    .split(',')
+    .map(Number)
+    .filter((number) => Number.isFinite(number) && number > 0);
+  if (layout === 'grid') {
+    const [x, y = 50] = numbers;
+    return { sizes: null, grid: x && x < 100 && y < 100 ? { x, y } : null };
+  }
+  if (numbers.length !== count) return { sizes: null, grid: null };
+  const total = numbers.reduce((sum, number) => sum + number, 0);
+  return { sizes: numbers.map((number) => (number / total) * 100), grid: null };
+};
+
+// Returns null when the hash holds no split-screen state
+export const parseDeepLink = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const sources = PANE_PARAMS.map((name) => {
+    const patent = params.get(`${name}Patent`)?.trim();
+    if (patent) return { type: 'patent', number: patent };
+    const url = params.get(name)?.trim();
+    // Anything but web addresses could make the proxy or the browser do something unexpected
+    if (url && /^https?:\/\//i.test(url)) return { type: 'url', url };
+    return { type: 'empty' };
+  });
+  const lastLoaded = sources.reduce((last, source, index) => (source.type === 'empty' ? last : index), -1);
+  const requested = Number.parseInt(params.get('panes'), 10);
+  if (lastLoaded === -1 && !requested) return null;
+
+  const count = Math.min(PANE_PARAMS.length, Math.max(MIN_PANES, lastLoaded + 1, requested || 0));
+  const layout = params.get('layout') || 'horizontal';
+  return {
+    layout,
+    screenMode: 'all',
+    splits: parseSplit(params.get('split'), layout, count),
+    syncScroll: params.get('sync') === '1',
+    isolatePages: false,
+    panes: sources.slice(0, count).map((source) => ({ source, position: null, sheet: null })),
+  };
+};
+
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
+// Uploaded files only exist in this browser, so panes showing one are left out
+export const buildDeepLinkHash = ({ layout, splits, syncScroll, panes }) => {
+  const params = new URLSearchParams();
+  panes.forEach(({ source }, index) => {
+    if (source.type === 'url') params.set(PANE_PARAMS[index], source.url);
+    if (source.type === 'patent') params.set(`${PANE_PARAMS[index]}Patent`, source.number);
+  });
+  params.set('panes', panes.length);
+  if (layout !== 'horizontal') params.set('layout', layout);
+  const split = layout === 'grid' ? [splits.grid?.x ?? 50, splits.grid?.y ?? 50] : splits.sizes || [];
+  const even = layout === 'grid' ? 50 : 100 / panes.length;
+  if (split.some((value) => Math.abs(value - even) > 0.05)) params.set('split', split.map(roundPercent).join(','));
+  if (syncScroll) params.set('sync', '1');
+  return params.toString();
+};
+
+export const buildDeepLink = (workspace) =>
+  `${window.location.origin}${window.location.pathname}#${buildDeepLinkHash(workspace)}`;
+
+// Whether two hashes show the same documents in the same arrangement, differing at most in
+// how the panes are sized. Resizing replaces the browser history entry instead of adding one.
+// Both are rebuilt first, so a link written by hand (without panes=, with its parameters in
+// another order) matches the view it opened.
+export const isSameView = (hash, otherHash) => {
+  const normalized = (value) => {
+    const workspace = parseDeepLink(value);
+    if (!workspace) return '';
+    const params = new URLSearchParams(buildDeepLinkHash(workspace));
+    params.delete('split');
+    return params.toString();
+  };
+  return normalized(hash) === normalized(otherHash);
+};
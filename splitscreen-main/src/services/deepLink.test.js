@@ -0,0 +1,121 @@
+import { buildDeepLinkHash, isSameView, parseDeepLink } from './deepLink';
+
+const view = (overrides = {}) => ({
+  layout: 'horizontal',
+  screenMode: 'all',
+  splits: { sizes: null, grid: null },
+  syncScroll: false,
+  isolatePages: false,
+  panes: [
+    { source: { type: 'url', url: 'https://example.com/a.pdf?page=2&x=1' }, position: null, sheet: null },
+    { source: { type: 'patent', number: 'US7654321B2' }, position: null, sheet: null },
+  ],
+  ...overrides,
+});
+
+const paneSources = (workspace) => workspace.panes.map((pane) => pane.source);
+
+describe('buildDeepLinkHash and parseDeepLink', () => {
+  it('round-trip a view with URL and patent panes', () => {
+    const original = view({ syncScroll: true });
+    const hash = buildDeepLinkHash(original);
+    expect(hash).toBe('left=https%3A%2F%2Fexample.com%2Fa.pdf%3Fpage%3D2%26x%3D1&rightPatent=US7654321B2&panes=2&sync=1');
+    expect(parseDeepLink(`#${hash}`)).toEqual(original);
+  });
+
+  it('round-trip uneven split sizes and a grid split', () => {
+    const linear = view({ layout: 'vertical', splits: { sizes: [30, 70], grid: null } });
+    expect(parseDeepLink(buildDeepLinkHash(linear))).toEqual(linear);
+    const grid = view({
+      layout: 'grid',
+      splits: { sizes: null, grid: { x: 40, y: 60 } },
+      panes: [...view().panes, { source: { type: 'empty' }, position: null, sheet: null }],
+    });
+    expect(parseDeepLink(buildDeepLinkHash(grid))).toEqual(grid);
+  });
+
+  it('leave out even splits and uploaded files', () => {
+    const hash = buildDeepLinkHash(
+      view({
+        splits: { sizes: [50, 50], grid: null },
+        panes: [
+          { source: { type: 'upload', id: 'abc', name: 'local.pdf' }, position: null, sheet: null },
+          { source: { type: 'url', url: 'https://example.com/' }, position: null, sheet: null },
+        ],
+      })
+    );
+    expect(hash).toBe('right=https%3A%2F%2Fexample.com%2F&panes=2');
+    expect(paneSources(parseDeepLink(hash))).toEqual([{ type: 'empty' }, { type: 'url', url: 'https://example.com/' }]);
+  });
+});
+
+describe('parseDeepLink', () => {
+  it('returns null for a hash without split-screen state', () => {
+    expect(parseDeepLink('')).toBeNull();
+    expect(parseDeepLink('#section-2')).toBeNull();
+  });
+
+  it('sizes a hand-written link without panes= by its last loaded pane', () => {
+    expect(paneSources(parseDeepLink('#left=https://a.example.com/'))).toEqual([
+      { type: 'url', url: 'https://a.example.com/' },
+      { type: 'empty' },
+    ]);
+    expect(parseDeepLink('#pane3Patent=EP1234567A1').panes).toHaveLength(3);
+  });
+
+  it('opens the requested number of empty panes, within the limits', () => {
+    expect(parseDeepLink('#panes=3').panes).toHaveLength(3);
+    expect(parseDeepLink('#panes=9').panes).toHaveLength(4);
+    expect(parseDeepLink('#pane4=https://example.com/&panes=2').panes).toHaveLength(4);
+  });
+
+  it('accepts only http and https URLs', () => {
+    const workspace = parseDeepLink(
+      '#left=javascript:alert(1)&right=file:///etc/passwd&pane3=data:text/html,hi&pane4=HTTPS://EXAMPLE.COM/'
+    );
+    expect(paneSources(workspace)).toEqual([
+      { type: 'empty' },
+      { type: 'empty' },
+      { type: 'empty' },
+      { type: 'url', url: 'HTTPS://EXAMPLE.COM/' },
+    ]);
+    expect(parseDeepLink('#left=javascript:alert(1)')).toBeNull();
+  });
+
+  it('prefers a patent over a URL for the same pane', () => {
+    expect(paneSources(parseDeepLink('#left=https://example.com/&leftPatent=US1B1'))[0]).toEqual({ type: 'patent', number: 'US1B1' });
+  });
+
+  it('scales linear split sizes to percentages and ignores a count that does not match', () => {
+    expect(parseDeepLink('#left=https://a.example.com/&panes=3&split=1,1,2').splits).toEqual({ sizes: [25, 25, 50], grid: null });
+    expect(parseDeepLink('#left=https://a.example.com/&split=30,70,10').splits).toEqual({ sizes: null, grid: null });
+    expect(parseDeepLink('#left=https://a.example.com/&split=30,-70').splits).toEqual({ sizes: null, grid: null });
+  });
+
+  it('reads the grid split as column and row percentages', () => {
+    const grid = (split) => parseDeepLink(`#panes=4&layout=grid&split=${split}`).splits;
+    expect(grid('30,70')).toEqual({ sizes: null, grid: { x: 30, y: 70 } });
+    expect(grid('30')).toEqual({ sizes: null, grid: { x: 30, y: 50 } });
+    expect(grid('130,50')).toEqual({ sizes: null, grid: null });
+    expect(grid('abc')).toEqual({ sizes: null, grid: null });
+  });
+});
+
+describe('isSameView', () => {
+  it('matches a hand-written link to the view it opened', () => {
+    const opened = buildDeepLinkHash(parseDeepLink('#left=https://a.example.com/&right=https://b.example.com/&sync=1'));
+    expect(isSameView('#sync=1&right=https://b.example.com/&left=https://a.example.com/', opened)).toBe(true);
+  });
+
+  it('ignores the split sizes but not the documents or layout', () => {
+    const hash = '#left=https://a.example.com/&right=https://b.example.com/';
+    expect(isSameView(hash, `${hash}&split=30,70`)).toBe(true);
+    expect(isSameView(hash, `${hash}&layout=vertical`)).toBe(false);
+    expect(isSameView(hash, '#left=https://a.example.com/&right=https://c.example.com/')).toBe(false);
+  });
+
+  it('treats hashes without split-screen state as the same view', () => {
+    expect(isSameView('', '#section-2')).toBe(true);
+    expect(isSameView('', '#left=https://a.example.com/')).toBe(false);
+  });
+});
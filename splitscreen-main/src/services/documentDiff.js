@@ -0,0 +1,117 @@
+import { diffArrays, diffWords } from 'diff';
+
+// Paragraphs whose words overlap at least this much are shown as one edited paragraph,
+// anything less as a deleted paragraph and an inserted one
+const MIN_SIMILARITY = 0.4;
+
+const normalize = (paragraph) => paragraph.replace(/\s+/g, ' ').trim();
+
+const similarity = (parts, left, right) => {
+  const unchanged = parts.filter((part) => !part.added && !part.removed).reduce((total, part) => total + part.value.length, 0);
+  return unchanged / Math.max(left.length, right.length, 1);
+};
+
+// Compares two documents given as arrays of paragraphs. Paragraphs are aligned first, then
+// edited paragraph pairs are compared word by word. Each side gets a list of blocks to
+// render in place:
+//   { kind: 'equal' | 'removed' | 'added', text, changeId }
+//   { kind: 'modified', segments: [{ kind: 'equal' | 'removed' | 'added' | 'marker', text, changeId }] }
+//   { kind: 'marker', changeId } where the other side inserted or deleted a paragraph
+// Every change has a changeId (0..changeCount - 1) on both sides, so navigating to a
+// change can show it in both panes.
+export const compareDocuments = (leftParagraphs, rightParagraphs) => {
+  const left = [];
+  const right = [];
+  let changeCount = 0;
+
+  const addParagraphChange = (removed, added) => {
+    const changeId = changeCount;
+    changeCount += 1;
+    left.push(removed === undefined ? { kind: 'marker', changeId } : { kind: 'removed', text: removed, changeId });
+    right.push(added === undefined ? { kind: 'marker', changeId } : { kind: 'added', text: added, changeId });
+  };
+
+  // Runs of removed and/or added words with nothing unchanged between them form one change
+  const addModified = (parts) => {
+    const leftSegments = [];
+    const rightSegments = [];
+    let group = null;
+    const closeGroup = () => {
+      if (!group) return;
+      if (!group.removed) leftSegments.push({ kind: 'marker', text: '', changeId: group.changeId });
+      if (!group.added) rightSegments.push({ kind: 'marker', text: '', changeId: group.changeId });
+      group = null;
+    };
+
+    parts.forEach((part) => {
+      if (!part.added && !part.removed) {
+        closeGroup();
+        leftSegments.push({ kind: 'equal', text: part.value });
+        rightSegments.push({ kind: 'equal', text: part.value });
+        return;
+      }
+      if (!group) {
+        group = { changeId: changeCount, removed: false, added: false };
+        changeCount += 1;
+      }
+      if (part.removed) {
+        group.removed = true;
+        leftSegments.push({ kind: 'removed', text: part.value, changeId: group.changeId });
+      } else {
+        group.added = true;
+        rightSegments.push({ kind: 'added', text: part.value, changeId: group.changeId });
+      }
+    });
+    closeGroup();
+
+    left.push({ kind: 'modified', segments: leftSegments });
+    right.push({ kind: 'modified', segments: rightSegments });
+  };
+
+  const addReplacement = (removed, added) => {
+    for (let index = 0; index < Math.max(removed.length, added.length); index += 1) {
+      const before = removed[index];
+      const after = added[index];
+      if (before !== undefined && after !== undefined) {
+        const parts = diffWords(before, after);
+        if (similarity(parts, before, after) >= MIN_SIMILARITY) {
+          addModified(parts);
+        } else {
+          addParagraphChange(before, undefined);
+          addParagraphChange(undefined, after);
+        }
+      } else {
+        addParagraphChange(before, after);
+      }
+    }
+  };
+
+  const leftNormalized = leftParagraphs.map(normalize);
+  const rightNormalized = rightParagraphs.map(normalize);
+  const parts = diffArrays(leftNormalized, rightNormalized);
+
+  let pendingRemoved = [];
+  let pendingAdded = [];
+  const flush = () => {
+    addReplacement(pendingRemoved, pendingAdded);
+    pendingRemoved = [];
+    pendingAdded = [];
+  };
+
+  parts.forEach((part) => {
+    if (part.removed) {
+      pendingRemoved = pendingRemoved.concat(part.value);
+    } else if (part.added) {
+      pendingAdded = pendingAdded.concat(part.value);
+    } else {
+      flush();
+      part.value.forEach((text) => {
+        left.push({ kind: 'equal', text });
+        right.push({ kind: 'equal', text });
+      });
+    }
+  });
+  flush();
+
+  return { left, right, changeCount };
+};
@@ -0,0 +1,95 @@
+import { compareDocuments } from './documentDiff';
+
+// changeIds in the order they appear on one side, including those inside modified paragraphs
+const changeIdsOf = (blocks) =>
+  blocks.flatMap((block) =>
+    block.kind === 'modified'
+      ? block.segments.filter((segment) => segment.changeId !== undefined).map((segment) => segment.changeId)
+      : block.changeId !== undefined
+        ? [block.changeId]
+        : []
+  );
+
+describe('compareDocuments', () => {
+  it('finds no changes between equal documents, ignoring whitespace differences', () => {
+    const result = compareDocuments(['First  paragraph.', 'Second\nparagraph.'], ['First paragraph.', ' Second paragraph. ']);
+    expect(result.changeCount).toBe(0);
+    expect(result.left).toEqual([
+      { kind: 'equal', text: 'First paragraph.' },
+      { kind: 'equal', text: 'Second paragraph.' },
+    ]);
+    expect(result.right).toEqual(result.left);
+  });
+
+  it('shows an added paragraph on the right and a marker where it goes on the left', () => {
+    const result = compareDocuments(['One.', 'Three.'], ['One.', 'Two.', 'Three.']);
+    expect(result.changeCount).toBe(1);
+    expect(result.left[1]).toEqual({ kind: 'marker', changeId: 0 });
+    expect(result.right[1]).toEqual({ kind: 'added', text: 'Two.', changeId: 0 });
+  });
+
+  it('shows a removed paragraph on the left and a marker on the right', () => {
+    const result = compareDocuments(['One.', 'Two.', 'Three.'], ['One.', 'Three.']);
+    expect(result.changeCount).toBe(1);
+    expect(result.left[1]).toEqual({ kind: 'removed', text: 'Two.', changeId: 0 });
+    expect(result.right[1]).toEqual({ kind: 'marker', changeId: 0 });
+  });
+
+  it('compares an edited paragraph word by word', () => {
+    const result = compareDocuments(['The quick brown fox.'], ['The quick red fox.']);
+    expect(result.changeCount).toBe(1);
+    expect(result.left).toEqual([
+      {
+        kind: 'modified',
+        segments: [
+          { kind: 'equal', text: 'The quick ' },
+          { kind: 'removed', text: 'brown', changeId: 0 },
+          { kind: 'equal', text: ' fox.' },
+        ],
+      },
+    ]);
+    expect(result.right).toEqual([
+      {
+        kind: 'modified',
+        segments: [
+          { kind: 'equal', text: 'The quick ' },
+          { kind: 'added', text: 'red', changeId: 0 },
+          { kind: 'equal', text: ' fox.' },
+        ],
+      },
+    ]);
+  });
+
+  it('marks words inserted on one side at the same place on the other', () => {
+    const result = compareDocuments(['Keep this text.'], ['Keep all of this text.']);
+    const [leftBlock] = result.left;
+    const [rightBlock] = result.right;
+    expect(rightBlock.segments.find((segment) => segment.kind === 'added')).toEqual({ kind: 'added', text: 'all of ', changeId: 0 });
+    expect(leftBlock.segments.find((segment) => segment.kind === 'marker')).toEqual({ kind: 'marker', text: '', changeId: 0 });
+  });
+
+  it('splits paragraphs that share too little into a removal and an insertion', () => {
+    const result = compareDocuments(['Completely different words here.'], ['Nothing alike at all, really.']);
+    expect(result.changeCount).toBe(2);
+    expect(result.left).toEqual([
+      { kind: 'removed', text: 'Completely different words here.', changeId: 0 },
+      { kind: 'marker', changeId: 1 },
+    ]);
+    expect(result.right).toEqual([
+      { kind: 'marker', changeId: 0 },
+      { kind: 'added', text: 'Nothing alike at all, really.', changeId: 1 },
+    ]);
+  });
+
+  it('numbers changes in document order with the same ids on both sides', () => {
+    const result = compareDocuments(
+      ['Intro.', 'The quick brown fox.', 'Dropped paragraph.', 'Same.', 'Totally unrelated old text.'],
+      ['Intro.', 'New first line.', 'The quick red fox.', 'Same.', 'Brand new replacement, nothing shared.']
+    );
+    expect(result.changeCount).toBeGreaterThan(3);
+    const leftIds = changeIdsOf(result.left);
+    const rightIds = changeIdsOf(result.right);
+    expect(leftIds).toEqual([...Array(result.changeCount).keys()]);
+    expect(rightIds).toEqual(leftIds);
+  });
+});
@@ -0,0 +1,104 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import { apiUrl } from '../config';
+import { ERROR_CODES, ProxyRequestError, fetchFromProxy, readProxyError } from './proxyErrors';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+// Content type the proxy server uses for PowerPoint decks converted to per-slide HTML
+const SLIDES_CONTENT_TYPE = 'application/vnd.splitscreen.slides+json';
+
+// Elements that start a new paragraph when flattening HTML to text
+const BLOCK_SELECTOR = [
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main',
+  'nav', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul',
+].join(',');
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+const splitParagraphs = (text) => text.split(/\n\s*\n/).map(collapseWhitespace).filter(Boolean);
+
+// HTML pages and DOCX files (which the proxy converts to HTML with mammoth)
+export const paragraphsFromHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript, template, svg').forEach((element) => element.remove());
+  doc.querySelectorAll('br').forEach((element) => element.replaceWith('\n'));
+  doc.body.querySelectorAll(BLOCK_SELECTOR).forEach((element) => {
+    element.prepend('\n\n');
+    element.append('\n\n');
+  });
+  return splitParagraphs(doc.body.textContent || '');
+};
+
+export const paragraphsFromText = (text) => splitParagraphs(text.replace(/\r\n?/g, '\n'));
+
+// pdf.js only knows lines; a paragraph ends where the gap to the next line is clearly
+// larger than the line height, and always at the end of a page
+export const paragraphsFromPdf = async (data) => {
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  const paragraphs = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      const lines = [];
+      let line = null;
+      items.forEach((item) => {
+        if (item.str === undefined) return;
+        if (!line) line = { text: '', y: item.transform[5], height: item.height };
+        line.text += item.str;
+        line.height = Math.max(line.height, item.height);
+        if (item.hasEOL) {
+          lines.push(line);
+          line = null;
+        }
+      });
+      if (line) lines.push(line);
+
+      let paragraph = [];
+      lines.forEach((current, index) => {
+        const previous = lines[index - 1];
+        const gap = previous ? previous.y - current.y : 0;
+        if (previous && (!collapseWhitespace(current.text) || gap > Math.max(previous.height, current.height) * 1.8)) {
+          paragraphs.push(paragraph.join(' '));
+          paragraph = [];
+        }
+        paragraph.push(current.text);
+      });
+      paragraphs.push(paragraph.join(' '));
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return paragraphs.map(collapseWhitespace).filter(Boolean);
+};
+
+// Downloads a pane's document the same way ProxyContent does and returns its text as
+// paragraphs, for comparing two documents
+export const extractDocumentText = async (src, { signal } = {}) => {
+  if (!src || src.startsWith('patent:')) {
+    throw new ProxyRequestError(ERROR_CODES.UNSUPPORTED_TYPE, 'Only documents loaded from a URL or uploaded file can be compared');
+  }
+  const fetchUrl = src.startsWith('blob:') ? src : `${apiUrl('/proxy')}?url=${encodeURIComponent(src)}`;
+  const response = await fetchFromProxy(fetchUrl, { signal });
+  if (!response.ok) throw await readProxyError(response);
+  const contentType = response.headers.get('content-type') || '';
+
+  if (contentType.includes('application/pdf')) {
+    return paragraphsFromPdf(new Uint8Array(await response.arrayBuffer()));
+  }
+  if (contentType.includes('text/html') || contentType.includes('wordprocessingml.document')) {
+    return paragraphsFromHtml(await response.text());
+  }
+  if (contentType.includes(SLIDES_CONTENT_TYPE)) {
+    const deck = await response.json();
+    return deck.slides.flatMap((slide) => paragraphsFromText(slide.text || ''));
+  }
+  if (contentType.includes('text/')) {
+    return paragraphsFromText(await response.text());
+  }
+  throw new ProxyRequestError(
+    ERROR_CODES.UNSUPPORTED_TYPE,
+    `Documents of type ${contentType.split(';')[0] || 'unknown'} cannot be compared. Compare supports PDF, Word, HTML and text.`
+  );
+};
@@ -0,0 +1,82 @@
+import { findMatches } from './textSearch';
+
+const MATCH_ATTRIBUTE = 'data-find-match';
+// Inline styles, because neither the page's own stylesheets nor an isolated frame have ours
+const MATCH_STYLE = 'background: #fdd663; color: #202124; border-radius: 2px;';
+const CURRENT_STYLE = 'background: #f29900; color: #202124; border-radius: 2px; outline: 2px solid #e37400;';
+const SKIPPED_SELECTOR = 'script, style, noscript, template, textarea, option';
+
+// Highlighting is capped so that a pattern like "." cannot freeze a large page
+const MAX_HIGHLIGHTS = 5000;
+
+const clearHighlights = (root) => {
+  root.querySelectorAll(`mark[${MATCH_ATTRIBUTE}]`).forEach((mark) => mark.replaceWith(...mark.childNodes));
+  root.normalize();
+};
+
+// Wraps the matches in the text under root in <mark> elements and returns them in document
+// order. Each text node is searched on its own, so a phrase split across elements (half of
+// it in a <b>, say) is not found.
+const highlightMatches = (root, matcher) => {
+  const doc = root.ownerDocument;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement.closest(SKIPPED_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  const marks = [];
+  textNodes.some((node) => {
+    let rest = node;
+    let offset = 0;
+    findMatches(node.data, matcher)
+      .slice(0, MAX_HIGHLIGHTS - marks.length)
+      .forEach(({ start, end }) => {
+        const matchNode = rest.splitText(start - offset);
+        rest = matchNode.splitText(end - start);
+        offset = end;
+        const mark = doc.createElement('mark');
+        mark.setAttribute(MATCH_ATTRIBUTE, '');
+        mark.style.cssText = MATCH_STYLE;
+        matchNode.replaceWith(mark);
+        mark.append(matchNode);
+        marks.push(mark);
+      });
+    return marks.length >= MAX_HIGHLIGHTS;
+  });
+  return marks;
+};
+
+// Find-in-pane search over rendered HTML, with the same interface as the PDF viewer and
+// spreadsheet grid searches: search(matcher) resolves to the number of matches, which
+// showMatch(index) then highlights and scrolls to. getRoot returns the element to search.
+export const createDomSearch = (getRoot) => {
+  let marks = [];
+  let current = null;
+
+  const clearSearch = () => {
+    const root = getRoot();
+    if (root) clearHighlights(root);
+    marks = [];
+    current = null;
+  };
+
+  return {
+    search: async (matcher) => {
+      clearSearch();
+      const root = getRoot();
+      if (!root || !matcher) return 0;
+      marks = highlightMatches(root, matcher);
+      return marks.length;
+    },
+    showMatch: (index) => {
+      const mark = marks[index];
+      if (!mark) return;
+      if (current) current.style.cssText = MATCH_STYLE;
+      mark.style.cssText = CURRENT_STYLE;
+      current = mark;
+      mark.scrollIntoView({ block: 'center', inline: 'nearest' });
+    },
+    clearSearch,
+  };
+};
@@ -0,0 +1,49 @@
+import DOMPurify from 'dompurify';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const HTML_UNESCAPES = Object.fromEntries(Object.entries(HTML_ESCAPES).map(([char, entity]) => [entity, char]));
+
+// For text that ends up in markup, such as Handsontable's column headers
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+export const unescapeHtml = (text) => String(text).replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => HTML_UNESCAPES[entity]);
+
+// A separate instance, so these hooks don't apply to other users of DOMPurify
+const purify = DOMPurify(window);
+
+// Forms stay visible but can't send anything anywhere; ProxyContent also cancels submits
+purify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.nodeName === 'FORM') {
+    node.removeAttribute('action');
+    node.removeAttribute('method');
+    node.removeAttribute('target');
+  }
+  node.removeAttribute('formaction');
+  node.removeAttribute('formtarget');
+});
+
+const SANITIZE_OPTIONS = {
+  // Keeps leading <style> elements in the body instead of letting the parser move them out
+  FORCE_BODY: true,
+  ADD_TAGS: ['link'],
+  FORBID_TAGS: ['base', 'meta'],
+};
+
+// Makes proxied pages and converted documents safe to inject into the app's DOM: scripts,
+// event handler attributes, javascript: URLs and embedded objects are removed and forms
+// are disarmed, while markup and styles are kept so the page keeps its layout
+export const sanitizeHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  // Stylesheets usually live in <head>, which injecting the body alone would leave behind
+  doc.body.prepend(...doc.head.querySelectorAll('style, link[rel~="stylesheet" i]'));
+  doc.body.querySelectorAll('link:not([rel~="stylesheet" i])').forEach((element) => element.remove());
+  return purify.sanitize(doc.body.innerHTML, SANITIZE_OPTIONS);
+};
+
+// Prepares a page for the isolated mode's sandboxed iframe. The sandbox already keeps
+// scripts, forms and popups from running, so this only drops what would still act:
+// a meta refresh would navigate the frame away from the proxy.
+export const isolateHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, meta[http-equiv="refresh" i]').forEach((element) => element.remove());
+  return `<!DOCTYPE html>${doc.documentElement.outerHTML}`;
+};
@@ -4,7 +4,7 @@ const msalConfig = {
   auth: {
     clientId: 'YOUR_MICROSOFT_CLIENT_ID', // Replace with your Microsoft Entra ID Client ID
     authority: 'https://login.microsoftonline.com/common',
-    redirectUri: 'http://localhost:3000',
+    redirectUri: window.location.origin,
   },
   cache: {
     cacheLocation: 'sessionStorage',
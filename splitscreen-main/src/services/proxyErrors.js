@@ -0,0 +1,111 @@
+// Error codes returned by the proxy server's /proxy and /upload endpoints, plus
+// SERVER_UNREACHABLE for when the proxy itself cannot be contacted.
+export const ERROR_CODES = {
+  SERVER_UNREACHABLE: 'SERVER_UNREACHABLE',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  BLOCKED_URL: 'BLOCKED_URL',
+  UPSTREAM_CLIENT_ERROR: 'UPSTREAM_CLIENT_ERROR',
+  UPSTREAM_SERVER_ERROR: 'UPSTREAM_SERVER_ERROR',
+  UPSTREAM_UNREACHABLE: 'UPSTREAM_UNREACHABLE',
+  UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+  TOO_MANY_REDIRECTS: 'TOO_MANY_REDIRECTS',
+  UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+  CONVERSION_FAILED: 'CONVERSION_FAILED',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  SERVER_BUSY: 'SERVER_BUSY',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+// Recovery actions a pane can offer for an error
+export const ERROR_ACTIONS = {
+  RETRY: 'retry',
+  OPEN_IN_NEW_TAB: 'openInNewTab',
+  DOWNLOAD: 'download',
+};
+
+export class ProxyRequestError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ProxyRequestError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Turns a failed proxy response into a ProxyRequestError, tolerating non-JSON bodies
+export const readProxyError = async (response) => {
+  try {
+    const { error, code, ...details } = await response.json();
+    return new ProxyRequestError(code || ERROR_CODES.INTERNAL_ERROR, error || response.statusText, details);
+  } catch (err) {
+    return new ProxyRequestError(ERROR_CODES.INTERNAL_ERROR, `Proxy request failed: ${response.status} ${response.statusText}`);
+  }
+};
+
+// fetch() rejects with a TypeError when the server cannot be contacted at all
+export const fetchFromProxy = async (input, init) => {
+  try {
+    return await fetch(input, init);
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ProxyRequestError(ERROR_CODES.SERVER_UNREACHABLE, err.message);
+  }
+};
+
+const upstreamStatusMessage = (status) => {
+  if (status === 404 || status === 410) return `The page was not found on the remote site (${status}).`;
+  if (status === 401 || status === 403) return `The remote site refused access (${status}). It may require you to sign in.`;
+  if (status === 429) return 'The remote site is rate limiting requests (429). Wait a moment and retry.';
+  return `The remote site rejected the request${status ? ` (${status})` : ''}.`;
+};
+
+// Maps an error to the title, message and recovery actions a pane should show
+export const describeProxyError = (error) => {
+  const { RETRY, OPEN_IN_NEW_TAB, DOWNLOAD } = ERROR_ACTIONS;
+  const upstreamStatus = error.details?.upstreamStatus;
+
+  switch (error.code) {
+    case ERROR_CODES.SERVER_UNREACHABLE:
+      return {
+        title: 'Proxy server not reachable',
+        message: 'Could not connect to the proxy server. Make sure it is running, then retry.',
+        actions: [RETRY, OPEN_IN_NEW_TAB],
+      };
+    case ERROR_CODES.UPSTREAM_CLIENT_ERROR:
+      return { title: 'Page not available', message: upstreamStatusMessage(upstreamStatus), actions: [OPEN_IN_NEW_TAB, RETRY] };
+    case ERROR_CODES.UPSTREAM_SERVER_ERROR:
+      return {
+        title: 'Remote site error',
+        message: `The remote site had a problem serving this page${upstreamStatus ? ` (${upstreamStatus})` : ''}. It may be temporary.`,
+        actions: [RETRY, OPEN_IN_NEW_TAB],
+      };
+    case ERROR_CODES.UPSTREAM_UNREACHABLE:
+      return { title: 'Site could not be reached', message: 'The remote site did not respond. Check the address and retry.', actions: [RETRY, OPEN_IN_NEW_TAB] };
+    case ERROR_CODES.UPSTREAM_TIMEOUT:
+      return { title: 'Request timed out', message: 'The remote site took too long to respond.', actions: [RETRY, OPEN_IN_NEW_TAB] };
+    case ERROR_CODES.TOO_MANY_REDIRECTS:
+      return { title: 'Too many redirects', message: 'The remote site kept redirecting the request.', actions: [OPEN_IN_NEW_TAB] };
+    case ERROR_CODES.BLOCKED_URL:
+      return {
+        title: 'Address blocked',
+        message: 'The proxy does not load this address. Local, private-network and blocked hosts cannot be viewed here.',
+        actions: [OPEN_IN_NEW_TAB],
+      };
+    case ERROR_CODES.UNSUPPORTED_TYPE:
+      return { title: 'Unsupported file type', message: 'This file type cannot be displayed in the viewer.', actions: [DOWNLOAD] };
+    case ERROR_CODES.CONVERSION_FAILED:
+      return { title: 'Could not display document', message: error.message, actions: [DOWNLOAD, RETRY] };
+    case ERROR_CODES.FILE_TOO_LARGE:
+      return { title: 'File too large', message: 'This file is larger than the viewer allows.', actions: [DOWNLOAD, OPEN_IN_NEW_TAB] };
+    case ERROR_CODES.SERVER_BUSY:
+      return {
+        title: 'Proxy server busy',
+        message: 'The proxy server is rendering too many pages right now. Wait a moment and retry.',
+        actions: [RETRY, OPEN_IN_NEW_TAB],
+      };
+    case ERROR_CODES.INVALID_REQUEST:
+      return { title: 'Invalid address', message: error.message, actions: [] };
+    default:
+      return { title: 'Something went wrong', message: error.message, actions: [RETRY] };
+  }
+};
@@ -0,0 +1,279 @@
+import { diffArrays } from 'diff';
+import * as XLSX from 'xlsx';
+
+// Rows compared by position that share less than this fraction of their cells are shown as
+// a removed row and an added one rather than as one changed row
+const MIN_ROW_SIMILARITY = 0.5;
+
+const normalizeName = (name) => String(name).trim().toLowerCase();
+
+const cellText = (value) => (value === undefined || value === null ? '' : String(value));
+
+// Header names from a sheet's first row. Blank headers are named by position and repeated
+// ones numbered, so every column can be matched by name.
+const headerNames = (headerRow, width) => {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, index) => {
+    const base = cellText(headerRow[index]).trim() || `Column ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+};
+
+const sheetWidth = (rows) => rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+// Pairs the sheets of two workbooks by name, ignoring case. Two single-sheet files (such as
+// CSVs, which are always called Sheet1) are paired whatever their names.
+export const matchSheets = (leftSheets, rightSheets) => {
+  if (leftSheets.length === 1 && rightSheets.length === 1) {
+    const [left] = leftSheets;
+    const [right] = rightSheets;
+    return [{ name: left.name === right.name ? left.name : `${left.name} ↔ ${right.name}`, left, right }];
+  }
+  const rightByName = new Map(rightSheets.map((sheet) => [normalizeName(sheet.name), sheet]));
+  const pairs = leftSheets.map((left) => {
+    const right = rightByName.get(normalizeName(left.name)) || null;
+    if (right) rightByName.delete(normalizeName(left.name));
+    return { name: left.name, left, right };
+  });
+  rightByName.forEach((right) => pairs.push({ name: right.name, left: null, right }));
+  return pairs;
+};
+
+// Columns shared by both sheets, which can serve as the key for matching rows
+export const commonColumns = (leftRows, rightRows) => {
+  const rightHeaders = new Set(headerNames(rightRows[0] || [], sheetWidth(rightRows)));
+  return headerNames(leftRows[0] || [], sheetWidth(leftRows)).filter((name) => rightHeaders.has(name));
+};
+
+// After aligning rows in order, a run of removed rows directly followed by a run of added
+// ones usually means rows were edited; similar enough rows are merged into changed rows
+const pairEditedRows = (rows, changedColumns, sharedCount) => {
+  let index = 0;
+  while (index < rows.length) {
+    let removedEnd = index;
+    while (removedEnd < rows.length && rows[removedEnd].status === 'removed') removedEnd += 1;
+    let addedEnd = removedEnd;
+    while (addedEnd < rows.length && rows[addedEnd].status === 'added') addedEnd += 1;
+    const pairs = Math.min(removedEnd - index, addedEnd - removedEnd);
+    if (pairs === 0) {
+      index = Math.max(addedEnd, index + 1);
+      continue;
+    }
+    const merged = [];
+    for (let offset = 0; offset < pairs; offset += 1) {
+      const removed = rows[index + offset];
+      const added = rows[removedEnd + offset];
+      const changed = changedColumns({ cells: removed.left }, { cells: added.right });
+      if (sharedCount && (sharedCount - changed.length) / sharedCount >= MIN_ROW_SIMILARITY) {
+        merged.push({ status: 'changed', left: removed.left, right: added.right, leftRow: removed.leftRow, rightRow: added.rightRow, changed });
+      } else {
+        merged.push(removed, added);
+      }
+    }
+    const replacement = [...merged, ...rows.slice(index + pairs, removedEnd), ...rows.slice(removedEnd + pairs, addedEnd)];
+    rows.splice(index, addedEnd - index, ...replacement);
+    index += replacement.length;
+  }
+};
+
+// Compares two sheets given as rows of cells with headers in the first row. Columns are
+// matched by header name. Rows are matched by the value in keyColumn when it is set (rows
+// whose key repeats are matched in order of appearance), otherwise by aligning the rows in
+// order. Returns:
+//   columns: [{ name, left, right }] with each side's column index, or -1 where a column
+//     exists on one side only
+//   rows: [{ status: 'equal' | 'changed' | 'added' | 'removed', left, right, leftRow,
+//     rightRow, changed }] where left and right are the cells in columns order (null for
+//     a side without the row), leftRow and rightRow are 1-based row numbers in each sheet,
+//     and changed lists the indexes of the columns whose values differ
+//   summary: counts of rows by status, changed cells and one-sided columns
+export const diffSheet = (leftRows, rightRows, keyColumn = null) => {
+  const leftHeaders = headerNames(leftRows[0] || [], sheetWidth(leftRows));
+  const rightHeaders = headerNames(rightRows[0] || [], sheetWidth(rightRows));
+  const columns = leftHeaders.map((name, index) => ({ name, left: index, right: rightHeaders.indexOf(name) }));
+  rightHeaders.forEach((name, index) => {
+    if (!leftHeaders.includes(name)) columns.push({ name, left: -1, right: index });
+  });
+  // One-sided columns are reported as added or removed, not as changes in every row
+  const sharedColumns = columns.map((column, index) => index).filter((index) => columns[index].left !== -1 && columns[index].right !== -1);
+
+  const toRecords = (rows, side) =>
+    rows.slice(1).map((row, index) => ({
+      number: index + 2,
+      cells: columns.map((column) => (column[side] === -1 ? '' : cellText(row[column[side]]))),
+    }));
+  const leftRecords = toRecords(leftRows, 'left');
+  const rightRecords = toRecords(rightRows, 'right');
+
+  const changedColumns = (left, right) => sharedColumns.filter((index) => left.cells[index] !== right.cells[index]);
+
+  const rows = [];
+  const addPair = (left, right) => {
+    const changed = changedColumns(left, right);
+    rows.push({
+      status: changed.length ? 'changed' : 'equal',
+      left: left.cells,
+      right: right.cells,
+      leftRow: left.number,
+      rightRow: right.number,
+      changed,
+    });
+  };
+  const addRemoved = (left) => rows.push({ status: 'removed', left: left.cells, right: null, leftRow: left.number, rightRow: null, changed: [] });
+  const addAdded = (right) => rows.push({ status: 'added', left: null, right: right.cells, leftRow: null, rightRow: right.number, changed: [] });
+
+  const keyIndex = keyColumn ? columns.findIndex((column) => column.name === keyColumn) : -1;
+  if (keyIndex !== -1 && sharedColumns.includes(keyIndex)) {
+    const rightByKey = new Map();
+    rightRecords.forEach((record) => {
+      const key = record.cells[keyIndex].trim();
+      if (!rightByKey.has(key)) rightByKey.set(key, []);
+      rightByKey.get(key).push(record);
+    });
+    const matched = new Set();
+    leftRecords.forEach((left) => {
+      const right = rightByKey.get(left.cells[keyIndex].trim())?.shift();
+      if (right) {
+        matched.add(right);
+        addPair(left, right);
+      } else {
+        addRemoved(left);
+      }
+    });
+    // Rows only in the right sheet follow, in their own order
+    rightRecords.filter((record) => !matched.has(record)).forEach(addAdded);
+  } else {
+    const signature = (record) => JSON.stringify(sharedColumns.map((index) => record.cells[index]));
+    let leftIndex = 0;
+    let rightIndex = 0;
+    diffArrays(leftRecords.map(signature), rightRecords.map(signature)).forEach((part) => {
+      if (!part.added && !part.removed) {
+        part.value.forEach(() => {
+          addPair(leftRecords[leftIndex], rightRecords[rightIndex]);
+          leftIndex += 1;
+          rightIndex += 1;
+        });
+      } else if (part.removed) {
+        part.value.forEach(() => {
+          addRemoved(leftRecords[leftIndex]);
+          leftIndex += 1;
+        });
+      } else {
+        part.value.forEach(() => {
+          addAdded(rightRecords[rightIndex]);
+          rightIndex += 1;
+        });
+      }
+    });
+    pairEditedRows(rows, changedColumns, sharedColumns.length);
+  }
+
+  const summary = { equal: 0, changed: 0, added: 0, removed: 0, changedCells: 0 };
+  rows.forEach((row) => {
+    summary[row.status] += 1;
+    summary.changedCells += row.changed.length;
+  });
+  summary.addedColumns = columns.filter((column) => column.left === -1).length;
+  summary.removedColumns = columns.filter((column) => column.right === -1).length;
+  return { columns, rows, summary };
+};
+
+// Compares every pair of sheets from matchSheets(). keyColumns maps a pair's name to the
+// column its rows are matched by. Sheets found on one side only have status 'added' or
+// 'removed' and no row comparison.
+export const diffWorkbooks = (leftSheets, rightSheets, keyColumns = {}) =>
+  matchSheets(leftSheets, rightSheets).map(({ name, left, right }) => {
+    if (!left || !right) return { name, status: left ? 'removed' : 'added', sheet: left || right };
+    return {
+      name,
+      status: 'compared',
+      keyColumn: keyColumns[name] || null,
+      keyOptions: commonColumns(left.rows, right.rows),
+      ...diffSheet(left.rows, right.rows, keyColumns[name]),
+    };
+  });
+
+const STATUS_NAMES = { equal: 'Unchanged', changed: 'Changed', added: 'Added', removed: 'Removed' };
+
+// Status, left row number and right row number come before the sheet's own columns
+export const LEADING_COLUMNS = 3;
+
+// Value of a diff row in one of the compared columns, taken from the side that has it
+export const cellValue = (row, columnIndex) => (row.right ? row.right[columnIndex] : row.left[columnIndex]);
+
+export const pluralize = (count, noun) => `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+
+// One-line description of a compared sheet's summary
+export const describeSummary = (summary) => {
+  const parts = [];
+  if (summary.changed) parts.push(`${pluralize(summary.changed, 'changed row')} (${pluralize(summary.changedCells, 'cell')})`);
+  if (summary.added) parts.push(pluralize(summary.added, 'added row'));
+  if (summary.removed) parts.push(pluralize(summary.removed, 'removed row'));
+  if (summary.addedColumns) parts.push(pluralize(summary.addedColumns, 'added column'));
+  if (summary.removedColumns) parts.push(pluralize(summary.removedColumns, 'removed column'));
+  return parts.length ? parts.join(', ') : 'No differences';
+};
+
+// Excel limits sheet names to 31 characters and forbids some characters in them
+const uniqueSheetName = (name, usedNames) => {
+  const base = name.replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let count = 2; usedNames.has(candidate.toLowerCase()); count += 1) {
+    const suffix = ` (${count})`;
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Builds an Excel workbook from diffWorkbooks() results: a summary sheet and one sheet
+// per compared pair listing every row with its status. Changed cells hold the right-hand value with the left-hand one in a comment,
+// since the free SheetJS build can't write cell colors.
+export const diffToWorkbook = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+  const summaryRows = [
+    ['Sheet', 'Result', 'Rows matched by', 'Changed rows', 'Changed cells', 'Added rows', 'Removed rows', 'Added columns', 'Removed columns'],
+    ...sheets.map((sheet) =>
+      sheet.status === 'compared'
+        ? [
+            sheet.name,
+            describeSummary(sheet.summary),
+            sheet.keyColumn || 'Row order',
+            sheet.summary.changed,
+            sheet.summary.changedCells,
+            sheet.summary.added,
+            sheet.summary.removed,
+            sheet.summary.addedColumns,
+            sheet.summary.removedColumns,
+          ]
+        : [sheet.name, sheet.status === 'added' ? 'Only in the right workbook' : 'Only in the left workbook']
+    ),
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), uniqueSheetName('Summary', usedNames));
+
+  sheets
+    .filter((sheet) => sheet.status === 'compared')
+    .forEach((sheet) => {
+      const header = ['Status', 'Left row', 'Right row', ...sheet.columns.map((column) => column.name)];
+      const body = sheet.rows.map((row) => [
+        STATUS_NAMES[row.status],
+        row.leftRow ?? '',
+        row.rightRow ?? '',
+        ...sheet.columns.map((column, index) => cellValue(row, index)),
+      ]);
+      const worksheet = XLSX.utils.aoa_to_sheet([header, ...body]);
+      sheet.rows.forEach((row, rowIndex) => {
+        row.changed.forEach((index) => {
+          const cell = worksheet[XLSX.utils.encode_cell({ r: rowIndex + 1, c: index + LEADING_COLUMNS })];
+          if (cell) cell.c = [{ a: 'Diff', t: `Was: ${row.left[index]}` }];
+        });
+      });
+      worksheet['!autofilter'] = { ref: worksheet['!ref'] };
+      XLSX.utils.book_append_sheet(workbook, worksheet, uniqueSheetName(sheet.name, usedNames));
+    });
+
+  return workbook;
+};
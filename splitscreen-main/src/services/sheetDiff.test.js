@@ -0,0 +1,135 @@
+import * as XLSX from 'xlsx';
+import { diffSheet, diffToWorkbook, diffWorkbooks, matchSheets } from './sheetDiff';
+
+const statuses = (result) => result.rows.map((row) => row.status);
+
+describe('diffSheet', () => {
+  const header = ['Id', 'Name', 'Price'];
+
+  it('finds no differences between equal sheets', () => {
+    const rows = [header, ['1', 'Apple', '2'], ['2', 'Pear', '3']];
+    const result = diffSheet(rows, rows.map((row) => [...row]));
+    expect(statuses(result)).toEqual(['equal', 'equal']);
+    expect(result.summary).toEqual({ equal: 2, changed: 0, added: 0, removed: 0, changedCells: 0, addedColumns: 0, removedColumns: 0 });
+  });
+
+  it('reports added and removed rows with their row numbers', () => {
+    const result = diffSheet([header, ['1', 'Apple', '2'], ['2', 'Pear', '3']], [header, ['2', 'Pear', '3'], ['3', 'Plum', '4']]);
+    expect(result.rows.map(({ status, leftRow, rightRow }) => ({ status, leftRow, rightRow }))).toEqual([
+      { status: 'removed', leftRow: 2, rightRow: null },
+      { status: 'equal', leftRow: 3, rightRow: 2 },
+      { status: 'added', leftRow: null, rightRow: 3 },
+    ]);
+    expect(result.rows[2].right).toEqual(['3', 'Plum', '4']);
+  });
+
+  it('reports an edited row as changed with the columns that differ', () => {
+    const result = diffSheet([header, ['1', 'Apple', '2']], [header, ['1', 'Apple', '2.5']]);
+    expect(result.rows).toEqual([
+      { status: 'changed', left: ['1', 'Apple', '2'], right: ['1', 'Apple', '2.5'], leftRow: 2, rightRow: 2, changed: [2] },
+    ]);
+    expect(result.summary.changedCells).toBe(1);
+  });
+
+  it('splits rows that share too few cells into a removal and an addition', () => {
+    const result = diffSheet([header, ['1', 'Apple', '2']], [header, ['9', 'Kiwi', '7']]);
+    expect(statuses(result)).toEqual(['removed', 'added']);
+  });
+
+  it('matches columns by header and reports one-sided columns without marking cells changed', () => {
+    const result = diffSheet([['Id', 'Name', 'Colour'], ['1', 'Apple', 'red']], [['Name', 'Id', 'Price'], ['Apple', '1', '2']]);
+    expect(result.columns).toEqual([
+      { name: 'Id', left: 0, right: 1 },
+      { name: 'Name', left: 1, right: 0 },
+      { name: 'Colour', left: 2, right: -1 },
+      { name: 'Price', left: -1, right: 2 },
+    ]);
+    expect(result.rows).toEqual([
+      { status: 'equal', left: ['1', 'Apple', 'red', ''], right: ['1', 'Apple', '', '2'], leftRow: 2, rightRow: 2, changed: [] },
+    ]);
+    expect(result.summary.addedColumns).toBe(1);
+    expect(result.summary.removedColumns).toBe(1);
+  });
+
+  it('matches rows by a key column regardless of their order', () => {
+    const left = [header, ['1', 'Apple', '2'], ['2', 'Pear', '3'], ['3', 'Plum', '4']];
+    const right = [header, ['3', 'Plum', '5'], ['1', 'Apple', '2'], ['4', 'Fig', '6']];
+    const result = diffSheet(left, right, 'Id');
+    expect(result.rows.map(({ status, leftRow, rightRow }) => ({ status, leftRow, rightRow }))).toEqual([
+      { status: 'equal', leftRow: 2, rightRow: 3 },
+      { status: 'removed', leftRow: 3, rightRow: null },
+      { status: 'changed', leftRow: 4, rightRow: 2 },
+      { status: 'added', leftRow: null, rightRow: 4 },
+    ]);
+  });
+
+  it('names blank and repeated headers so their columns still match', () => {
+    const result = diffSheet([['', 'A', 'A'], ['x', '1', '2']], [['', 'A', 'A'], ['x', '1', '3']]);
+    expect(result.columns.map((column) => column.name)).toEqual(['Column 1', 'A', 'A (2)']);
+    expect(result.rows[0].changed).toEqual([2]);
+  });
+});
+
+describe('matchSheets', () => {
+  it('pairs sheets by name ignoring case and keeps one-sided sheets', () => {
+    const pairs = matchSheets([{ name: 'Data' }, { name: 'Old' }], [{ name: 'data' }, { name: 'New' }]);
+    expect(pairs.map(({ name, left, right }) => [name, left?.name ?? null, right?.name ?? null])).toEqual([
+      ['Data', 'Data', 'data'],
+      ['Old', 'Old', null],
+      ['New', null, 'New'],
+    ]);
+  });
+
+  it('pairs two single-sheet files whatever their names', () => {
+    expect(matchSheets([{ name: 'Sheet1' }], [{ name: 'Report' }])[0].name).toBe('Sheet1 ↔ Report');
+  });
+});
+
+describe('diffToWorkbook', () => {
+  const sheets = diffWorkbooks(
+    [
+      { name: 'Prices', rows: [['Id', 'Price'], ['1', '2'], ['2', '3']] },
+      { name: 'Archive', rows: [['Id'], ['1']] },
+    ],
+    [
+      { name: 'Prices', rows: [['Id', 'Price'], ['1', '2.5'], ['3', '4']] },
+      { name: 'Notes', rows: [['Text'], ['hello']] },
+    ],
+    { Prices: 'Id' }
+  );
+  const workbook = diffToWorkbook(sheets);
+  const rowsOf = (name) => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' });
+
+  it('starts with a summary of every sheet pair', () => {
+    expect(workbook.SheetNames).toEqual(['Summary', 'Prices']);
+    expect(rowsOf('Summary')).toEqual([
+      ['Sheet', 'Result', 'Rows matched by', 'Changed rows', 'Changed cells', 'Added rows', 'Removed rows', 'Added columns', 'Removed columns'],
+      ['Prices', '1 changed row (1 cell), 1 added row, 1 removed row', 'Id', 1, 1, 1, 1, 0, 0],
+      ['Archive', 'Only in the left workbook', '', '', '', '', '', '', ''],
+      ['Notes', 'Only in the right workbook', '', '', '', '', '', '', ''],
+    ]);
+  });
+
+  it('lists every row of a compared sheet with the old value of changed cells in a comment', () => {
+    expect(rowsOf('Prices')).toEqual([
+      ['Status', 'Left row', 'Right row', 'Id', 'Price'],
+      ['Changed', 2, 2, '1', '2.5'],
+      ['Removed', 3, '', '2', '3'],
+      ['Added', '', 3, '3', '4'],
+    ]);
+    const prices = workbook.Sheets.Prices;
+    expect(prices.E2.c).toEqual([{ a: 'Diff', t: 'Was: 2' }]);
+    expect(prices.D2.c).toBeUndefined();
+    expect(prices['!autofilter']).toEqual({ ref: 'A1:E4' });
+  });
+
+  it('keeps sheet names unique and within Excel limits', () => {
+    const compared = diffWorkbooks([{ name: 'Summary', rows: [['A'], ['1']] }], [{ name: 'Summary', rows: [['A'], ['1']] }]);
+    const long = diffWorkbooks(
+      [{ name: 'A very long sheet name: over 31 chars', rows: [['A'], ['1']] }],
+      [{ name: 'A very long sheet name: over 31 chars', rows: [['A'], ['1']] }]
+    );
+    expect(diffToWorkbook(compared).SheetNames).toEqual(['Summary', 'Summary (2)']);
+    expect(diffToWorkbook(long).SheetNames).toEqual(['Summary', 'A very long sheet name_ over 31']);
+  });
+});
@@ -0,0 +1,26 @@
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds the pattern for a search, or null for an empty query. Throws a SyntaxError when
+// regex is set and the query is not a valid regular expression.
+export const buildMatcher = ({ query, caseSensitive = false, wholeWord = false, regex = false }) => {
+  if (!query) return null;
+  let source = regex ? query : escapeRegExp(query);
+  // \b only knows ASCII letters, so words are delimited by Unicode letters and digits
+  if (wholeWord) source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+};
+
+// Non-overlapping matches of a buildMatcher() pattern as { start, end } offsets.
+// Empty matches, which a regular expression like "a*" can produce, are skipped.
+export const findMatches = (text, matcher) => {
+  const matches = [];
+  if (!matcher || !text) return matches;
+  matcher.lastIndex = 0;
+  let match = matcher.exec(text);
+  while (match) {
+    if (match[0]) matches.push({ start: match.index, end: match.index + match[0].length });
+    else matcher.lastIndex += 1;
+    match = matcher.exec(text);
+  }
+  return matches;
+};
@@ -0,0 +1,67 @@
+// Uploading files to the proxy server, which returns the file to show: Word and RTF
+// documents converted to HTML, PowerPoint decks as slides JSON and anything else unchanged
+import { apiUrl } from '../config';
+import { ERROR_CODES, ProxyRequestError, readProxyError } from './proxyErrors';
+
+let limitsRequest = null;
+
+// The server's upload limits, { maxFileSizeBytes, allowedMimeTypes }, fetched once. Null
+// when they can't be fetched; the server still checks every upload.
+export const loadUploadLimits = () => {
+  if (!limitsRequest) {
+    limitsRequest = fetch(apiUrl('/api/config'))
+      .then((response) => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.json();
+      })
+      .then(({ upload }) => upload)
+      .catch((err) => {
+        console.error('Error loading upload limits:', err);
+        limitsRequest = null;
+        return null;
+      });
+  }
+  return limitsRequest;
+};
+
+const formatSize = (bytes) => `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+
+// Returns why the server would refuse the file, or null. The server goes by the type the
+// browser reports, which is empty for extensions it doesn't know.
+export const validateUpload = (file, limits) => {
+  if (!limits) return null;
+  const type = file.type || 'application/octet-stream';
+  if (!limits.allowedMimeTypes.includes(type)) {
+    return file.type ? `Files of type ${file.type} are not supported` : 'Files of this type are not supported';
+  }
+  if (file.size > limits.maxFileSizeBytes) {
+    return `The file is ${formatSize(file.size)}; the limit is ${formatSize(limits.maxFileSizeBytes)}`;
+  }
+  return null;
+};
+
+// Resolves with the Blob to show. Uses XMLHttpRequest rather than fetch, since only it
+// reports upload progress; onProgress receives the fraction sent so far.
+export const uploadFile = (file, { onProgress, signal } = {}) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', apiUrl('/upload'));
+    xhr.responseType = 'blob';
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable && onProgress) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = async () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr.response);
+        return;
+      }
+      reject(await readProxyError(new Response(xhr.response, { status: xhr.status, statusText: xhr.statusText })));
+    };
+    xhr.onerror = () => reject(new ProxyRequestError(ERROR_CODES.SERVER_UNREACHABLE, 'The upload could not be sent'));
+    xhr.onabort = () => reject(new DOMException('The upload was cancelled', 'AbortError'));
+    signal?.addEventListener('abort', () => xhr.abort());
+
+    const formData = new FormData();
+    formData.append('file', file);
+    xhr.send(formData);
+  });
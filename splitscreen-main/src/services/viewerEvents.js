@@ -0,0 +1,9 @@
+// DOM event paged viewers dispatch when the user moves to another page or slide without
+// scrolling, so containers such as SplitScreen can react without wiring callbacks
+// through every viewer.
+export const PAGE_CHANGE_EVENT = 'viewerpagechange';
+
+export const dispatchPageChange = (element, page) => {
+  if (!element) return;
+  element.dispatchEvent(new CustomEvent(PAGE_CHANGE_EVENT, { bubbles: true, detail: { page } }));
+};
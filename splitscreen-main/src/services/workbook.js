@@ -0,0 +1,48 @@
+import * as XLSX from 'xlsx';
+import { apiUrl } from '../config';
+import { charsetOf, parseCsv } from './csvParser';
+import { ERROR_CODES, ProxyRequestError, fetchFromProxy, readProxyError } from './proxyErrors';
+
+export const isSpreadsheetType = (contentType) =>
+  contentType.includes('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') ||
+  contentType.includes('application/vnd.ms-excel');
+
+export const isDelimitedTextType = (contentType) =>
+  contentType.includes('text/csv') || contentType.includes('text/tab-separated-values');
+
+// Sheets of an XLSX or XLS file as { name, rows }, with each cell's formatted text as Excel
+// shows it. Empty sheets are left out.
+export const sheetsFromWorkbook = (arrayBuffer) => {
+  const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+  return workbook.SheetNames.map((name) => ({
+    name,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', raw: false, blankrows: false }),
+  })).filter((sheet) => sheet.rows.length);
+};
+
+// Downloads a pane's spreadsheet or CSV file the same way ProxyContent does and returns its
+// sheets, for comparing two workbooks
+export const loadWorkbook = async (src, { signal } = {}) => {
+  if (!src || src.startsWith('patent:')) {
+    throw new ProxyRequestError(ERROR_CODES.UNSUPPORTED_TYPE, 'Only spreadsheets loaded from a URL or uploaded file can be compared');
+  }
+  const fetchUrl = src.startsWith('blob:') ? src : `${apiUrl('/proxy')}?url=${encodeURIComponent(src)}`;
+  const response = await fetchFromProxy(fetchUrl, { signal });
+  if (!response.ok) throw await readProxyError(response);
+  const contentType = response.headers.get('content-type') || '';
+
+  let sheets;
+  if (isSpreadsheetType(contentType)) {
+    sheets = sheetsFromWorkbook(await response.arrayBuffer());
+  } else if (isDelimitedTextType(contentType)) {
+    const { rows } = parseCsv(await response.arrayBuffer(), { charset: charsetOf(contentType) });
+    sheets = rows.length ? [{ name: 'Sheet1', rows }] : [];
+  } else {
+    throw new ProxyRequestError(
+      ERROR_CODES.UNSUPPORTED_TYPE,
+      `Files of type ${contentType.split(';')[0] || 'unknown'} cannot be compared as spreadsheets. Load an XLSX, XLS or CSV file in each pane.`
+    );
+  }
+  if (!sheets.length) throw new ProxyRequestError(ERROR_CODES.UNSUPPORTED_TYPE, 'The spreadsheet has no data to compare');
+  return sheets;
+};
@@ -0,0 +1,238 @@
+// Saved split-screen setups. A workspace records each pane's source, scroll position and
+// active spreadsheet sheet along with the layout, split sizes and view options:
+//   { id, name, updatedAt, layout, screenMode, splits, syncScroll, isolatePages,
+//     panes: [{ source, position, sheet }] }
+// where source is { type: 'url', url }, { type: 'patent', number }, { type: 'upload', id, name }
+// or { type: 'empty' }. Workspaces and the autosaved session live in localStorage; uploaded
+// files are kept in IndexedDB, since their blob URLs don't survive a reload.
+
+const SESSION_KEY = 'splitscreen.session';
+const WORKSPACES_KEY = 'splitscreen.workspaces';
+const EXPORT_FORMAT = 'splitscreen-workspaces';
+const EXPORT_VERSION = 1;
+
+const UPLOAD_DB = 'splitscreen-uploads';
+const UPLOAD_STORE = 'files';
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (err) {
+    console.error(`Error reading ${key} from storage:`, err);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const normalizeSource = (source) => {
+  if (!isObject(source)) return { type: 'empty' };
+  if (source.type === 'url' && typeof source.url === 'string' && source.url) return { type: 'url', url: source.url };
+  if (source.type === 'patent' && typeof source.number === 'string' && source.number) return { type: 'patent', number: source.number };
+  if (source.type === 'upload' && typeof source.id === 'string') {
+    return { type: 'upload', id: source.id, name: typeof source.name === 'string' ? source.name : 'Uploaded file' };
+  }
+  return { type: 'empty' };
+};
+
+const normalizePosition = (position) => {
+  if (!isObject(position)) return null;
+  if (Number.isFinite(position.page)) {
+    return { page: position.page, pageOffset: Number.isFinite(position.pageOffset) ? position.pageOffset : 0 };
+  }
+  if (Number.isFinite(position.ratio)) return { ratio: position.ratio };
+  return null;
+};
+
+// Fills in defaults and drops anything malformed, so stored or imported workspaces from
+// older versions or other people can be opened safely
+const normalizeWorkspace = (workspace) => {
+  if (!isObject(workspace) || !Array.isArray(workspace.panes) || !workspace.panes.length) return null;
+  const splits = isObject(workspace.splits) ? workspace.splits : {};
+  return {
+    id: typeof workspace.id === 'string' ? workspace.id : createId(),
+    name: typeof workspace.name === 'string' ? workspace.name : '',
+    updatedAt: typeof workspace.updatedAt === 'string' ? workspace.updatedAt : new Date().toISOString(),
+    layout: typeof workspace.layout === 'string' ? workspace.layout : 'horizontal',
+    screenMode: Number.isInteger(workspace.screenMode) ? workspace.screenMode : 'all',
+    splits: {
+      sizes: Array.isArray(splits.sizes) && splits.sizes.every(Number.isFinite) ? splits.sizes : null,
+      grid: isObject(splits.grid) && Number.isFinite(splits.grid.x) && Number.isFinite(splits.grid.y) ? splits.grid : null,
+    },
+    syncScroll: workspace.syncScroll === true,
+    isolatePages: workspace.isolatePages === true,
+    panes: workspace.panes.map((pane) => ({
+      source: normalizeSource(pane?.source),
+      position: normalizePosition(pane?.position),
+      sheet: typeof pane?.sheet === 'string' ? pane.sheet : null,
+    })),
+  };
+};
+
+// The session autosaved while working, reopened after a reload. open tells whether the
+// split screen was showing.
+export const loadSession = () => {
+  const session = readJson(SESSION_KEY, null);
+  const workspace = normalizeWorkspace(session);
+  return workspace && { ...workspace, open: session.open === true };
+};
+
+// Autosaving must never interrupt work, so failures such as a full storage are only logged
+export const saveSession = (workspace) => {
+  try {
+    writeJson(SESSION_KEY, workspace);
+  } catch (err) {
+    console.error('Error autosaving the session:', err);
+  }
+};
+
+// Keeps the session but stops it from reopening on the next visit
+export const closeSession = () => {
+  const session = readJson(SESSION_KEY, null);
+  if (isObject(session)) saveSession({ ...session, open: false });
+};
+
+export const listWorkspaces = () => {
+  const stored = readJson(WORKSPACES_KEY, []);
+  return Array.isArray(stored) ? stored.map(normalizeWorkspace).filter(Boolean) : [];
+};
+
+// The functions below return the updated list. They throw when storage is full.
+const storeWorkspaces = (workspaces) => {
+  writeJson(WORKSPACES_KEY, workspaces);
+  return workspaces;
+};
+
+export const saveWorkspace = (workspace) => {
+  const saved = { ...workspace, id: workspace.id || createId(), updatedAt: new Date().toISOString() };
+  const workspaces = listWorkspaces();
+  const index = workspaces.findIndex((candidate) => candidate.id === saved.id);
+  return storeWorkspaces(index === -1 ? [...workspaces, saved] : workspaces.map((candidate, i) => (i === index ? saved : candidate)));
+};
+
+export const renameWorkspace = (id, name) =>
+  storeWorkspaces(
+    listWorkspaces().map((workspace) => (workspace.id === id ? { ...workspace, name, updatedAt: new Date().toISOString() } : workspace))
+  );
+
+export const duplicateWorkspace = (id) => {
+  const workspaces = listWorkspaces();
+  const original = workspaces.find((workspace) => workspace.id === id);
+  if (!original) return workspaces;
+  const copy = { ...original, id: createId(), name: `${original.name} (copy)`, updatedAt: new Date().toISOString() };
+  return storeWorkspaces([...workspaces, copy]);
+};
+
+export const deleteWorkspace = (id) => {
+  const workspaces = storeWorkspaces(listWorkspaces().filter((workspace) => workspace.id !== id));
+  pruneUploads().catch((err) => console.error('Error removing unused uploaded files:', err));
+  return workspaces;
+};
+
+export const exportWorkspaces = (workspaces) =>
+  JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, workspaces }, null, 2);
+
+// Adds the workspaces from an exported file under new ids, so importing the same file twice
+// or a colleague's file never overwrites anything. Uploaded files aren't part of an export;
+// panes that showed one open empty unless this browser still has the file.
+export const importWorkspaces = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!isObject(data) || data.format !== EXPORT_FORMAT || !Array.isArray(data.workspaces)) {
+    throw new Error('The file does not contain exported workspaces');
+  }
+  if (data.version > EXPORT_VERSION) throw new Error('The workspaces were exported by a newer version of the app');
+  const imported = data.workspaces
+    .map(normalizeWorkspace)
+    .filter(Boolean)
+    .map((workspace) => ({ ...workspace, id: createId(), name: workspace.name || 'Imported workspace' }));
+  if (!imported.length) throw new Error('The file contains no workspaces');
+  return storeWorkspaces([...listWorkspaces(), ...imported]);
+};
+
+// Uploaded files, stored as { blob, name }
+const openUploadDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(UPLOAD_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(UPLOAD_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const withUploadStore = async (mode, run) => {
+  const db = await openUploadDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(UPLOAD_STORE, mode);
+    const request = run(transaction.objectStore(UPLOAD_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// Blob URL of each uploaded file open in this page, mapped to its stored file
+const uploadRefs = new Map();
+
+// Keeps an uploaded file so workspaces that show it can be reopened later
+export const rememberUpload = async (url, blob, name) => {
+  const id = createId();
+  uploadRefs.set(url, { id, name });
+  await withUploadStore('readwrite', (store) => store.put({ blob, name }, id));
+};
+
+// The source of a pane as stored in a workspace
+export const describeSource = (src) => {
+  if (!src) return { type: 'empty' };
+  if (src.startsWith('patent:')) return { type: 'patent', number: src.slice('patent:'.length) };
+  if (src.startsWith('blob:')) {
+    const upload = uploadRefs.get(src);
+    return upload ? { type: 'upload', id: upload.id, name: upload.name } : { type: 'empty' };
+  }
+  return { type: 'url', url: src };
+};
+
+// Turns a stored source back into a pane source. Patents are returned as patent:<number>
+// and still need their data fetched. missing names an uploaded file that is no longer stored.
+export const resolveSource = async (source) => {
+  if (source.type === 'url') return { src: source.url };
+  if (source.type === 'patent') return { src: `patent:${source.number}` };
+  if (source.type !== 'upload') return { src: '' };
+  try {
+    const stored = await withUploadStore('readonly', (store) => store.get(source.id));
+    if (!stored) return { src: '', missing: source.name };
+    const url = URL.createObjectURL(stored.blob);
+    uploadRefs.set(url, { id: source.id, name: source.name });
+    return { src: url };
+  } catch (err) {
+    console.error('Error reading an uploaded file:', err);
+    return { src: '', missing: source.name };
+  }
+};
+
+// Removes stored files that neither the session, a saved workspace nor an open pane uses
+export const pruneUploads = async () => {
+  const used = new Set([...uploadRefs.values()].map((upload) => upload.id));
+  const session = loadSession();
+  [...(session ? [session] : []), ...listWorkspaces()].forEach((workspace) =>
+    workspace.panes.forEach(({ source }) => source.type === 'upload' && used.add(source.id))
+  );
+  const ids = await withUploadStore('readonly', (store) => store.getAllKeys());
+  const unused = ids.filter((id) => !used.has(id));
+  if (unused.length) await withUploadStore('readwrite', (store) => unused.forEach((id) => store.delete(id)));
+};
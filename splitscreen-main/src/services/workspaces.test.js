@@ -0,0 +1,144 @@
+import { describeSource, exportWorkspaces, importWorkspaces, listWorkspaces, loadSession, saveSession, saveWorkspace } from './workspaces';
+
+const workspace = {
+  name: 'Claims review',
+  layout: 'grid',
+  screenMode: 4,
+  splits: { sizes: null, grid: { x: 40, y: 60 } },
+  syncScroll: true,
+  isolatePages: false,
+  panes: [
+    { source: { type: 'url', url: 'https://example.com/a.pdf' }, position: { page: 3, pageOffset: 0.25 }, sheet: null },
+    { source: { type: 'patent', number: 'US1234567B2' }, position: { ratio: 0.5 }, sheet: null },
+    { source: { type: 'upload', id: 'abc', name: 'prices.xlsx' }, position: null, sheet: 'Sheet2' },
+    { source: { type: 'empty' }, position: null, sheet: null },
+  ],
+};
+
+const exportOf = (workspaces, overrides = {}) =>
+  JSON.stringify({ format: 'splitscreen-workspaces', version: 1, workspaces, ...overrides });
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('saveWorkspace', () => {
+  it('stores a workspace that lists back unchanged', () => {
+    const [saved] = saveWorkspace(workspace);
+    expect(saved).toEqual({ ...workspace, id: expect.any(String), updatedAt: expect.any(String) });
+    expect(listWorkspaces()).toEqual([saved]);
+  });
+
+  it('replaces a workspace saved again under its id', () => {
+    const [saved] = saveWorkspace(workspace);
+    const workspaces = saveWorkspace({ ...saved, layout: 'vertical' });
+    expect(workspaces).toHaveLength(1);
+    expect(workspaces[0].layout).toBe('vertical');
+  });
+});
+
+describe('importWorkspaces', () => {
+  it('round-trips exported workspaces under new ids', () => {
+    const [saved] = saveWorkspace(workspace);
+    const text = exportWorkspaces([saved]);
+    localStorage.clear();
+    const [imported] = importWorkspaces(text);
+    expect(imported).toEqual({ ...saved, id: expect.any(String) });
+    expect(imported.id).not.toBe(saved.id);
+  });
+
+  it('keeps existing workspaces when importing the same file twice', () => {
+    const text = exportOf([workspace]);
+    importWorkspaces(text);
+    const workspaces = importWorkspaces(text);
+    expect(workspaces).toHaveLength(2);
+    expect(workspaces[0].id).not.toBe(workspaces[1].id);
+  });
+
+  it.each([
+    ['text that is not JSON', '{"format":', 'The file is not valid JSON'],
+    ['JSON of another format', JSON.stringify({ workspaces: [workspace] }), 'The file does not contain exported workspaces'],
+    ['a workspaces field that is not a list', exportOf({}), 'The file does not contain exported workspaces'],
+    ['an export from a newer version', exportOf([workspace], { version: 2 }), 'The workspaces were exported by a newer version of the app'],
+    ['only malformed workspaces', exportOf([null, { name: 'No panes' }, { panes: [] }]), 'The file contains no workspaces'],
+  ])('rejects %s', (name, text, message) => {
+    expect(() => importWorkspaces(text)).toThrow(message);
+    expect(listWorkspaces()).toEqual([]);
+  });
+
+  it('fills in defaults for missing or malformed fields', () => {
+    const [imported] = importWorkspaces(
+      exportOf([
+        {
+          layout: 3,
+          screenMode: 'two',
+          splits: { sizes: [50, 'wide'], grid: { x: 50 } },
+          syncScroll: 'yes',
+          panes: [
+            { source: { type: 'url', url: '' }, position: { page: 'one', ratio: 0.4 } },
+            { source: { type: 'script', code: 'alert(1)' }, position: { page: 2 }, sheet: 7 },
+            { source: { type: 'upload', id: 'abc' } },
+            null,
+          ],
+        },
+      ])
+    );
+    expect(imported).toEqual({
+      id: expect.any(String),
+      name: 'Imported workspace',
+      updatedAt: expect.any(String),
+      layout: 'horizontal',
+      screenMode: 'all',
+      splits: { sizes: null, grid: null },
+      syncScroll: false,
+      isolatePages: false,
+      panes: [
+        { source: { type: 'empty' }, position: { ratio: 0.4 }, sheet: null },
+        { source: { type: 'empty' }, position: { page: 2, pageOffset: 0 }, sheet: null },
+        { source: { type: 'upload', id: 'abc', name: 'Uploaded file' }, position: null, sheet: null },
+        { source: { type: 'empty' }, position: null, sheet: null },
+      ],
+    });
+  });
+
+  it('skips malformed workspaces next to valid ones', () => {
+    const workspaces = importWorkspaces(exportOf(['broken', workspace, { panes: 'none' }]));
+    expect(workspaces.map((imported) => imported.name)).toEqual(['Claims review']);
+  });
+});
+
+describe('listWorkspaces', () => {
+  it('returns nothing when storage holds something else', () => {
+    localStorage.setItem('splitscreen.workspaces', '{"not":"a list"}');
+    expect(listWorkspaces()).toEqual([]);
+    localStorage.setItem('splitscreen.workspaces', 'not json');
+    expect(listWorkspaces()).toEqual([]);
+  });
+});
+
+describe('loadSession', () => {
+  it('reopens a saved session and whether the split screen was showing', () => {
+    saveSession({ ...workspace, open: true });
+    expect(loadSession()).toEqual({ ...workspace, id: expect.any(String), updatedAt: expect.any(String), open: true });
+  });
+
+  it('ignores a session without panes', () => {
+    saveSession({ ...workspace, panes: [] });
+    expect(loadSession()).toBeNull();
+  });
+});
+
+describe('describeSource', () => {
+  it('describes URL, patent and empty panes', () => {
+    expect(describeSource('https://example.com/')).toEqual({ type: 'url', url: 'https://example.com/' });
+    expect(describeSource('patent:US1234567B2')).toEqual({ type: 'patent', number: 'US1234567B2' });
+    expect(describeSource('')).toEqual({ type: 'empty' });
+  });
+
+  it('leaves out blob URLs of files it does not know about', () => {
+    expect(describeSource('blob:http://localhost/1234')).toEqual({ type: 'empty' });
+  });
+});